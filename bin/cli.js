@@ -3,6 +3,43 @@ import { glob } from "glob";
 import chalk from "chalk";
 import { ConfigLoader } from "../src/config/loader.js";
 import { Extractor } from "../src/extractor.js";
+import { Watcher } from "../src/watcher.js";
+
+// Command and arguments: no command runs the extraction
+const argv = process.argv.slice(2);
+const command = argv[0]?.startsWith("--") ? undefined : argv[0];
+const args = command ? argv.slice(1) : argv;
+const flags = args.filter((arg) => arg.startsWith("--"));
+const positionals = args.filter((arg) => !arg.startsWith("--"));
+
+/**
+ * Runs the XLIFF export/import commands
+ * @param {Extractor} extractor
+ */
+async function runXliffCommand(extractor) {
+  if (command === "xliff:export") {
+    const [locale, output = `${locale}.xlf`] = positionals;
+    if (!locale) {
+      throw new Error(
+        "Usage: vuei18n-extractor xliff:export <locale> [file] [--untranslated]"
+      );
+    }
+    await extractor.exportXLIFF(locale, output, {
+      untranslatedOnly: flags.includes("--untranslated"),
+    });
+    return;
+  }
+
+  const [file] = positionals;
+  if (!file) {
+    throw new Error(
+      "Usage: vuei18n-extractor xliff:import <file> [--overwrite]"
+    );
+  }
+  await extractor.importXLIFF(file, {
+    overwrite: flags.includes("--overwrite"),
+  });
+}
 
 // Find configuration file
 glob("i18nExtractor.{js,json}")
@@ -22,6 +59,33 @@ glob("i18nExtractor.{js,json}")
       const loader = new ConfigLoader();
       const config = await loader.load(files[0]);
 
+      if (command === "xliff:export" || command === "xliff:import") {
+        await runXliffCommand(new Extractor(config));
+        process.exit(0);
+        return;
+      }
+      if (command === "obsolete:purge") {
+        await new Extractor(config).purgeObsolete();
+        process.exit(0);
+        return;
+      }
+      if (command) {
+        throw new Error(
+          `Unknown command "${command}". Use xliff:export, xliff:import or obsolete:purge`
+        );
+      }
+
+      // Keep the catalogs up to date until the process is stopped
+      if (flags.includes("--watch")) {
+        const watcher = new Watcher(new Extractor(config));
+        process.on("SIGINT", () => {
+          watcher.close();
+          process.exit(0);
+        });
+        await watcher.start();
+        return;
+      }
+
       console.log(chalk.blue("🚀 Initializing extraction..."));
 
       // Run extraction
@@ -1,10 +1,36 @@
 import { glob } from "glob";
 import fs from "fs-extra";
 import path from "path";
+import { createHash } from "crypto";
 import chalk from "chalk";
+import yaml from "js-yaml";
 import { KeyExtractor } from "./parsers/key-extractor.js";
-import { CatalogGenerator } from "./generators/catalog-generator.js";
+import {
+  CatalogGenerator,
+  formatVariables,
+  isTranslated,
+} from "./generators/catalog-generator.js";
+import { XliffGenerator } from "./generators/xliff-generator.js";
+import { TypesGenerator } from "./generators/types-generator.js";
+import { PseudoLocalizer } from "./generators/pseudo-localizer.js";
 import { validatePath } from "./utils/security.js";
+import {
+  PlaceholderValidator,
+  describePlaceholderIssue,
+} from "./validators/placeholder-validator.js";
+import {
+  PluralValidator,
+  describePluralIssue,
+} from "./validators/plural-validator.js";
+import {
+  LinkValidator,
+  describeLinkIssue,
+} from "./validators/link-validator.js";
+import { parseMessage } from "./parsers/message-parser.js";
+import { getPOTranslations } from "./parsers/po-parser.js";
+import { parseXLIFF } from "./parsers/xliff-parser.js";
+import { nestKeys, flattenKeys, findKeyConflicts } from "./utils/nesting.js";
+import { findSimilarKeys } from "./utils/similarity.js";
 import {
   NamespaceGenerator,
   createNamespaceConfig,
@@ -19,202 +45,1725 @@ export class Extractor {
    */
   constructor(config) {
     this.config = config;
-    this.keyExtractor = new KeyExtractor();
-    this.catalogGenerator = new CatalogGenerator();
+    const { messageSyntax } = config;
+    this.keyExtractor = new KeyExtractor({
+      functions: config.functions,
+      messageSyntax,
+    });
+    this.catalogGenerator = new CatalogGenerator({
+      pluralSkeletons: config.pluralSkeletons,
+      messageSyntax,
+      nested: config.nested,
+      keySeparator: config.keySeparator,
+      omitInherited: config.omitInherited,
+    });
+    this.placeholderValidator = new PlaceholderValidator({ messageSyntax });
+    this.pluralValidator = new PluralValidator({ messageSyntax });
+    this.linkValidator = new LinkValidator({ messageSyntax });
+    this.xliffGenerator = new XliffGenerator();
+    this.typesGenerator = new TypesGenerator({
+      nested: config.nested,
+      keySeparator: config.keySeparator,
+    });
+    this.pseudoLocalizer = new PseudoLocalizer({
+      expansion: config.pseudoLocale?.expansion,
+      messageSyntax,
+    });
     this.namespaceGenerator = new NamespaceGenerator(
       createNamespaceConfig(config)
     );
   }
 
   /**
-   * Main extraction process
+   * Main extraction process
+   * With `changedFiles`, only those files are extracted again (the others
+   * come from the previous run) and only the namespaces whose keys changed
+   * are generated again
+   * @param {Object} [options]
+   * @param {string[]} [options.changedFiles] - Source files added, changed or deleted since the previous run
+   */
+  async extract(options = {}) {
+    const { changedFiles } = options;
+
+    if (!changedFiles) {
+      console.log(chalk.blue("🚀 Initializing extraction..."));
+      console.log(
+        chalk.gray(`   Strategy: ${this.config.splitting?.strategy || "flat"}`)
+      );
+      console.log(chalk.gray(`   Source locale: ${this.config.sourceLocale}`));
+      console.log(
+        chalk.gray(
+          `   Target locales: ${this.config.locales.filter((l) => l !== this.config.sourceLocale).join(", ")}`
+        )
+      );
+      if (this.config.pseudoLocale) {
+        console.log(chalk.gray(`   Pseudo-locale: ${this.getPseudoLocale()}`));
+      }
+      console.log();
+
+      // Migrate old files with invalid names before extraction
+      await this.migrateInvalidFileNames();
+    }
+
+    const dynamicKeys = [];
+    const allKeys = await this.collectKeys(dynamicKeys, changedFiles);
+    const knownKeys = new Set(allKeys.map((key) => key.key));
+
+    console.log(chalk.blue(`🔑 Found ${allKeys.length} unique key(s)`));
+
+    // Count special features
+    const withVars = allKeys.filter(
+      (k) => k.variables && k.variables.length > 0
+    ).length;
+    const withPlural = allKeys.filter((k) => k.hasPlural).length;
+    const withDate = allKeys.filter((k) => k.hasDate).length;
+
+    if (withVars > 0) {
+      console.log(chalk.cyan(`   → ${withVars} with variables`));
+    }
+    if (withPlural > 0) {
+      console.log(chalk.cyan(`   → ${withPlural} with pluralization`));
+    }
+    if (withDate > 0) {
+      console.log(chalk.cyan(`   → ${withDate} with date formatting`));
+    }
+
+    // Get namespaces
+    const namespaces = this.namespaceGenerator.getNamespaces(allKeys);
+    const groupedKeys = this.namespaceGenerator.groupByNamespace(allKeys);
+
+    console.log(chalk.cyan(`   → ${namespaces.length} namespace(s)`));
+    console.log();
+
+    // Catalogs only depend on the keys of their namespace: unchanged
+    // namespaces are left alone on incremental runs
+    const signatures = new Map(
+      namespaces.map((namespace) => [
+        namespace,
+        JSON.stringify(groupedKeys.get(namespace)),
+      ])
+    );
+    const changedNamespaces =
+      changedFiles && this.namespaceSignatures
+        ? namespaces.filter(
+            (namespace) =>
+              this.namespaceSignatures.get(namespace) !==
+              signatures.get(namespace)
+          )
+        : namespaces;
+
+    if (this.config.nested && this.config.format !== "po") {
+      this.reportKeyConflicts(groupedKeys);
+    }
+
+    // Track statistics
+    const stats = {
+      generated: 0,
+      skipped: 0,
+      preserved: 0,
+      newKeys: 0,
+      totalKeys: 0,
+      retired: 0,
+      restored: 0,
+      expired: 0,
+      needsReview: 0,
+      inheritedUpdated: 0,
+    };
+    const translationIssues = [];
+    const carriedOver = [];
+    const staleTranslations = [];
+    const validation = this.config.validation || {};
+
+    // Generate catalogs for each locale and namespace
+    for (const locale of this.getLocaleOrder()) {
+      // Translations of keys removed from the code are set aside until
+      // the keys come back
+      const obsolete =
+        this.config.obsolete && locale !== this.config.sourceLocale
+          ? await this.retireObsoleteKeys(
+              locale,
+              changedNamespaces,
+              groupedKeys,
+              // Incremental runs (--watch) are not extraction runs
+              !changedFiles
+            )
+          : null;
+
+      for (const namespace of changedNamespaces) {
+        const keys = groupedKeys.get(namespace) || [];
+        const fileName = this.namespaceGenerator.getFileName(
+          namespace,
+          locale,
+          this.config.format
+        );
+        const outputPath = validatePath(
+          path.join(this.config.catalogs.outputFolder, fileName)
+        );
+
+        // Load existing translations
+        let existingTranslations = {};
+        let existingCount = 0;
+
+        if (fs.pathExistsSync(outputPath)) {
+          try {
+            existingTranslations = await this.loadTranslationFile(outputPath);
+            existingCount = Object.keys(existingTranslations).length;
+            stats.preserved += existingCount;
+          } catch (err) {
+            console.warn(
+              chalk.yellow(
+                `⚠ Could not load existing translations for ${locale}/${namespace}: ${err.message}`
+              )
+            );
+          }
+        }
+
+        if (obsolete) {
+          this.restoreObsoleteKeys(keys, existingTranslations, obsolete);
+        }
+
+        const isSourceLocale = locale === this.config.sourceLocale;
+
+        // Reviews and inherited translations are both kept in the metadata
+        // of the catalog, loaded and written once
+        const tracksReviews =
+          (this.config.fuzzy || this.config.staleTracking) && !isSourceLocale;
+        const tracksInherited =
+          !isSourceLocale && this.getFallbackChain(locale).length > 0;
+        const meta =
+          tracksReviews || tracksInherited
+            ? await this.loadCatalogMeta(outputPath)
+            : {};
+
+        // Translations carried over from similar keys or made against an
+        // older source message need review
+        let reviews = {};
+        if (tracksReviews) {
+          const review = this.reviewTranslations(
+            keys,
+            existingTranslations,
+            meta,
+            obsolete
+          );
+          reviews = review.reviews;
+          carriedOver.push(
+            ...review.carried.map((match) => ({ ...match, file: fileName }))
+          );
+          staleTranslations.push(
+            ...review.stale.map((entry) => ({ ...entry, file: fileName }))
+          );
+          stats.needsReview += Object.keys(reviews).length;
+        }
+
+        // Regional variants start from the translations of their fallbacks
+        const inherited = isSourceLocale
+          ? {}
+          : await this.loadInheritedTranslations(keys, locale, namespace);
+        if (tracksInherited) {
+          this.trackInheritedTranslations(
+            keys,
+            existingTranslations,
+            inherited,
+            meta,
+            stats
+          );
+        }
+        if (tracksReviews || tracksInherited) {
+          await this.writeCatalogMeta(outputPath, meta, stats);
+        }
+
+        // Translations must keep the placeholders of their source message,
+        // use the plural categories of their locale and link to existing keys
+        translationIssues.push(
+          ...this.validateTranslations(
+            keys,
+            isSourceLocale ? getSourceMessages(keys) : existingTranslations,
+            locale,
+            fileName,
+            knownKeys
+          )
+        );
+
+        const content = this.renderCatalog(
+          keys,
+          existingTranslations,
+          isSourceLocale,
+          locale,
+          reviews,
+          inherited
+        );
+
+        // JSON can't hold comments: translator notes go to a sidecar file
+        if (isSourceLocale && this.config.format === "json") {
+          await this.writeCommentsSidecar(outputPath, keys, stats);
+        }
+
+        // PO catalogs come with a POT template of the source messages
+        if (isSourceLocale && this.config.format === "po") {
+          await this.writeTemplate(namespace, keys, stats);
+        }
+
+        // Check if content actually changed before writing
+        const shouldWrite = await this.shouldWriteFile(outputPath, content);
+
+        if (!shouldWrite) {
+          stats.skipped++;
+          continue; // Skip writing unchanged file
+        }
+
+        // Ensure directory exists
+        await fs.ensureDir(path.dirname(outputPath));
+
+        // Write file
+        await fs.writeFile(outputPath, content, "utf-8");
+
+        // Count new keys (keys not in existing translations nor inherited)
+        const newKeysCount = keys.filter(
+          (k) => !isTranslated(existingTranslations[k.key]) && !inherited[k.key]
+        ).length;
+        stats.newKeys += newKeysCount;
+        stats.totalKeys += keys.length;
+        stats.generated++;
+
+        // Show detailed log for non-source locales with new keys
+        if (!isSourceLocale && newKeysCount > 0) {
+          console.log(
+            chalk.green(`✓ Generated ${fileName}`) +
+              chalk.gray(` (${existingCount} preserved, ${newKeysCount} new)`)
+          );
+        } else {
+          console.log(chalk.green(`✓ Generated ${fileName}`));
+        }
+      }
+
+      if (obsolete) {
+        await this.writeObsoleteKeys(locale, obsolete, stats);
+      }
+    }
+
+    // The pseudo-locale is rendered from the source messages
+    if (this.config.pseudoLocale) {
+      await this.writePseudoCatalogs(changedNamespaces, groupedKeys, stats);
+    }
+
+    this.namespaceSignatures = signatures;
+
+    // Generate index files - one per locale when using splitting
+    // (PO catalogs are not modules and cannot import each other)
+    if (namespaces.length > 1 && this.config.format !== "po") {
+      await this.generateLocaleIndexFiles(namespaces, stats);
+    }
+
+    // TypeScript catalogs get the declarations of their messages
+    if (this.config.format === "ts") {
+      await this.writeTypes(allKeys, stats);
+    }
+
+    // Print summary
+    console.log();
+    console.log(chalk.green("✅ Extract complete!"));
+    console.log(chalk.gray(`   ${stats.generated} files generated`));
+    if (stats.skipped > 0) {
+      console.log(chalk.gray(`   ${stats.skipped} files unchanged (skipped)`));
+    }
+    if (stats.preserved > 0) {
+      console.log(
+        chalk.gray(`   ${stats.preserved} existing translations preserved`)
+      );
+    }
+    if (stats.newKeys > 0) {
+      console.log(
+        chalk.yellow(`   ${stats.newKeys} new keys need translation`)
+      );
+    }
+    if (stats.retired > 0) {
+      console.log(
+        chalk.yellow(
+          `   ${stats.retired} removed key(s) retired to obsolete translations`
+        )
+      );
+    }
+    if (stats.restored > 0) {
+      console.log(
+        chalk.gray(`   ${stats.restored} obsolete translation(s) restored`)
+      );
+    }
+    if (stats.expired > 0) {
+      console.log(
+        chalk.gray(`   ${stats.expired} obsolete translation(s) expired`)
+      );
+    }
+    if (stats.needsReview > 0) {
+      console.log(
+        chalk.yellow(`   ${stats.needsReview} translation(s) need review`)
+      );
+    }
+    if (stats.inheritedUpdated > 0) {
+      console.log(
+        chalk.gray(
+          `   ${stats.inheritedUpdated} inherited translation(s) updated from their fallback`
+        )
+      );
+    }
+    Object.keys(ISSUE_LABELS).forEach((check) => {
+      const count = translationIssues.filter((i) => i.check === check).length;
+      if (count > 0) {
+        console.log(chalk.yellow(`   ${count} ${ISSUE_LABELS[check]}`));
+      }
+    });
+
+    this.reportCarriedOver(carriedOver);
+    this.reportStaleTranslations(staleTranslations);
+    await this.reportDynamicKeys(dynamicKeys);
+    this.reportTranslationIssues(translationIssues, validation.strict);
+  }
+
+  /**
+   * Warns about keys that cannot be nested because another key of their
+   * catalog is one of their parents ("auth" and "auth.title")
+   * They are kept flat at the root of the catalog
+   * @param {Map<string, import('./types.js').ExtractedKey[]>} groupedKeys - Keys by namespace
+   */
+  reportKeyConflicts(groupedKeys) {
+    groupedKeys.forEach((keys, namespace) => {
+      const fileName = this.namespaceGenerator.getFileName(
+        namespace,
+        this.config.sourceLocale,
+        this.config.format
+      );
+
+      findKeyConflicts(
+        keys.map((key) => key.key),
+        this.config.keySeparator
+      ).forEach(({ key, parent }) => {
+        console.warn(
+          chalk.yellow(
+            `⚠ "${parent}" is both a message and a parent of "${key}" in ${fileName}: "${key}" is kept flat`
+          )
+        );
+      });
+    });
+  }
+
+  /**
+   * Scans the configured source files and extracts their keys, with their
+   * namespace, plus the keys only used through links
+   * The keys of each file are kept for the next run: with `changedFiles`,
+   * the other files are not extracted again
+   * @param {import('./types.js').DynamicKey[]} [dynamicKeys] - Receives usages with non-literal keys
+   * @param {string[]} [changedFiles] - Files changed since the previous run (default: extract every file)
+   * @returns {Promise<import('./types.js').ExtractedKey[]>} Extracted keys, sorted by key
+   */
+  async collectKeys(dynamicKeys = [], changedFiles = null) {
+    const files = await this.getSourceFiles();
+    const changed = changedFiles && new Set(changedFiles.map(resolveFile));
+    const previous = this.extractedFiles || new Map();
+    const toExtract = new Set(
+      files.filter(
+        (file) =>
+          !changed ||
+          changed.has(resolveFile(file)) ||
+          !previous.has(resolveFile(file))
+      )
+    );
+
+    if (changed) {
+      console.log(
+        chalk.blue(`📂 Extracting ${toExtract.size} changed file(s)...`)
+      );
+    } else {
+      console.log(chalk.blue(`📂 Scanning ${files.length} file(s)...`));
+    }
+
+    // Extract keys from all files; deleted files are left out
+    this.extractedFiles = new Map();
+    let allKeys = [];
+    for (const file of files) {
+      let extracted = previous.get(resolveFile(file));
+
+      if (toExtract.has(file)) {
+        // Files that fail are not extracted again until they change
+        extracted = { keys: [], dynamicKeys: [] };
+        try {
+          const safePath = validatePath(file);
+          extracted.keys = this.keyExtractor.extractFromFile(
+            safePath,
+            extracted.dynamicKeys
+          );
+
+          // Apply namespace to each key
+          extracted.keys.forEach((key) => {
+            key.namespace = this.namespaceGenerator.generate(safePath);
+          });
+        } catch (err) {
+          console.warn(chalk.yellow(`⚠ Skipping ${file}: ${err.message}`));
+        }
+      }
+
+      this.extractedFiles.set(resolveFile(file), extracted);
+      dynamicKeys.push(...extracted.dynamicKeys);
+      allKeys = this.keyExtractor.mergeKeys(allKeys, extracted.keys);
+    }
+
+    // Keys only used through links (@:common.save) must not be dropped
+    return this.keepLinkTargets(allKeys);
+  }
+
+  /**
+   * Lists the source files matched by `catalogs.include`, sorted for
+   * deterministic processing
+   * @returns {Promise<string[]>}
+   */
+  async getSourceFiles() {
+    const files = await glob(this.config.catalogs.include, {
+      ignore: this.config.catalogs.exclude,
+    });
+
+    return files.sort();
+  }
+
+  /**
+   * Whether a file is one of the source files or was one in the previous
+   * run (deleted files)
+   * @param {string} file - File path
+   * @returns {Promise<boolean>}
+   */
+  async isSourceFile(file) {
+    const resolved = resolveFile(file);
+    if (this.extractedFiles?.has(resolved)) return true;
+
+    const files = await this.getSourceFiles();
+    return files.some((sourceFile) => resolveFile(sourceFile) === resolved);
+  }
+
+  /**
+   * Runs the enabled checks (`validation.placeholders`, `validation.plurals`,
+   * `validation.links`) on the messages of a catalog
+   * The source locale catalog is only checked for links
+   * @param {import('./types.js').ExtractedKey[]} keys - Keys of the catalog
+   * @param {Object} translations - Messages of the catalog (existing translations)
+   * @param {string} locale - Locale of the catalog
+   * @param {string} file - Catalog file name
+   * @param {Set<string>} knownKeys - Keys of all catalogs (link targets)
+   * @returns {TranslationIssue[]} Issues found
+   */
+  validateTranslations(keys, translations, locale, file, knownKeys) {
+    const validation = this.config.validation || {};
+    const isSourceLocale = locale === this.config.sourceLocale;
+    const issues = [];
+
+    if (validation.links !== false) {
+      this.linkValidator
+        .validate(keys, translations, knownKeys)
+        .forEach((issue) => {
+          issues.push({ ...issue, check: "links", locale, file });
+        });
+    }
+
+    if (isSourceLocale) {
+      return issues;
+    }
+
+    if (validation.placeholders !== false) {
+      this.placeholderValidator
+        .validate(keys, translations)
+        .forEach((issue) => {
+          issues.push({ ...issue, check: "placeholders", locale, file });
+        });
+    }
+
+    if (validation.plurals !== false) {
+      this.pluralValidator
+        .validate(keys, translations, locale)
+        .forEach((issue) => {
+          issues.push({ ...issue, check: "plurals", locale, file });
+        });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Prints the translation issues (placeholders, plural categories, links),
+   * grouped by catalog file
+   * @param {TranslationIssue[]} issues
+   * @param {boolean} [strict] - Fail the run when issues are found
+   * @throws {Error} If issues are found in strict mode
+   */
+  reportTranslationIssues(issues, strict = false) {
+    if (issues.length === 0) return;
+
+    console.log();
+    console.log(chalk.yellow(`⚠ ${issues.length} issue(s) in translations:`));
+
+    const byFile = new Map();
+    issues.forEach((issue) => {
+      if (!byFile.has(issue.file)) byFile.set(issue.file, []);
+      byFile.get(issue.file).push(issue);
+    });
+
+    byFile.forEach((fileIssues, file) => {
+      console.log(chalk.gray(`   ${file} (${fileIssues[0].locale})`));
+      fileIssues.forEach((issue) => {
+        const description = ISSUE_DESCRIPTIONS[issue.check](issue);
+        console.log(`     ${JSON.stringify(issue.key)}: ${description}`);
+      });
+    });
+
+    if (strict) {
+      throw new Error(
+        `${issues.length} issue(s) found in translations. Fix them or run without validation.strict.`
+      );
+    }
+  }
+
+  /**
+   * Exports the keys of a target locale to an XLIFF 2.0 file for CAT tools
+   * Keys come from the source files; targets from the existing catalogs
+   * @param {string} locale - Target locale
+   * @param {string} outputPath - XLIFF file to write
+   * @param {Object} [options]
+   * @param {boolean} [options.untranslatedOnly] - Only export keys without translation
+   * @returns {Promise<number>} Number of exported units
+   * @throws {Error} If the locale is not a target locale
+   */
+  async exportXLIFF(locale, outputPath, options = {}) {
+    this.assertTargetLocale(locale);
+
+    const keys = await this.collectKeys();
+    const groupedKeys = this.namespaceGenerator.groupByNamespace(keys);
+    const files = [];
+    let exported = 0;
+    let untranslated = 0;
+
+    for (const namespace of this.namespaceGenerator.getNamespaces(keys)) {
+      const fileName = this.namespaceGenerator.getFileName(
+        namespace,
+        locale,
+        this.config.format
+      );
+      const translations = await this.loadCatalog(fileName);
+
+      const units = groupedKeys
+        .get(namespace)
+        .map((key) => {
+          const target = translations[key.key];
+          return {
+            key: key.key,
+            source: key.message,
+            target: typeof target === "string" ? target : "",
+            // Plural skeletons are sent as the starting point of the translation
+            ...(!isTranslated(target) && { state: "initial" }),
+            notes: getXliffNotes(key, this.catalogGenerator.getReferences(key)),
+          };
+        })
+        .filter((unit) => !options.untranslatedOnly || unit.state);
+
+      if (units.length === 0) continue;
+
+      exported += units.length;
+      untranslated += units.filter((unit) => unit.state).length;
+      files.push({ id: namespace, original: fileName, units });
+    }
+
+    const content = this.xliffGenerator.generate({
+      sourceLocale: this.config.sourceLocale,
+      targetLocale: locale,
+      files,
+    });
+
+    const safePath = validatePath(outputPath);
+    await fs.ensureDir(path.dirname(safePath));
+    await fs.writeFile(safePath, content, "utf-8");
+
+    console.log(
+      chalk.green(`✓ Exported ${exported} unit(s) to ${outputPath}`) +
+        chalk.gray(` (${untranslated} untranslated)`)
+    );
+
+    return exported;
+  }
+
+  /**
+   * Imports the translations of an XLIFF 2.0 file into the catalogs of its
+   * target locale (files named by `NamespaceGenerator.getFileName`)
+   * Untranslated units (state "initial") are skipped. Units whose key no
+   * longer exists, whose source message changed since the export, or whose
+   * key already has another translation are reported as conflicts and not
+   * imported (unless `overwrite` is set, for the latter)
+   * @param {string} filePath - XLIFF file to import
+   * @param {Object} [options]
+   * @param {boolean} [options.overwrite] - Replace existing, different translations
+   * @returns {Promise<{ imported: number, conflicts: XliffConflict[] }>}
+   * @throws {Error} If the file is not XLIFF 2.x or targets an unknown locale
+   */
+  async importXLIFF(filePath, options = {}) {
+    const document = parseXLIFF(
+      await fs.readFile(validatePath(filePath), "utf-8")
+    );
+    const locale = document.targetLocale;
+    this.assertTargetLocale(locale);
+
+    const conflicts = [];
+    let imported = 0;
+
+    for (const file of document.files) {
+      const fileName = this.namespaceGenerator.getFileName(
+        file.id || "common",
+        locale,
+        this.config.format
+      );
+      const sources = await this.loadCatalog(
+        this.namespaceGenerator.getFileName(
+          file.id || "common",
+          this.config.sourceLocale,
+          this.config.format
+        )
+      );
+      const translations = await this.loadCatalog(fileName);
+      let changed = 0;
+
+      file.units.forEach((unit) => {
+        if (!isTranslated(unit.target) || unit.state === "initial") {
+          return;
+        }
+
+        const conflict = { file: fileName, key: unit.key, target: unit.target };
+        const existing = translations[unit.key];
+
+        if (typeof sources[unit.key] !== "string") {
+          conflicts.push({ ...conflict, type: "unknown" });
+        } else if (sources[unit.key] !== unit.source) {
+          conflicts.push({
+            ...conflict,
+            type: "source",
+            source: sources[unit.key],
+          });
+        } else if (existing === unit.target) {
+          return;
+        } else if (isTranslated(existing) && !options.overwrite) {
+          conflicts.push({ ...conflict, type: "translation", existing });
+        } else {
+          translations[unit.key] = unit.target;
+          changed++;
+        }
+      });
+
+      if (changed > 0) {
+        await this.writeTranslationFile(
+          validatePath(path.join(this.config.catalogs.outputFolder, fileName)),
+          translations
+        );
+        imported += changed;
+        console.log(
+          chalk.green(`✓ Imported ${changed} translation(s) into ${fileName}`)
+        );
+      }
+    }
+
+    this.reportXliffConflicts(conflicts);
+
+    return { imported, conflicts };
+  }
+
+  /**
+   * Prints the conflicts of an XLIFF import, grouped by catalog file
+   * @param {XliffConflict[]} conflicts
+   */
+  reportXliffConflicts(conflicts) {
+    if (conflicts.length === 0) return;
+
+    console.log();
+    console.log(
+      chalk.yellow(`⚠ ${conflicts.length} conflict(s) not imported:`)
+    );
+
+    const byFile = new Map();
+    conflicts.forEach((conflict) => {
+      if (!byFile.has(conflict.file)) byFile.set(conflict.file, []);
+      byFile.get(conflict.file).push(conflict);
+    });
+    byFile.forEach((fileConflicts, file) => {
+      console.log(chalk.gray(`   ${file}`));
+      fileConflicts.forEach((conflict) => {
+        console.log(
+          `     ${JSON.stringify(conflict.key)}: ${describeXliffConflict(conflict)}`
+        );
+      });
+    });
+  }
+
+  /**
+   * Loads a catalog of the output folder, or nothing if it does not exist
+   * @param {string} fileName - Catalog file name
+   * @returns {Promise<Object>} Catalog messages
+   */
+  async loadCatalog(fileName) {
+    const filePath = validatePath(
+      path.join(this.config.catalogs.outputFolder, fileName)
+    );
+    if (!fs.pathExistsSync(filePath)) return {};
+
+    return this.loadTranslationFile(filePath);
+  }
+
+  /**
+   * Checks that a locale is one of the configured target locales
+   * @param {string} locale
+   * @throws {Error} If the locale is missing, the source locale or not configured
+   */
+  assertTargetLocale(locale) {
+    if (
+      !this.config.locales.includes(locale) ||
+      locale === this.config.sourceLocale
+    ) {
+      throw new Error(
+        `"${locale}" is not a target locale. Use one of: ${this.config.locales.filter((l) => l !== this.config.sourceLocale).join(", ")}`
+      );
+    }
+  }
+
+  /**
+   * Adds the keys that extracted messages link to (`@:common.save`) but that
+   * are not used in code, so they are kept in their catalogs
+   * Targets are looked up in the existing source locale catalogs; links of
+   * kept targets are followed too. Targets found nowhere are reported later
+   * as dangling links
+   * @param {import('./types.js').ExtractedKey[]} keys - Extracted keys
+   * @returns {Promise<import('./types.js').ExtractedKey[]>} Keys with the kept targets
+   */
+  async keepLinkTargets(keys) {
+    const byKey = new Map(keys.map((key) => [key.key, key]));
+    const pending = keys.filter((key) => key.links);
+    if (pending.length === 0) return keys;
+
+    let sourceCatalogs = null;
+    const kept = [];
+
+    while (pending.length > 0) {
+      const from = pending.shift();
+
+      for (const link of from.links) {
+        const existing = byKey.get(link);
+        if (existing) {
+          // Kept targets remember every key linking to them
+          if (existing.linkedFrom && !existing.linkedFrom.includes(from.key)) {
+            existing.linkedFrom.push(from.key);
+            existing.files = [...new Set([...existing.files, ...from.files])];
+          }
+          continue;
+        }
+
+        sourceCatalogs = sourceCatalogs || (await this.loadSourceCatalogs());
+        const target = sourceCatalogs.get(link);
+        if (!target) continue;
+
+        const key = this.createLinkTarget(link, target, from);
+        byKey.set(link, key);
+        kept.push(key);
+        if (key.links) pending.push(key);
+      }
+    }
+
+    if (kept.length > 0) {
+      console.log(
+        chalk.cyan(`🔗 Kept ${kept.length} key(s) only used through links`)
+      );
+    }
+
+    return this.keyExtractor.mergeKeys(keys, kept);
+  }
+
+  /**
+   * Builds the extracted key of a link target found in a source catalog
+   * @param {string} id - Key of the target
+   * @param {{ message: string, namespace: string }} target - Source message and namespace
+   * @param {import('./types.js').ExtractedKey} from - Key linking to it
+   * @returns {import('./types.js').ExtractedKey}
+   */
+  createLinkTarget(id, target, from) {
+    let metadata = { variables: [], links: [] };
+    try {
+      metadata = parseMessage(target.message, this.config.messageSyntax);
+    } catch {
+      // Invalid messages are kept as they are
+    }
+
+    return {
+      key: id,
+      message: target.message,
+      files: [...from.files],
+      namespace: target.namespace,
+      linkedFrom: [from.key],
+      variables: metadata.variables,
+      ...(metadata.variableKinds && { variableKinds: metadata.variableKinds }),
+      hasPlural: Boolean(metadata.hasPlural),
+      hasDate: Boolean(metadata.hasDate),
+      ...(metadata.links.length > 0 && { links: metadata.links }),
+    };
+  }
+
+  /**
+   * Loads the messages of every existing source locale catalog
+   * @returns {Promise<Map<string, { message: string, namespace: string }>>} Messages by key
+   */
+  async loadSourceCatalogs() {
+    const messages = new Map();
+    const outputFolder = this.config.catalogs.outputFolder;
+    if (!fs.pathExistsSync(outputFolder)) return messages;
+
+    const fileNames = (await fs.readdir(outputFolder)).sort();
+
+    for (const fileName of fileNames) {
+      if (fileName.endsWith(".comments.json")) continue;
+
+      const namespace = this.namespaceGenerator.getNamespaceFromFileName(
+        fileName,
+        this.config.sourceLocale,
+        this.config.format
+      );
+      if (!namespace) continue;
+
+      try {
+        const catalog = await this.loadTranslationFile(
+          path.join(outputFolder, fileName)
+        );
+        Object.entries(catalog).forEach(([key, message]) => {
+          if (typeof message === "string" && !messages.has(key)) {
+            messages.set(key, { message, namespace });
+          }
+        });
+      } catch {
+        // Unreadable catalogs have no messages to keep
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Prints the translation usages whose key is not a literal, writes them to
+   * `dynamicKeys.output` and, with `dynamicKeys.failOnNew`, fails when some of
+   * them are not listed in the previous report
+   * @param {import('./types.js').DynamicKey[]} dynamicKeys - Usages with non-literal keys
+   * @throws {Error} If new dynamic keys are found and `failOnNew` is set
+   */
+  async reportDynamicKeys(dynamicKeys) {
+    const options = this.config.dynamicKeys || {};
+
+    // Relative paths keep the report identical across machines
+    const entries = dynamicKeys
+      .map((entry) => ({
+        ...entry,
+        file: this.catalogGenerator.toRelativePath(entry.file),
+      }))
+      .sort(
+        (a, b) =>
+          a.file.localeCompare(b.file) || a.line - b.line || a.column - b.column
+      );
+
+    if (entries.length > 0) {
+      console.log();
+      console.log(
+        chalk.yellow(
+          `⚠ ${entries.length} dynamic key(s) could not be extracted:`
+        )
+      );
+      entries.forEach((entry) => {
+        console.log(
+          chalk.gray(`   ${entry.file}:${entry.line}:${entry.column}`) +
+            ` ${entry.function}(${entry.expression})`
+        );
+      });
+    }
+
+    const outputPath = options.output ? validatePath(options.output) : null;
+
+    if (options.failOnNew) {
+      const known = new Set();
+      if (outputPath && fs.pathExistsSync(outputPath)) {
+        const previous = await fs.readJSON(outputPath);
+        previous.forEach((entry) => known.add(getDynamicKeyId(entry)));
+      }
+
+      const newEntries = entries.filter(
+        (entry) => !known.has(getDynamicKeyId(entry))
+      );
+
+      if (newEntries.length > 0) {
+        throw new Error(
+          `${newEntries.length} new dynamic key(s) found: ${newEntries
+            .map((entry) => `${entry.file}:${entry.line}`)
+            .join(
+              ", "
+            )}. Use literal keys or accept them by running without dynamicKeys.failOnNew.`
+        );
+      }
+    }
+
+    if (outputPath) {
+      const content = JSON.stringify(entries, null, 2) + "\n";
+      if (await this.shouldWriteFile(outputPath, content)) {
+        await fs.ensureDir(path.dirname(outputPath));
+        await fs.writeFile(outputPath, content, "utf-8");
+        console.log(
+          chalk.gray(`   Dynamic keys report written to ${options.output}`)
+        );
+      }
+    }
+  }
+
+  /**
+   * Writes the translator comments of a JSON catalog to `<catalog>.comments.json`
+   * An existing sidecar is removed once no key has comments anymore
+   * @param {string} catalogPath - Path of the source locale JSON catalog
+   * @param {import('./types.js').ExtractedKey[]} keys - Keys of the catalog
+   * @param {Object} stats - Statistics object to update
+   */
+  async writeCommentsSidecar(catalogPath, keys, stats) {
+    const sidecarPath = catalogPath.replace(/\.json$/, ".comments.json");
+    const content = this.catalogGenerator.generateCommentsJSON(keys);
+
+    if (content === null) {
+      if (fs.pathExistsSync(sidecarPath)) {
+        await fs.remove(sidecarPath);
+      }
+      return;
+    }
+
+    if (!(await this.shouldWriteFile(sidecarPath, content))) {
+      stats.skipped++;
+      return;
+    }
+
+    await fs.ensureDir(path.dirname(sidecarPath));
+    await fs.writeFile(sidecarPath, content, "utf-8");
+    stats.generated++;
+
+    console.log(chalk.green(`✓ Generated ${path.basename(sidecarPath)}`));
+  }
+
+  /**
+   * Writes the POT template of a namespace (`<sourceLocale>[.<namespace>].pot`)
+   * @param {string} namespace - Namespace of the catalog
+   * @param {import('./types.js').ExtractedKey[]} keys - Keys of the catalog
+   * @param {Object} stats - Statistics object to update
+   */
+  async writeTemplate(namespace, keys, stats) {
+    const fileName = this.namespaceGenerator.getFileName(
+      namespace,
+      this.config.sourceLocale,
+      "pot"
+    );
+    const templatePath = validatePath(
+      path.join(this.config.catalogs.outputFolder, fileName)
+    );
+    const content = this.catalogGenerator.generatePOT(keys);
+
+    if (!(await this.shouldWriteFile(templatePath, content))) {
+      stats.skipped++;
+      return;
+    }
+
+    await fs.ensureDir(path.dirname(templatePath));
+    await fs.writeFile(templatePath, content, "utf-8");
+    stats.generated++;
+
+    console.log(chalk.green(`✓ Generated ${fileName}`));
+  }
+
+  /**
+   * Writes the TypeScript declarations of the source locale keys
+   * (`message-schema.d.ts`): MessageSchema, the DefineLocaleMessage
+   * augmentation of vue-i18n and the parameters of each key
+   * @param {import('./types.js').ExtractedKey[]} keys - Keys of every namespace
+   * @param {Object} stats - Statistics object to update
+   */
+  async writeTypes(keys, stats) {
+    const typesPath = validatePath(
+      path.join(this.config.catalogs.outputFolder, TYPES_FILE_NAME)
+    );
+    // Namespaces are merged into one object per locale: a key used in
+    // several namespaces is declared once
+    const uniqueKeys = [...new Map(keys.map((key) => [key.key, key])).values()];
+    const content = this.typesGenerator.generate(
+      uniqueKeys,
+      this.config.sourceLocale
+    );
+
+    if (!(await this.shouldWriteFile(typesPath, content))) {
+      stats.skipped++;
+      return;
+    }
+
+    await fs.ensureDir(path.dirname(typesPath));
+    await fs.writeFile(typesPath, content, "utf-8");
+    stats.generated++;
+
+    console.log(chalk.green(`✓ Generated ${TYPES_FILE_NAME}`));
+  }
+
+  /**
+   * Renders the catalog of a locale and namespace in the configured format
+   * @param {import('./types.js').ExtractedKey[]} keys - Keys of the catalog
+   * @param {Object} translations - Existing translations
+   * @param {boolean} isSourceLocale - Whether this is the source locale
+   * @param {string} locale - Locale of the catalog
+   * @param {Object<string, string>} [reviews] - Reasons to review translations, by key
+   * @param {Object} [inherited] - Translations inherited from fallback locales
+   * @returns {string} Catalog content
+   */
+  renderCatalog(
+    keys,
+    translations,
+    isSourceLocale,
+    locale,
+    reviews = {},
+    inherited = {}
+  ) {
+    if (this.config.format === "po") {
+      return this.catalogGenerator.generatePO(
+        keys,
+        translations,
+        isSourceLocale,
+        locale,
+        reviews,
+        inherited
+      );
+    }
+
+    if (this.config.format === "yaml") {
+      return this.catalogGenerator.generateYAML(
+        keys,
+        translations,
+        isSourceLocale,
+        locale,
+        reviews,
+        inherited
+      );
+    }
+
+    if (this.config.format === "json") {
+      return this.catalogGenerator.generateJSON(
+        keys,
+        translations,
+        isSourceLocale,
+        locale,
+        inherited
+      );
+    }
+
+    const header = this.config.header || "module.exports=";
+    return this.catalogGenerator.generateJS(
+      keys,
+      translations,
+      header,
+      isSourceLocale,
+      locale,
+      reviews,
+      inherited
+    );
+  }
+
+  /**
+   * Writes the catalogs of the pseudo-locale: every message of the source
+   * locale pseudo-localized, regenerated on each run
+   * @param {string[]} namespaces - List of namespaces
+   * @param {Map<string, import('./types.js').ExtractedKey[]>} groupedKeys - Keys by namespace
+   * @param {Object} stats - Statistics object to update
+   */
+  async writePseudoCatalogs(namespaces, groupedKeys, stats) {
+    const locale = this.getPseudoLocale();
+
+    for (const namespace of namespaces) {
+      const keys = groupedKeys.get(namespace) || [];
+      const fileName = this.namespaceGenerator.getFileName(
+        namespace,
+        locale,
+        this.config.format
+      );
+      const outputPath = validatePath(
+        path.join(this.config.catalogs.outputFolder, fileName)
+      );
+
+      const translations = Object.fromEntries(
+        keys.map((key) => [key.key, this.pseudoLocalizer.localize(key.message)])
+      );
+      const content = this.renderCatalog(keys, translations, false, locale);
+
+      if (!(await this.shouldWriteFile(outputPath, content))) {
+        stats.skipped++;
+        continue;
+      }
+
+      await fs.ensureDir(path.dirname(outputPath));
+      await fs.writeFile(outputPath, content, "utf-8");
+      stats.generated++;
+
+      console.log(chalk.green(`✓ Generated ${fileName}`));
+    }
+  }
+
+  /**
+   * Returns the configured pseudo-locale, if any
+   * @returns {string|null}
+   */
+  getPseudoLocale() {
+    const { pseudoLocale } = this.config;
+    if (!pseudoLocale) return null;
+
+    return typeof pseudoLocale === "string"
+      ? pseudoLocale
+      : pseudoLocale.locale;
+  }
+
+  /**
+   * Orders the configured locales so that fallback locales are generated
+   * before the locales falling back to them
+   * @returns {string[]}
+   */
+  getLocaleOrder() {
+    const ordered = [];
+
+    const visit = (locale, visiting) => {
+      if (ordered.includes(locale) || visiting.has(locale)) return;
+      visiting.add(locale);
+      this.getFallbackChain(locale)
+        .filter((fallback) => this.config.locales.includes(fallback))
+        .forEach((fallback) => visit(fallback, visiting));
+      ordered.push(locale);
+    };
+
+    this.config.locales.forEach((locale) => visit(locale, new Set()));
+
+    return ordered;
+  }
+
+  /**
+   * Returns the fallback chain of a locale: its `fallbacks`, each followed
+   * by their own fallbacks (`es-MX` → `es` → `en`)
+   * @param {string} locale
+   * @param {Set<string>} [seen] - Locales already in the chain
+   * @returns {string[]}
+   */
+  getFallbackChain(locale, seen = new Set([locale])) {
+    const chain = [];
+
+    ((this.config.fallbacks || {})[locale] || []).forEach((fallback) => {
+      if (seen.has(fallback)) return;
+      seen.add(fallback);
+      chain.push(fallback, ...this.getFallbackChain(fallback, seen));
+    });
+
+    return chain;
+  }
+
+  /**
+   * Loads the translations a target locale catalog inherits from its
+   * fallback chain: for each key, the first fallback locale translating it
+   * (the source locale translates every key with its message)
+   * @param {import('./types.js').ExtractedKey[]} keys - Keys of the catalog
+   * @param {string} locale - Target locale
+   * @param {string} namespace - Namespace of the catalog
+   * @returns {Promise<Object<string, import('./generators/catalog-generator.js').InheritedTranslation>>}
+   */
+  async loadInheritedTranslations(keys, locale, namespace) {
+    const inherited = {};
+
+    for (const fallback of this.getFallbackChain(locale)) {
+      let translations;
+      try {
+        translations =
+          fallback === this.config.sourceLocale
+            ? getSourceMessages(keys)
+            : await this.loadCatalog(
+                this.namespaceGenerator.getFileName(
+                  namespace,
+                  fallback,
+                  this.config.format
+                )
+              );
+      } catch {
+        continue; // Reported when the catalog is generated
+      }
+
+      keys.forEach(({ key }) => {
+        const translation = translations[key];
+        if (!inherited[key] && isTranslated(translation)) {
+          inherited[key] = { locale: fallback, translation };
+        }
+      });
+    }
+
+    return inherited;
+  }
+
+  /**
+   * Keeps track of the translations a target locale catalog inherited in the
+   * metadata of the catalog (`<catalog>.meta.json`), so that they follow
+   * their fallback: an inherited translation left as it was is replaced by
+   * the current translation of the fallback, an edited one becomes the
+   * catalog's own
+   * @param {import('./types.js').ExtractedKey[]} keys - Keys of the catalog
+   * @param {Object<string, string>} translations - Existing translations of the catalog (updated)
+   * @param {Object<string, import('./generators/catalog-generator.js').InheritedTranslation>} inherited - Translations of the fallback locales
+   * @param {Object<string, CatalogMetaEntry>} meta - Metadata of the catalog (updated)
+   * @param {Object} stats - Statistics object to update
+   */
+  trackInheritedTranslations(keys, translations, inherited, meta, stats) {
+    keys.forEach(({ key }) => {
+      const entry = meta[key] || {};
+      const origin = entry.inherited;
+
+      if (origin && translations[key] === origin.translation) {
+        if (
+          inherited[key] &&
+          inherited[key].translation !== origin.translation
+        ) {
+          stats.inheritedUpdated++;
+        }
+        delete translations[key];
+      }
+
+      delete entry.inherited;
+      const translation = translations[key];
+      if (
+        inherited[key] &&
+        !this.config.omitInherited &&
+        (!isTranslated(translation) ||
+          translation === inherited[key].translation)
+      ) {
+        entry.inherited = { ...inherited[key] };
+        // Not a translation of the catalog: not tracked against the source
+        delete entry.source;
+        delete entry.target;
+      }
+
+      if (Object.keys(entry).length > 0) meta[key] = entry;
+      else delete meta[key];
+    });
+  }
+
+  /**
+   * Finds the translations of a target locale catalog that need review and
+   * keeps track of them in the metadata of the catalog:
+   * translations carried over from similar keys (`fuzzy`) until they are
+   * edited, and translations made against an older source message
+   * (`staleTracking`)
+   * @param {import('./types.js').ExtractedKey[]} keys - Keys of the catalog
+   * @param {Object<string, string>} translations - Existing translations of the catalog (updated)
+   * @param {Object<string, CatalogMetaEntry>} meta - Metadata of the catalog (updated)
+   * @param {ObsoleteKeys|null} obsolete - Obsolete translations of the locale (updated)
+   * @returns {{ reviews: Object<string, string>, carried: { key: string, from: string, similarity: number }[], stale: { key: string, source: string }[] }}
+   *   Reasons of the pending reviews by key, the translations carried over in
+   *   this run and the stale translations
+   */
+  reviewTranslations(keys, translations, meta, obsolete) {
+    const currentKeys = new Set(keys.map((key) => key.key));
+
+    Object.entries(meta).forEach(([key, entry]) => {
+      if (!currentKeys.has(key)) {
+        delete meta[key];
+      } else if (entry.fuzzy && translations[key] !== entry.fuzzy.translation) {
+        // The carried translation was edited: reviewed
+        delete entry.fuzzy;
+      }
+    });
+
+    const carried = this.config.fuzzy
+      ? this.carryOverSimilarKeys(keys, translations, meta, obsolete)
+      : [];
+    const stale = this.config.staleTracking
+      ? this.trackSourceMessages(keys, translations, meta)
+      : [];
+
+    Object.keys(meta).forEach((key) => {
+      if (Object.keys(meta[key]).length === 0) delete meta[key];
+    });
+
+    const reviews = {};
+    Object.entries(meta).forEach(([key, entry]) => {
+      if (entry.fuzzy) {
+        reviews[key] = `carried over from ${JSON.stringify(entry.fuzzy.from)}`;
+      }
+    });
+    stale.forEach(({ key }) => {
+      reviews[key] =
+        reviews[key] || "the source message changed since it was translated";
+    });
+
+    return { reviews, carried, stale };
+  }
+
+  /**
+   * Carries the translations of keys no longer found in the code over to
+   * new, similar keys of the same catalog (a typo fixed in the message)
+   * @param {import('./types.js').ExtractedKey[]} keys - Keys of the catalog
+   * @param {Object<string, string>} translations - Existing translations of the catalog (updated)
+   * @param {Object<string, CatalogMetaEntry>} meta - Metadata of the catalog (updated)
+   * @param {ObsoleteKeys|null} obsolete - Obsolete translations of the locale (updated)
+   * @returns {{ key: string, from: string, similarity: number }[]} Translations carried over
+   */
+  carryOverSimilarKeys(keys, translations, meta, obsolete) {
+    const currentKeys = new Set(keys.map((key) => key.key));
+    const removedKeys = Object.keys(translations).filter(
+      (key) => !currentKeys.has(key) && isTranslated(translations[key])
+    );
+    const carried = findSimilarKeys(
+      keys
+        .filter((key) => !isTranslated(translations[key.key]))
+        .map((key) => key.key),
+      removedKeys,
+      this.config.fuzzy.threshold
+    );
+
+    carried.forEach(({ key, from }) => {
+      translations[key] = translations[from];
+      meta[key] = {
+        ...meta[key],
+        fuzzy: { from, translation: translations[from] },
+      };
+
+      // The translation lives on in the new key
+      if (obsolete) {
+        delete obsolete.entries[from];
+        obsolete.retired.delete(from);
+      }
+    });
+
+    return carried;
+  }
+
+  /**
+   * Records the fingerprints of the source message and translation of each
+   * translated key, and finds the translations whose source message changed
+   * since they were made
+   * A new or edited translation is taken as made against the current source
+   * message; translations still inherited from a fallback are not tracked
+   * @param {import('./types.js').ExtractedKey[]} keys - Keys of the catalog
+   * @param {Object<string, string>} translations - Existing translations of the catalog
+   * @param {Object<string, CatalogMetaEntry>} meta - Metadata of the catalog (updated)
+   * @returns {{ key: string, source: string }[]} Stale translations, with their current source message
+   */
+  trackSourceMessages(keys, translations, meta) {
+    const stale = [];
+
+    keys.forEach((key) => {
+      const translation = translations[key.key];
+      const entry = meta[key.key] || {};
+
+      if (
+        !isTranslated(translation) ||
+        translation === entry.inherited?.translation
+      ) {
+        delete entry.source;
+        delete entry.target;
+      } else if (entry.target !== getFingerprint(translation)) {
+        entry.source = getFingerprint(key.message);
+        entry.target = getFingerprint(translation);
+      } else if (entry.source !== getFingerprint(key.message)) {
+        stale.push({ key: key.key, source: key.message });
+      }
+
+      meta[key.key] = entry;
+    });
+
+    return stale;
+  }
+
+  /**
+   * Prints the translations made against an older source message, grouped
+   * by catalog file
+   * @param {{ file: string, key: string, source: string }[]} stale
    */
-  async extract() {
-    console.log(chalk.blue("🚀 Initializing extraction..."));
-    console.log(
-      chalk.gray(`   Strategy: ${this.config.splitting?.strategy || "flat"}`)
-    );
-    console.log(chalk.gray(`   Source locale: ${this.config.sourceLocale}`));
+  reportStaleTranslations(stale) {
+    if (stale.length === 0) return;
+
+    console.log();
     console.log(
-      chalk.gray(
-        `   Target locales: ${this.config.locales.filter((l) => l !== this.config.sourceLocale).join(", ")}`
+      chalk.yellow(
+        `🕰️ ${stale.length} stale translation(s), made against an older source message:`
       )
     );
-    console.log();
-
-    // Migrate old files with invalid names before extraction
-    await this.migrateInvalidFileNames();
 
-    // Scan files and SORT for deterministic processing
-    const files = await glob(this.config.catalogs.include, {
-      ignore: this.config.catalogs.exclude,
+    const byFile = new Map();
+    stale.forEach((entry) => {
+      if (!byFile.has(entry.file)) byFile.set(entry.file, []);
+      byFile.get(entry.file).push(entry);
     });
+    byFile.forEach((entries, file) => {
+      console.log(chalk.gray(`   ${file}`));
+      entries.forEach((entry) => {
+        const source =
+          entry.source === entry.key
+            ? ""
+            : chalk.gray(` (source: ${JSON.stringify(entry.source)})`);
+        console.log(`     ${JSON.stringify(entry.key)}${source}`);
+      });
+    });
+  }
 
-    // Sort files for deterministic processing order
-    files.sort();
+  /**
+   * Prints the translations carried over from similar keys, grouped by
+   * catalog file
+   * @param {{ file: string, key: string, from: string, similarity: number }[]} carried
+   */
+  reportCarriedOver(carried) {
+    if (carried.length === 0) return;
 
-    console.log(chalk.blue(`📂 Scanning ${files.length} file(s)...`));
+    console.log();
+    console.log(
+      chalk.yellow(
+        `🔁 ${carried.length} translation(s) carried over from similar keys (need review):`
+      )
+    );
 
-    // Extract keys from all files
-    let allKeys = [];
-    for (const file of files) {
-      try {
-        const safePath = validatePath(file);
-        const keys = this.keyExtractor.extractFromFile(safePath);
+    const byFile = new Map();
+    carried.forEach((match) => {
+      if (!byFile.has(match.file)) byFile.set(match.file, []);
+      byFile.get(match.file).push(match);
+    });
+    byFile.forEach((matches, file) => {
+      console.log(chalk.gray(`   ${file}`));
+      matches.forEach((match) => {
+        console.log(
+          `     ${JSON.stringify(match.key)} ← ${JSON.stringify(match.from)}` +
+            chalk.gray(` (${Math.round(match.similarity * 100)}% similar)`)
+        );
+      });
+    });
+  }
 
-        // Apply namespace to each key
-        keys.forEach((key) => {
-          key.namespace = this.namespaceGenerator.generate(safePath);
-        });
+  /**
+   * Loads the metadata of a target locale catalog
+   * @param {string} catalogPath - Path of the catalog
+   * @returns {Promise<Object<string, CatalogMetaEntry>>} Metadata by key
+   */
+  async loadCatalogMeta(catalogPath) {
+    const metaPath = getMetaPath(catalogPath);
+    if (!fs.pathExistsSync(metaPath)) return {};
 
-        allKeys = this.keyExtractor.mergeKeys(allKeys, keys);
-      } catch (err) {
-        console.warn(chalk.yellow(`⚠ Skipping ${file}: ${err.message}`));
-      }
+    try {
+      return await fs.readJSON(metaPath);
+    } catch (err) {
+      console.warn(
+        chalk.yellow(
+          `⚠ Could not load ${path.basename(metaPath)}: ${err.message}`
+        )
+      );
+      return {};
     }
+  }
 
-    console.log(chalk.blue(`🔑 Found ${allKeys.length} unique key(s)`));
-
-    // Count special features
-    const withVars = allKeys.filter(
-      (k) => k.variables && k.variables.length > 0
-    ).length;
-    const withPlural = allKeys.filter((k) => k.hasPlural).length;
-    const withDate = allKeys.filter((k) => k.hasDate).length;
+  /**
+   * Writes the metadata of a target locale catalog to `<catalog>.meta.json`
+   * The file is removed once no key has metadata anymore
+   * @param {string} catalogPath - Path of the catalog
+   * @param {Object<string, CatalogMetaEntry>} meta - Metadata by key
+   * @param {Object} stats - Statistics object to update
+   */
+  async writeCatalogMeta(catalogPath, meta, stats) {
+    const metaPath = getMetaPath(catalogPath);
 
-    if (withVars > 0) {
-      console.log(chalk.cyan(`   → ${withVars} with variables`));
-    }
-    if (withPlural > 0) {
-      console.log(chalk.cyan(`   → ${withPlural} with pluralization`));
+    if (Object.keys(meta).length === 0) {
+      if (fs.pathExistsSync(metaPath)) {
+        await fs.remove(metaPath);
+      }
+      return;
     }
-    if (withDate > 0) {
-      console.log(chalk.cyan(`   → ${withDate} with date formatting`));
+
+    // Sort keys for deterministic output
+    const sorted = Object.fromEntries(
+      Object.keys(meta)
+        .sort()
+        .map((key) => [key, meta[key]])
+    );
+    const content = JSON.stringify(sorted, null, 2) + "\n";
+    if (!(await this.shouldWriteFile(metaPath, content))) {
+      stats.skipped++;
+      return;
     }
 
-    // Get namespaces
-    const namespaces = this.namespaceGenerator.getNamespaces(allKeys);
-    const groupedKeys = this.namespaceGenerator.groupByNamespace(allKeys);
+    await fs.ensureDir(path.dirname(metaPath));
+    await fs.writeFile(metaPath, content, "utf-8");
+    stats.generated++;
 
-    console.log(chalk.cyan(`   → ${namespaces.length} namespace(s)`));
-    console.log();
+    console.log(chalk.green(`✓ Generated ${path.basename(metaPath)}`));
+  }
 
-    // Track statistics
-    const stats = {
-      generated: 0,
-      skipped: 0,
-      preserved: 0,
-      newKeys: 0,
-      totalKeys: 0,
-    };
+  /**
+   * Sets aside the translations of keys no longer found in the code: they
+   * are removed from the catalogs of the locale and kept in its obsolete
+   * translations (`<locale>.obsolete.json`)
+   * Translations that were already obsolete age by one run, unless `age`
+   * is false
+   * @param {string} locale - Target locale
+   * @param {string[]} namespaces - Namespaces of the extracted keys
+   * @param {Map<string, import('./types.js').ExtractedKey[]>} groupedKeys - Keys by namespace
+   * @param {boolean} [age] - Whether this run counts for `obsolete.keepRuns` (default: true)
+   * @returns {Promise<ObsoleteKeys>}
+   */
+  async retireObsoleteKeys(locale, namespaces, groupedKeys, age = true) {
+    const entries = await this.loadObsoleteKeys(locale);
+    if (age) {
+      Object.values(entries).forEach((entry) => entry.runs++);
+    }
 
-    // Generate catalogs for each locale and namespace
-    for (const locale of this.config.locales) {
-      for (const namespace of namespaces) {
-        const keys = groupedKeys.get(namespace) || [];
-        const fileName = this.namespaceGenerator.getFileName(
-          namespace,
-          locale,
-          this.config.format
-        );
-        const outputPath = validatePath(
-          path.join(this.config.catalogs.outputFolder, fileName)
+    const retired = new Set();
+    for (const namespace of namespaces) {
+      const currentKeys = new Set(
+        (groupedKeys.get(namespace) || []).map((key) => key.key)
+      );
+      let translations;
+      try {
+        translations = await this.loadCatalog(
+          this.namespaceGenerator.getFileName(
+            namespace,
+            locale,
+            this.config.format
+          )
         );
+      } catch {
+        continue; // Reported when the catalog is generated
+      }
 
-        // Load existing translations
-        let existingTranslations = {};
-        let existingCount = 0;
-
-        if (fs.pathExistsSync(outputPath)) {
-          try {
-            existingTranslations = await this.loadTranslationFile(outputPath);
-            existingCount = Object.keys(existingTranslations).length;
-            stats.preserved += existingCount;
-          } catch (err) {
-            console.warn(
-              chalk.yellow(
-                `⚠ Could not load existing translations for ${locale}/${namespace}: ${err.message}`
-              )
-            );
-          }
-        }
+      Object.entries(translations).forEach(([key, translation]) => {
+        if (currentKeys.has(key) || !isTranslated(translation)) return;
 
-        // Generate catalog
-        const isSourceLocale = locale === this.config.sourceLocale;
-        let content;
+        entries[key] = { translation, namespace, runs: 1 };
+        retired.add(key);
+      });
+    }
 
-        if (this.config.format === "json") {
-          content = this.catalogGenerator.generateJSON(
-            keys,
-            existingTranslations,
-            isSourceLocale
-          );
-        } else {
-          const header = this.config.header || "module.exports=";
-          content = this.catalogGenerator.generateJS(
-            keys,
-            existingTranslations,
-            header,
-            isSourceLocale
-          );
-        }
+    return { entries, retired, restored: new Set() };
+  }
 
-        // Check if content actually changed before writing
-        const shouldWrite = await this.shouldWriteFile(outputPath, content);
+  /**
+   * Gives back the obsolete translations of keys found in the code again,
+   * also when they moved to another namespace
+   * @param {import('./types.js').ExtractedKey[]} keys - Keys of the catalog
+   * @param {Object<string, string>} translations - Existing translations of the catalog (updated)
+   * @param {ObsoleteKeys} obsolete - Obsolete translations of the locale (updated)
+   */
+  restoreObsoleteKeys(keys, translations, obsolete) {
+    keys.forEach(({ key }) => {
+      const entry = obsolete.entries[key];
+      if (!entry) return;
+
+      if (!isTranslated(translations[key])) {
+        translations[key] = entry.translation;
+        // Keys moved to another namespace in this run were never obsolete
+        if (!obsolete.retired.has(key)) obsolete.restored.add(key);
+      }
+      obsolete.retired.delete(key);
+      delete obsolete.entries[key];
+    });
+  }
 
-        if (!shouldWrite) {
-          stats.skipped++;
-          continue; // Skip writing unchanged file
+  /**
+   * Writes the obsolete translations of a locale, dropping those kept for
+   * more than `obsolete.keepRuns` runs
+   * The file is removed once no obsolete translation is left
+   * @param {string} locale - Target locale
+   * @param {ObsoleteKeys} obsolete - Obsolete translations of the locale
+   * @param {Object} stats - Statistics object to update
+   */
+  async writeObsoleteKeys(locale, obsolete, stats) {
+    const { keepRuns } = this.config.obsolete;
+    const entries = {};
+
+    // Sort keys for deterministic output
+    Object.keys(obsolete.entries)
+      .sort()
+      .forEach((key) => {
+        const entry = obsolete.entries[key];
+        if (keepRuns && entry.runs > keepRuns) {
+          stats.expired++;
+          return;
         }
+        entries[key] = entry;
+      });
 
-        // Ensure directory exists
-        await fs.ensureDir(path.dirname(outputPath));
-
-        // Write file
-        await fs.writeFile(outputPath, content, "utf-8");
+    stats.retired += [...obsolete.retired].filter(
+      (key) => key in entries
+    ).length;
+    stats.restored += obsolete.restored.size;
 
-        // Count new keys (keys not in existing translations)
-        const newKeysCount = keys.filter(
-          (k) => !existingTranslations[k.key]
-        ).length;
-        stats.newKeys += newKeysCount;
-        stats.totalKeys += keys.length;
-        stats.generated++;
+    const filePath = this.getObsoletePath(locale);
 
-        // Show detailed log for non-source locales with new keys
-        if (!isSourceLocale && newKeysCount > 0) {
-          console.log(
-            chalk.green(`✓ Generated ${fileName}`) +
-              chalk.gray(` (${existingCount} preserved, ${newKeysCount} new)`)
-          );
-        } else {
-          console.log(chalk.green(`✓ Generated ${fileName}`));
-        }
+    if (Object.keys(entries).length === 0) {
+      if (fs.pathExistsSync(filePath)) {
+        await fs.remove(filePath);
       }
+      return;
     }
 
-    // Generate index files - one per locale when using splitting
-    if (namespaces.length > 1) {
-      await this.generateLocaleIndexFiles(namespaces, stats);
+    const content = JSON.stringify(entries, null, 2) + "\n";
+    if (!(await this.shouldWriteFile(filePath, content))) {
+      stats.skipped++;
+      return;
     }
 
-    // Print summary
-    console.log();
-    console.log(chalk.green("✅ Extract complete!"));
-    console.log(chalk.gray(`   ${stats.generated} files generated`));
-    if (stats.skipped > 0) {
-      console.log(chalk.gray(`   ${stats.skipped} files unchanged (skipped)`));
-    }
-    if (stats.preserved > 0) {
-      console.log(
-        chalk.gray(`   ${stats.preserved} existing translations preserved`)
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.writeFile(filePath, content, "utf-8");
+    stats.generated++;
+
+    console.log(chalk.green(`✓ Generated ${path.basename(filePath)}`));
+  }
+
+  /**
+   * Loads the obsolete translations of a locale
+   * @param {string} locale - Target locale
+   * @returns {Promise<Object<string, ObsoleteEntry>>} Obsolete translations by key
+   */
+  async loadObsoleteKeys(locale) {
+    const filePath = this.getObsoletePath(locale);
+    if (!fs.pathExistsSync(filePath)) return {};
+
+    try {
+      return await fs.readJSON(filePath);
+    } catch (err) {
+      console.warn(
+        chalk.yellow(
+          `⚠ Could not load obsolete translations for ${locale}: ${err.message}`
+        )
       );
+      return {};
     }
-    if (stats.newKeys > 0) {
-      console.log(
-        chalk.yellow(`   ${stats.newKeys} new keys need translation`)
-      );
+  }
+
+  /**
+   * Deletes the obsolete translations of every target locale
+   * @returns {Promise<number>} Number of purged translations
+   */
+  async purgeObsolete() {
+    let purged = 0;
+
+    for (const locale of this.config.locales) {
+      if (locale === this.config.sourceLocale) continue;
+
+      const filePath = this.getObsoletePath(locale);
+      if (!fs.pathExistsSync(filePath)) continue;
+
+      purged += Object.keys(await this.loadObsoleteKeys(locale)).length;
+      await fs.remove(filePath);
+      console.log(chalk.green(`✓ Removed ${path.basename(filePath)}`));
     }
+
+    console.log(chalk.green(`✅ Purged ${purged} obsolete translation(s)`));
+
+    return purged;
+  }
+
+  /**
+   * Returns the path of the obsolete translations of a locale
+   * @param {string} locale
+   * @returns {string}
+   */
+  getObsoletePath(locale) {
+    return validatePath(
+      path.join(this.config.catalogs.outputFolder, `${locale}.obsolete.json`)
+    );
   }
 
   /**
@@ -238,31 +1787,46 @@ export class Extractor {
 
   /**
    * Loads a translation file and returns its content as an object
-   * Supports JSON, JS, and TS files with various export formats
+   * Supports JSON, YAML, PO/POT, JS, and TS files with various export formats
    * @param {string} filePath
    * @returns {Promise<Object>}
    */
   async loadTranslationFile(filePath) {
+    // Nested catalogs are read back as flat key paths
+    return flattenKeys(
+      await this.readCatalogObject(filePath),
+      this.config.keySeparator
+    );
+  }
+
+  /**
+   * Reads the object of a translation file, as written (flat or nested)
+   * @param {string} filePath
+   * @returns {Promise<Object>}
+   */
+  async readCatalogObject(filePath) {
     const ext = path.extname(filePath);
 
     if (ext === ".json") {
       return await fs.readJSON(filePath);
     }
 
-    // For JS/TS files, try multiple approaches
+    if (ext === ".yaml" || ext === ".yml") {
+      return yaml.load(await fs.readFile(filePath, "utf-8")) || {};
+    }
+
+    if (ext === ".po" || ext === ".pot") {
+      return getPOTranslations(await fs.readFile(filePath, "utf-8"));
+    }
+
+    // JS/TS files are read as text rather than imported: Node caches
+    // CommonJS modules (module.exports=) for the life of the process, which
+    // would return stale translations to long-running processes (--watch)
     try {
-      // First try: dynamic import (works for ES modules)
-      const fileUrl = `file://${path.resolve(filePath)}?t=${Date.now()}`;
-      const imported = await import(fileUrl);
-      return imported.default || imported;
+      const content = await fs.readFile(filePath, "utf-8");
+      return this.parseTranslationContent(content);
     } catch {
-      // Second try: read and parse manually
-      try {
-        const content = await fs.readFile(filePath, "utf-8");
-        return this.parseTranslationContent(content);
-      } catch {
-        return {};
-      }
+      return {};
     }
   }
 
@@ -274,9 +1838,10 @@ export class Extractor {
   parseTranslationContent(content) {
     // Try to extract the object from various export formats
     const patterns = [
-      /export\s+default\s+({[\s\S]*?});?\s*$/m,
-      /module\.exports\s*=\s*({[\s\S]*?});?\s*$/m,
-      /^({[\s\S]*?});?\s*$/m,
+      // The header may be written without a space ("export default{")
+      /export\s+default\s*({[\s\S]*});?\s*$/m,
+      /module\.exports\s*=\s*({[\s\S]*});?\s*$/m,
+      /^({[\s\S]*});?\s*$/m,
     ];
 
     for (const pattern of patterns) {
@@ -301,8 +1866,16 @@ export class Extractor {
    * @param {Object} stats - Statistics object to update
    */
   async generateLocaleIndexFiles(namespaces, stats) {
-    for (const locale of this.config.locales) {
-      const indexFileName = `${locale}.${this.config.format}`;
+    const pseudoLocale = this.getPseudoLocale();
+    const locales = pseudoLocale
+      ? [...this.config.locales, pseudoLocale]
+      : this.config.locales;
+
+    for (const locale of locales) {
+      // YAML has no imports: its index is a JS module
+      const indexFormat =
+        this.config.format === "yaml" ? "js" : this.config.format;
+      const indexFileName = `${locale}.${indexFormat}`;
       const indexPath = validatePath(
         path.join(this.config.catalogs.outputFolder, indexFileName)
       );
@@ -360,7 +1933,9 @@ export class Extractor {
 
       // Check if it's a translation file (not index files)
       const ext = path.extname(fileName);
-      if (![".js", ".ts", ".json"].includes(ext)) {
+      if (
+        ![".js", ".ts", ".json", ".yaml", ".yml", ".po", ".pot"].includes(ext)
+      ) {
         continue;
       }
 
@@ -454,8 +2029,33 @@ export class Extractor {
   async writeTranslationFile(filePath, content) {
     const ext = path.extname(filePath);
 
+    // PO catalogs are always flat
+    if (this.config.nested && ext !== ".po" && ext !== ".pot") {
+      content = nestKeys(Object.entries(content), this.config.keySeparator);
+    }
+
     if (ext === ".json") {
       await fs.writeJSON(filePath, content, { spaces: 2 });
+    } else if (ext === ".yaml" || ext === ".yml") {
+      await fs.writeFile(
+        filePath,
+        yaml.dump(content, { lineWidth: -1, quotingType: '"' }),
+        "utf-8"
+      );
+    } else if (ext === ".po" || ext === ".pot") {
+      // Keys are written as they are: comments and references come back
+      // with the next extraction
+      const keys = Object.keys(content).map((key) => ({
+        key,
+        message: key,
+        files: [],
+      }));
+      const locale = path.basename(filePath).split(".")[0];
+      await fs.writeFile(
+        filePath,
+        this.catalogGenerator.generatePO(keys, content, false, locale),
+        "utf-8"
+      );
     } else {
       // For JS/TS files
       const header = this.config.header || "export default";
@@ -466,3 +2066,147 @@ export class Extractor {
     }
   }
 }
+
+/**
+ * File name of the TypeScript declarations, in the output folder
+ */
+const TYPES_FILE_NAME = "message-schema.d.ts";
+
+/**
+ * Summary labels of the translation checks
+ */
+const ISSUE_LABELS = {
+  placeholders: "translation(s) with placeholder issues",
+  plurals: "translation(s) with plural category issues",
+  links: "link(s) to missing keys",
+};
+
+/**
+ * Console descriptions of the translation issues, by check
+ */
+const ISSUE_DESCRIPTIONS = {
+  placeholders: describePlaceholderIssue,
+  plurals: describePluralIssue,
+  links: describeLinkIssue,
+};
+
+/**
+ * Builds the XLIFF notes of a key: references, variables, context and
+ * translator comments
+ * @param {import('./types.js').ExtractedKey} key
+ * @param {string[]} references - Source references of the key
+ * @returns {{ category: string, text: string }[]}
+ */
+function getXliffNotes(key, references) {
+  return [
+    ...(references.length > 0
+      ? [{ category: "location", text: references.join(" ") }]
+      : []),
+    ...(key.variables && key.variables.length > 0
+      ? [{ category: "variables", text: formatVariables(key) }]
+      : []),
+    ...(key.context ? [{ category: "context", text: key.context }] : []),
+    ...(key.comments || []).map((text) => ({ category: "description", text })),
+  ];
+}
+
+/**
+ * Describes an XLIFF import conflict for the console
+ * @param {XliffConflict} conflict
+ * @returns {string}
+ */
+function describeXliffConflict(conflict) {
+  switch (conflict.type) {
+    case "unknown":
+      return "key not found in the source catalogs";
+    case "source":
+      return `source message changed to ${JSON.stringify(conflict.source)}`;
+    default:
+      return `already translated as ${JSON.stringify(conflict.existing)}`;
+  }
+}
+
+/**
+ * Resolves a file path so that paths from the watcher and from glob compare
+ * @param {string} file - File path
+ * @returns {string}
+ */
+function resolveFile(file) {
+  return path.resolve(file);
+}
+
+/**
+ * Returns the path of the metadata of a catalog (`pt.json` → `pt.meta.json`)
+ * @param {string} catalogPath - Path of the catalog
+ * @returns {string}
+ */
+function getMetaPath(catalogPath) {
+  return catalogPath.replace(/\.[^./\\]+$/, ".meta.json");
+}
+
+/**
+ * Fingerprint of a message, to detect changes without keeping its text
+ * @param {string} message
+ * @returns {string}
+ */
+function getFingerprint(message) {
+  return createHash("sha256").update(message).digest("hex").slice(0, 16);
+}
+
+/**
+ * Maps the keys of a catalog to their source messages
+ * @param {import('./types.js').ExtractedKey[]} keys
+ * @returns {Object<string, string>}
+ */
+function getSourceMessages(keys) {
+  return Object.fromEntries(keys.map((key) => [key.key, key.message]));
+}
+
+/**
+ * Identifies a dynamic key usage independently of its line, so moving code
+ * around does not make a known usage look new
+ * @param {import('./types.js').DynamicKey} entry
+ * @returns {string}
+ */
+function getDynamicKeyId(entry) {
+  return `${entry.file}\u0000${entry.function}\u0000${entry.expression}`;
+}
+
+/**
+ * @typedef {(import('./validators/placeholder-validator.js').PlaceholderIssue
+ *   | import('./validators/plural-validator.js').PluralIssue
+ *   | import('./validators/link-validator.js').LinkIssue)
+ *   & { check: 'placeholders'|'plurals'|'links' }} TranslationIssue
+ */
+
+/**
+ * @typedef {Object} CatalogMetaEntry
+ * @property {{ from: string, translation: string }} [fuzzy] - Translation carried over from a similar key, pending review
+ * @property {string} [source] - Fingerprint of the source message the translation was made against
+ * @property {string} [target] - Fingerprint of the translation
+ * @property {{ locale: string, translation: string }} [inherited] - Translation inherited from a fallback locale, as written to the catalog
+ */
+
+/**
+ * @typedef {Object} ObsoleteEntry
+ * @property {string} translation - Translation of the removed key
+ * @property {string} namespace - Namespace the key was removed from
+ * @property {number} runs - Extraction runs since the key was removed
+ */
+
+/**
+ * @typedef {Object} ObsoleteKeys
+ * @property {Object<string, ObsoleteEntry>} entries - Obsolete translations by key
+ * @property {Set<string>} retired - Keys removed in this run
+ * @property {Set<string>} restored - Keys given back in this run
+ */
+
+/**
+ * @typedef {Object} XliffConflict
+ * @property {string} file - Catalog file name
+ * @property {string} key - Catalog key
+ * @property {'unknown'|'source'|'translation'} type - Key not found, source message changed, or already translated
+ * @property {string} target - Translation from the XLIFF file
+ * @property {string} [source] - Current source message (for "source")
+ * @property {string} [existing] - Current translation (for "translation")
+ */
@@ -1,10 +1,41 @@
 import path from "path";
-import { escapeString } from "../utils/security.js";
+import {
+  escapeString,
+  escapeComment,
+  escapePOString,
+} from "../utils/security.js";
+import {
+  parseICU,
+  printICU,
+  isPluralSkeleton,
+} from "../parsers/message-parser.js";
+import { getRequiredPluralCategories } from "../utils/plural-rules.js";
+import { CONTEXT_SEPARATOR } from "../parsers/key-extractor.js";
+import { nestKeys, DEFAULT_KEY_SEPARATOR } from "../utils/nesting.js";
 
 /**
  * Generates catalog files in different formats
  */
 export class CatalogGenerator {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.pluralSkeletons] - Pre-fill new plural keys of
+   *   target locales with the plural categories of the locale
+   * @param {import('../parsers/message-parser.js').MessageSyntax} [options.messageSyntax] - Syntax of the messages (default: "icu")
+   * @param {boolean} [options.nested] - Write JS, JSON and YAML catalogs as
+   *   nested objects, splitting keys on `keySeparator`
+   * @param {string} [options.keySeparator] - Separator of nested key paths (default: ".")
+   * @param {boolean} [options.omitInherited] - Leave out of target locale
+   *   catalogs the keys whose translation is inherited from a fallback locale
+   */
+  constructor(options = {}) {
+    this.pluralSkeletons = options.pluralSkeletons || false;
+    this.messageSyntax = options.messageSyntax || "icu";
+    this.nested = options.nested || false;
+    this.keySeparator = options.keySeparator || DEFAULT_KEY_SEPARATOR;
+    this.omitInherited = options.omitInherited || false;
+  }
+
   /**
    * Converts an absolute file path to a relative path from the current working directory
    * @param {string} absolutePath - Absolute file path
@@ -29,15 +60,27 @@ export class CatalogGenerator {
    * @param {Object} existingTranslations - Existing translations to preserve
    * @param {string} header - Header for the file
    * @param {boolean} isSourceLocale - Whether this is the source locale
+   * @param {string} [locale] - Locale of the catalog (for plural skeletons)
+   * @param {Object<string, string>} [reviews] - Keys whose translation needs review, with the reason
+   * @param {Object<string, InheritedTranslation>} [inherited] - Translations of the fallback locales
    * @returns {string} Generated file content
    */
   generateJS(
     keys,
     existingTranslations = {},
     header = "module.exports=",
-    isSourceLocale = false
+    isSourceLocale = false,
+    locale = null,
+    reviews = {},
+    inherited = {}
   ) {
-    const keysByFile = this.groupKeysByFile(keys);
+    if (this.nested) {
+      return `${header}${this.generateNested(keys, existingTranslations, isSourceLocale, locale, "js", reviews, inherited)};\n`;
+    }
+
+    const keysByFile = this.groupKeysByFile(
+      this.getCatalogKeys(keys, existingTranslations, isSourceLocale, inherited)
+    );
 
     let output = `${header}{\n`;
 
@@ -62,21 +105,20 @@ export class CatalogGenerator {
           value = escapeString(key.message);
         } else {
           // For other locales, preserve existing translation or leave empty
-          value = existingTranslations[key.key]
-            ? escapeString(existingTranslations[key.key])
-            : "";
+          value = escapeString(
+            this.getTranslation(key, existingTranslations, locale, inherited)
+          );
         }
 
         // Add metadata as comment if key has special features
-        if (key.variables && key.variables.length > 0) {
-          output += `  // Variables: ${key.variables.join(", ")}\n`;
-        }
-        if (key.hasPlural) {
-          output += `  // Uses pluralization\n`;
-        }
-        if (key.hasDate) {
-          output += `  // Uses date formatting\n`;
-        }
+        this.getKeyComments(
+          key,
+          isSourceLocale,
+          reviews[key.key],
+          getInheritedLocale(key, existingTranslations, inherited)
+        ).forEach((comment) => {
+          output += `  // ${comment}\n`;
+        });
 
         output += `  "${safeKey}": "${value}",\n`;
       });
@@ -91,30 +133,529 @@ export class CatalogGenerator {
     return output;
   }
 
+  /**
+   * Generates a YAML catalog file, with the same file origin and metadata
+   * comments as JS catalogs
+   * Keys and values are written as double-quoted scalars (JSON strings are
+   * valid YAML)
+   * @param {import('../types.js').ExtractedKey[]} keys - Extracted keys
+   * @param {Object} existingTranslations - Existing translations to preserve
+   * @param {boolean} isSourceLocale - Whether this is the source locale
+   * @param {string} [locale] - Locale of the catalog (for plural skeletons)
+   * @param {Object<string, string>} [reviews] - Keys whose translation needs review, with the reason
+   * @param {Object<string, InheritedTranslation>} [inherited] - Translations of the fallback locales
+   * @returns {string} Generated file content
+   */
+  generateYAML(
+    keys,
+    existingTranslations = {},
+    isSourceLocale = false,
+    locale = null,
+    reviews = {},
+    inherited = {}
+  ) {
+    const catalogKeys = this.getCatalogKeys(
+      keys,
+      existingTranslations,
+      isSourceLocale,
+      inherited
+    );
+    if (catalogKeys.length === 0) {
+      return "{}\n";
+    }
+
+    if (this.nested) {
+      return this.generateNested(
+        catalogKeys,
+        existingTranslations,
+        isSourceLocale,
+        locale,
+        "yaml",
+        reviews,
+        inherited
+      );
+    }
+
+    const keysByFile = this.groupKeysByFile(catalogKeys);
+    const blocks = [];
+
+    // Sort file groups and keys for deterministic output
+    Object.keys(keysByFile)
+      .sort()
+      .forEach((file) => {
+        let block = `# ${escapeComment(file)}\n`;
+
+        keysByFile[file]
+          .sort((a, b) => a.key.localeCompare(b.key))
+          .forEach((key) => {
+            const value = isSourceLocale
+              ? key.message
+              : this.getTranslation(
+                  key,
+                  existingTranslations,
+                  locale,
+                  inherited
+                );
+
+            this.getKeyComments(
+              key,
+              isSourceLocale,
+              reviews[key.key],
+              getInheritedLocale(key, existingTranslations, inherited)
+            ).forEach((comment) => {
+              block += `# ${comment}\n`;
+            });
+            block += `${JSON.stringify(key.key)}: ${JSON.stringify(value)}\n`;
+          });
+
+        blocks.push(block);
+      });
+
+    return blocks.join("\n");
+  }
+
+  /**
+   * Lists the metadata comments of a key in commented catalogs (JS, YAML)
+   * @param {import('../types.js').ExtractedKey} key - Extracted key
+   * @param {boolean} isSourceLocale - Whether this is the source locale
+   * @param {string} [review] - Why the translation needs review
+   * @param {string|null} [inheritedFrom] - Fallback locale the translation is inherited from
+   * @returns {string[]} Comment lines, without comment markers
+   */
+  getKeyComments(key, isSourceLocale, review, inheritedFrom) {
+    const comments = [];
+
+    if (review) {
+      comments.push(`Needs review: ${escapeComment(review)}`);
+    }
+    if (inheritedFrom) {
+      comments.push(`Inherited from ${escapeComment(inheritedFrom)}`);
+    }
+    if (key.hasExplicitId && !isSourceLocale) {
+      // The key is an ID: show translators the text to translate
+      comments.push(`Source: ${escapeComment(key.message)}`);
+    }
+    if (key.context) {
+      comments.push(`Context: ${escapeComment(key.context)}`);
+    }
+    if (key.comments) {
+      key.comments.forEach((comment) => {
+        comments.push(`Translators: ${escapeComment(comment)}`);
+      });
+    }
+    if (key.variables && key.variables.length > 0) {
+      comments.push(`Variables: ${formatVariables(key)}`);
+    }
+    if (key.hasPlural) {
+      comments.push("Uses pluralization");
+    }
+    if (key.hasDate) {
+      comments.push("Uses date formatting");
+    }
+
+    return comments;
+  }
+
   /**
    * Generates a JSON catalog file
    * @param {import('../types.js').ExtractedKey[]} keys - Extracted keys
    * @param {Object} existingTranslations - Existing translations to preserve
    * @param {boolean} isSourceLocale - Whether this is the source locale
+   * @param {string} [locale] - Locale of the catalog (for plural skeletons)
+   * @param {Object<string, InheritedTranslation>} [inherited] - Translations of the fallback locales
    * @returns {string} Generated file content
    */
-  generateJSON(keys, existingTranslations = {}, isSourceLocale = false) {
+  generateJSON(
+    keys,
+    existingTranslations = {},
+    isSourceLocale = false,
+    locale = null,
+    inherited = {}
+  ) {
     const translations = {};
 
     // Sort keys for deterministic output
-    const sortedKeys = [...keys].sort((a, b) => a.key.localeCompare(b.key));
+    const sortedKeys = this.getCatalogKeys(
+      keys,
+      existingTranslations,
+      isSourceLocale,
+      inherited
+    ).sort((a, b) => a.key.localeCompare(b.key));
 
     sortedKeys.forEach((key) => {
       if (isSourceLocale) {
         translations[key.key] = key.message;
       } else {
-        translations[key.key] = existingTranslations[key.key] || "";
+        translations[key.key] = this.getTranslation(
+          key,
+          existingTranslations,
+          locale,
+          inherited
+        );
       }
     });
 
+    if (this.nested) {
+      return JSON.stringify(
+        nestKeys(Object.entries(translations), this.keySeparator),
+        null,
+        2
+      );
+    }
+
     return JSON.stringify(translations, null, 2);
   }
 
+  /**
+   * Generates the nested object of a JS or YAML catalog: file origins and
+   * metadata are written as comments before each message
+   * @param {import('../types.js').ExtractedKey[]} keys - Extracted keys
+   * @param {Object} existingTranslations - Existing translations to preserve
+   * @param {boolean} isSourceLocale - Whether this is the source locale
+   * @param {string|null} locale - Locale of the catalog (for plural skeletons)
+   * @param {'js'|'yaml'} format - Output syntax
+   * @param {Object<string, string>} [reviews] - Keys whose translation needs review, with the reason
+   * @param {Object<string, InheritedTranslation>} [inherited] - Translations of the fallback locales
+   * @returns {string} Object literal (JS) or mapping (YAML)
+   */
+  generateNested(
+    keys,
+    existingTranslations,
+    isSourceLocale,
+    locale,
+    format,
+    reviews = {},
+    inherited = {}
+  ) {
+    const isYAML = format === "yaml";
+    const comment = isYAML ? "#" : "//";
+    const quote = (str) =>
+      isYAML ? JSON.stringify(str) : `"${escapeString(str)}"`;
+
+    // Sort keys for deterministic output; leaves hold the index of their key
+    const sortedKeys = this.getCatalogKeys(
+      keys,
+      existingTranslations,
+      isSourceLocale,
+      inherited
+    ).sort((a, b) => a.key.localeCompare(b.key));
+    const tree = nestKeys(
+      sortedKeys.map((key, index) => [key.key, index]),
+      this.keySeparator
+    );
+
+    const render = (node, depth) => {
+      const indent = "  ".repeat(depth);
+      const entries = Object.entries(node);
+
+      return entries
+        .map(([name, child], index) => {
+          const comma = !isYAML && index < entries.length - 1 ? "," : "";
+
+          if (typeof child !== "number") {
+            return isYAML
+              ? `${indent}${quote(name)}:\n${render(child, depth + 1)}`
+              : `${indent}${quote(name)}: {\n${render(child, depth + 1)}${indent}}${comma}\n`;
+          }
+
+          const key = sortedKeys[child];
+          const value = isSourceLocale
+            ? key.message
+            : this.getTranslation(key, existingTranslations, locale, inherited);
+
+          return (
+            [
+              escapeComment(this.getFileList(key)),
+              ...this.getKeyComments(
+                key,
+                isSourceLocale,
+                reviews[key.key],
+                getInheritedLocale(key, existingTranslations, inherited)
+              ),
+            ]
+              .map((text) => `${indent}${comment} ${text}\n`)
+              .join("") + `${indent}${quote(name)}: ${quote(value)}${comma}\n`
+          );
+        })
+        .join("");
+    };
+
+    return isYAML ? render(tree, 0) : `{\n${render(tree, 1)}}`;
+  }
+
+  /**
+   * Generates a Gettext PO catalog file
+   * Entries keep their context (`msgctxt`), translator and extracted
+   * comments (`#.`) and source references (`#: file:line`)
+   * @param {import('../types.js').ExtractedKey[]} keys - Extracted keys
+   * @param {Object} existingTranslations - Existing translations to preserve
+   * @param {boolean} isSourceLocale - Whether this is the source locale
+   * @param {string} locale - Locale of the catalog
+   * @param {Object<string, string>} [reviews] - Keys whose translation needs review, with the reason (flagged `fuzzy`)
+   * @param {Object<string, InheritedTranslation>} [inherited] - Translations of the fallback locales
+   * @returns {string} Generated file content
+   */
+  generatePO(
+    keys,
+    existingTranslations = {},
+    isSourceLocale = false,
+    locale,
+    reviews = {},
+    inherited = {}
+  ) {
+    return this.generatePOEntries(
+      this.getCatalogKeys(
+        keys,
+        existingTranslations,
+        isSourceLocale,
+        inherited
+      ),
+      locale,
+      (key) =>
+        isSourceLocale
+          ? key.message
+          : this.getTranslation(key, existingTranslations, locale, inherited),
+      !isSourceLocale,
+      reviews,
+      (key) => getInheritedLocale(key, existingTranslations, inherited)
+    );
+  }
+
+  /**
+   * Generates a Gettext POT template: the PO catalog of the source messages
+   * with empty translations, used to start new locales
+   * @param {import('../types.js').ExtractedKey[]} keys - Extracted keys
+   * @returns {string} Generated file content
+   */
+  generatePOT(keys) {
+    return this.generatePOEntries(keys, null, () => "", true);
+  }
+
+  /**
+   * Builds the entries of a PO/POT file, sorted by key
+   * @param {import('../types.js').ExtractedKey[]} keys - Extracted keys
+   * @param {string|null} locale - Locale of the catalog (null for templates)
+   * @param {(key: import('../types.js').ExtractedKey) => string} getValue - Value of each entry
+   * @param {boolean} showSource - Show the source message of explicit IDs
+   * @param {Object<string, string>} [reviews] - Keys whose translation needs review, with the reason
+   * @param {(key: import('../types.js').ExtractedKey) => string|null} [getInheritedFrom] - Fallback locale the value of each entry is inherited from
+   * @returns {string} Generated file content
+   */
+  generatePOEntries(
+    keys,
+    locale,
+    getValue,
+    showSource,
+    reviews = {},
+    getInheritedFrom = () => null
+  ) {
+    const header = [
+      "Content-Type: text/plain; charset=UTF-8\n",
+      ...(locale ? [`Language: ${locale}\n`] : []),
+      "X-Generator: vuei18n-extractor\n",
+    ];
+
+    let output = `msgid ""\nmsgstr ""\n`;
+    header.forEach((line) => {
+      output += `"${escapePOString(line)}"\n`;
+    });
+
+    // Sort keys for deterministic output
+    const sortedKeys = [...keys].sort((a, b) => a.key.localeCompare(b.key));
+
+    sortedKeys.forEach((key) => {
+      output += "\n";
+
+      if (key.comments) {
+        key.comments.forEach((comment) => {
+          output += `#. ${escapeComment(comment)}\n`;
+        });
+      }
+      if (key.hasExplicitId && showSource) {
+        // The key is an ID: show translators the text to translate
+        output += `#. Source: ${escapeComment(key.message)}\n`;
+      }
+      if (key.variables && key.variables.length > 0) {
+        output += `#. Variables: ${formatVariables(key)}\n`;
+      }
+
+      if (reviews[key.key]) {
+        output += `#. Needs review: ${escapeComment(reviews[key.key])}\n`;
+      }
+      const inheritedFrom = getInheritedFrom(key);
+      if (inheritedFrom) {
+        output += `#. Inherited from ${escapeComment(inheritedFrom)}\n`;
+      }
+
+      const references = this.getReferences(key);
+      if (references.length > 0) {
+        output += `#: ${references.join(" ")}\n`;
+      }
+      if (reviews[key.key]) {
+        output += "#, fuzzy\n";
+      }
+
+      if (key.context) {
+        output += formatPOString("msgctxt", key.context);
+      }
+      output += formatPOString("msgid", getMessageId(key));
+      output += formatPOString("msgstr", getValue(key));
+    });
+
+    return output;
+  }
+
+  /**
+   * Lists the source references of a key (`src/App.vue:12`), with relative
+   * paths and the first line of the key in each file when known
+   * @param {import('../types.js').ExtractedKey} key - Extracted key
+   * @returns {string[]} References, sorted by file
+   */
+  getReferences(key) {
+    const lines = key.lines || {};
+
+    return [...key.files].sort().map((file) => {
+      // References are separated by spaces: encode them in paths
+      const reference = this.toRelativePath(file).replace(/ /g, "%20");
+      return lines[file] ? `${reference}:${lines[file]}` : reference;
+    });
+  }
+
+  /**
+   * Lists the keys written to a catalog: with `omitInherited`, target locale
+   * catalogs leave out the keys whose translation is inherited from a
+   * fallback locale (vue-i18n falls back to it at runtime)
+   * @param {import('../types.js').ExtractedKey[]} keys - Extracted keys
+   * @param {Object} existingTranslations - Existing translations
+   * @param {boolean} isSourceLocale - Whether this is the source locale
+   * @param {Object<string, InheritedTranslation>} inherited - Translations of the fallback locales
+   * @returns {import('../types.js').ExtractedKey[]}
+   */
+  getCatalogKeys(keys, existingTranslations, isSourceLocale, inherited) {
+    if (!this.omitInherited || isSourceLocale) return [...keys];
+
+    return keys.filter(
+      (key) => !getInheritedLocale(key, existingTranslations, inherited)
+    );
+  }
+
+  /**
+   * Returns the value of a key in a target locale catalog: the existing
+   * translation, the translation of a fallback locale, a plural skeleton for
+   * new plural keys (if enabled) or ""
+   * @param {import('../types.js').ExtractedKey} key - Extracted key
+   * @param {Object} existingTranslations - Existing translations
+   * @param {string|null} locale - Locale of the catalog
+   * @param {Object<string, InheritedTranslation>} [inherited] - Translations of the fallback locales
+   * @returns {string}
+   */
+  getTranslation(key, existingTranslations, locale, inherited = {}) {
+    if (isTranslated(existingTranslations[key.key])) {
+      return existingTranslations[key.key];
+    }
+    if (inherited[key.key]) {
+      return inherited[key.key].translation;
+    }
+
+    // Pipe plurals (vue-i18n) follow the app's rules, not CLDR categories
+    if (
+      this.pluralSkeletons &&
+      this.messageSyntax === "icu" &&
+      key.hasPlural &&
+      locale
+    ) {
+      return this.createPluralSkeleton(key.message, locale) || "";
+    }
+
+    return "";
+  }
+
+  /**
+   * Builds a plural skeleton of a source message for a locale: plural
+   * arguments get one empty branch per plural category of the locale (exact
+   * selectors like =0 are kept), the rest of the message is kept as is
+   * Example (ru): "{n, plural, one {# file} other {# files}} left"
+   *   -> "{n, plural, one {} few {} many {} other {}} left"
+   * @param {string} message - Source message
+   * @param {string} locale - Target locale
+   * @returns {string|null} Skeleton, or null if the message or locale is not supported
+   */
+  createPluralSkeleton(message, locale) {
+    let ast;
+    try {
+      ast = parseICU(message);
+    } catch {
+      return null;
+    }
+
+    let supported = true;
+
+    const toSkeleton = (nodes) =>
+      nodes.map((node) => {
+        if (node.type === "select") {
+          const options = Object.fromEntries(
+            Object.entries(node.options).map(([selector, option]) => [
+              selector,
+              { ...option, value: toSkeleton(option.value) },
+            ])
+          );
+          return { ...node, options };
+        }
+
+        if (node.type !== "plural" && node.type !== "selectordinal") {
+          return node;
+        }
+
+        const categories = getRequiredPluralCategories(
+          locale,
+          node.type === "plural" ? "cardinal" : "ordinal"
+        );
+        if (!categories) {
+          supported = false;
+          return node;
+        }
+
+        const selectors = [
+          ...Object.keys(node.options).filter((selector) =>
+            selector.startsWith("=")
+          ),
+          ...categories,
+        ];
+        const options = Object.fromEntries(
+          selectors.map((selector) => [selector, { value: [] }])
+        );
+        return { ...node, options };
+      });
+
+    const skeleton = printICU(toSkeleton(ast));
+    return supported ? skeleton : null;
+  }
+
+  /**
+   * Generates the translator comments sidecar for JSON catalogs
+   * (JSON cannot hold comments, so they go to `<catalog>.comments.json`)
+   * @param {import('../types.js').ExtractedKey[]} keys - Extracted keys
+   * @returns {string|null} Generated file content, or null if no key has comments
+   */
+  generateCommentsJSON(keys) {
+    const comments = {};
+
+    // Sort keys for deterministic output
+    const sortedKeys = [...keys].sort((a, b) => a.key.localeCompare(b.key));
+
+    sortedKeys.forEach((key) => {
+      if (key.comments && key.comments.length > 0) {
+        comments[key.key] = key.comments.join("\n");
+      }
+    });
+
+    if (Object.keys(comments).length === 0) {
+      return null;
+    }
+
+    return JSON.stringify(comments, null, 2);
+  }
+
   /**
    * Groups keys by the files they appear in
    * Uses RELATIVE paths for cross-developer consistency
@@ -126,10 +667,7 @@ export class CatalogGenerator {
     const grouped = {};
 
     keys.forEach((key) => {
-      // Convert absolute paths to relative paths and sort for deterministic grouping
-      const relativePaths = key.files.map((f) => this.toRelativePath(f));
-      const sortedFiles = relativePaths.sort();
-      const fileList = sortedFiles.join(" | ");
+      const fileList = this.getFileList(key);
 
       if (!grouped[fileList]) {
         grouped[fileList] = [];
@@ -141,17 +679,32 @@ export class CatalogGenerator {
     return grouped;
   }
 
+  /**
+   * Lists the files of a key for catalog comments ("src/a.vue | src/b.js")
+   * Uses RELATIVE paths, sorted for deterministic grouping
+   * @param {import('../types.js').ExtractedKey} key
+   * @returns {string}
+   */
+  getFileList(key) {
+    return key.files
+      .map((f) => this.toRelativePath(f))
+      .sort()
+      .join(" | ");
+  }
+
   /**
    * Generates an index file that exports all locale namespaces
    * This creates one file per locale that imports all its namespaces
    * Example: pt-BR.js imports pt-BR.auth.js, pt-BR.dashboard.js, etc.
+   * (YAML cannot import files: its index is a JS module, pt-BR.js)
    * @param {string} locale - The locale to generate index for
    * @param {string[]} namespaces - List of namespaces
-   * @param {string} format - File format ('js', 'ts', 'json')
+   * @param {string} format - File format ('js', 'ts', 'json', 'yaml')
    * @returns {string} Generated index file content
    */
   generateLocaleIndex(locale, namespaces, format) {
-    const isJSON = format === "json";
+    // JSON and YAML catalogs are imported with their extension
+    const withExtension = format === "json" || format === "yaml";
 
     let output = "";
 
@@ -162,10 +715,15 @@ export class CatalogGenerator {
     sortedNamespaces.forEach((namespace) => {
       const varName = this.sanitizeVarName(namespace);
       // For TypeScript/JavaScript, omit extension (ES modules convention)
-      // For JSON, include extension
-      const importPath = isJSON
-        ? `./${locale}.${namespace}.json`
+      // For JSON and YAML, include extension
+      // The YAML index is a separate module: it imports common keys from
+      // the catalog named after the locale
+      let importPath = withExtension
+        ? `./${locale}.${namespace}.${format}`
         : `./${locale}.${namespace}`;
+      if (format === "yaml" && namespace === "common") {
+        importPath = `./${locale}.yaml`;
+      }
       output += `import ${varName} from '${importPath}';\n`;
     });
 
@@ -196,3 +754,90 @@ export class CatalogGenerator {
     return str.replace(/[-\.]/g, "_");
   }
 }
+
+/**
+ * Returns the fallback locale a translation is inherited from: the key has
+ * no translation of its own, or the same one as the fallback locale
+ * @param {import('../types.js').ExtractedKey} key - Extracted key
+ * @param {Object} existingTranslations - Existing translations
+ * @param {Object<string, InheritedTranslation>} inherited - Translations of the fallback locales
+ * @returns {string|null}
+ */
+function getInheritedLocale(key, existingTranslations, inherited) {
+  const entry = inherited[key.key];
+  if (!entry) return null;
+
+  const translation = existingTranslations[key.key];
+  return !isTranslated(translation) || translation === entry.translation
+    ? entry.locale
+    : null;
+}
+
+/**
+ * Returns the msgid of a key: the catalog key without its context
+ * (the context goes to msgctxt)
+ * @param {import('../types.js').ExtractedKey} key - Extracted key
+ * @returns {string}
+ */
+function getMessageId(key) {
+  if (!key.context) return key.key;
+
+  return key.key.slice(0, -(CONTEXT_SEPARATOR.length + key.context.length));
+}
+
+/**
+ * Formats a PO keyword line; multi-line strings are split after each line
+ * break, as gettext tools do
+ * @param {string} keyword - PO keyword (msgid, msgstr...)
+ * @param {string} value - String value
+ * @returns {string}
+ */
+function formatPOString(keyword, value) {
+  const lines = value.split(/(?<=\n)/);
+  if (lines.length === 1) {
+    return `${keyword} "${escapePOString(value)}"\n`;
+  }
+
+  return (
+    `${keyword} ""\n` +
+    lines.map((line) => `"${escapePOString(line)}"\n`).join("")
+  );
+}
+
+/**
+ * Whether a catalog value is a translation: plural skeletons left unfilled
+ * count as untranslated
+ * @param {any} translation - Catalog value
+ * @returns {boolean}
+ */
+export function isTranslated(translation) {
+  return (
+    typeof translation === "string" &&
+    translation !== "" &&
+    !isPluralSkeleton(translation)
+  );
+}
+
+/**
+ * Formats the variables of a key for catalog comments
+ * Non-simple variables show their kind: "name, count (plural)"
+ * @param {import('../types.js').ExtractedKey} key - Extracted key
+ * @returns {string}
+ */
+export function formatVariables(key) {
+  const kinds = key.variableKinds || {};
+
+  return key.variables
+    .map((name) =>
+      kinds[name] && kinds[name] !== "simple"
+        ? `${name} (${kinds[name]})`
+        : name
+    )
+    .join(", ");
+}
+
+/**
+ * @typedef {Object} InheritedTranslation
+ * @property {string} locale - Fallback locale the translation comes from
+ * @property {string} translation - Translation of the fallback locale
+ */
@@ -0,0 +1,105 @@
+import { parseMessageAST, walkMessage } from "../parsers/message-parser.js";
+
+/**
+ * Default length added to pseudo-localized messages, as a ratio of their text
+ */
+export const DEFAULT_PSEUDO_EXPANSION = 0.3;
+
+/**
+ * Accented look-alike of each ASCII letter
+ */
+const ACCENTS = Object.fromEntries(
+  [..."abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ"].map(
+    (char, index) => [
+      char,
+      [..."áƀçðéƒĝĥîĵķļɱñöþǫŕšţûṽŵẋýžÁƁÇÐÉƑĜĤÎĴĶĻṀÑÖÞǪŔŠŢÛṼŴẊÝŽ"][index],
+    ]
+  )
+);
+
+/**
+ * Pseudo-localizes messages to test the UI before real translations exist:
+ * "Hello {name}!" -> "[Ĥéļļö {name}!~~~]"
+ * Only literal text is changed: arguments, plural and select syntax, linked
+ * messages and HTML tags are kept as written, so the result still formats
+ */
+export class PseudoLocalizer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.expansion] - Padding added, as a ratio of the text length (default: 0.3)
+   * @param {import('../parsers/message-parser.js').MessageSyntax} [options.messageSyntax] - Syntax of the messages (default: "icu")
+   */
+  constructor(options = {}) {
+    this.expansion = options.expansion ?? DEFAULT_PSEUDO_EXPANSION;
+    this.messageSyntax = options.messageSyntax || "icu";
+  }
+
+  /**
+   * Pseudo-localizes a message; invalid messages are returned unchanged
+   * @param {string} message - Source message
+   * @returns {string} Pseudo-localized message
+   */
+  localize(message) {
+    if (!message) return message;
+
+    let ast;
+    try {
+      ast = parseMessageAST(message, this.messageSyntax);
+    } catch {
+      return message;
+    }
+
+    // Each case of a vue-i18n pipe plural is shown on its own
+    if (ast.length === 1 && ast[0].type === "choice") {
+      return Object.values(ast[0].options)
+        .map((option) =>
+          this.localize(message.slice(option.start, option.end).trim())
+        )
+        .join(" | ");
+    }
+
+    const literals = [];
+    walkMessage(ast, (node) => {
+      if (node.type === "literal") literals.push(node);
+    });
+
+    // Tags are found in the whole message: arguments in attributes
+    // (<a href="{url}">) split them across literals
+    const tags = [...message.matchAll(/<[^<>]*>/g)].map((match) => [
+      match.index,
+      match.index + match[0].length,
+    ]);
+
+    let result = "";
+    let offset = 0;
+    let length = 0;
+    literals
+      .sort((a, b) => a.start - b.start)
+      .forEach((node) => {
+        const raw = message.slice(node.start, node.end);
+        result += message.slice(offset, node.start);
+        // vue-i18n literal interpolations ({'@'}) are kept as written
+        result += raw.startsWith("{") ? raw : accent(raw, node.start, tags);
+        length += node.value.length;
+        offset = node.end;
+      });
+    result += message.slice(offset);
+
+    return `[${result}${"~".repeat(Math.ceil(length * this.expansion))}]`;
+  }
+}
+
+/**
+ * Accents the letters of literal text, leaving HTML tags and entities alone
+ * @param {string} text - Raw literal text
+ * @param {number} start - Offset of the text in its message
+ * @param {number[][]} tags - Start and end offsets of the tags of the message
+ * @returns {string}
+ */
+function accent(text, start, tags) {
+  return text.replace(/&#?\w+;|[a-zA-Z]/g, (match, index) => {
+    const offset = start + index;
+    const inTag = tags.some(([from, to]) => offset >= from && offset < to);
+    return inTag || match.length > 1 ? match : ACCENTS[match];
+  });
+}
@@ -0,0 +1,125 @@
+import { escapeComment } from "../utils/security.js";
+import { nestKeys, DEFAULT_KEY_SEPARATOR } from "../utils/nesting.js";
+
+/**
+ * TypeScript types of message parameters, by variable kind
+ */
+const PARAM_TYPES = {
+  simple: "string | number",
+  plural: "number",
+  number: "number",
+  date: "Date | number",
+  time: "Date | number",
+  select: "string",
+};
+
+/**
+ * Generates TypeScript declarations of the catalogs: the message schema, an
+ * augmentation of vue-i18n's DefineLocaleMessage and the parameters of each key
+ */
+export class TypesGenerator {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.nested] - Catalogs are nested objects (see CatalogGenerator)
+   * @param {string} [options.keySeparator] - Separator of nested key paths (default: ".")
+   */
+  constructor(options = {}) {
+    this.nested = options.nested || false;
+    this.keySeparator = options.keySeparator || DEFAULT_KEY_SEPARATOR;
+  }
+
+  /**
+   * Generates the declaration file of the source locale keys
+   * @param {import('../types.js').ExtractedKey[]} keys - Keys of every namespace
+   * @param {string} sourceLocale - Locale the schema is derived from
+   * @returns {string} Generated file content
+   */
+  generate(keys, sourceLocale) {
+    // Sort keys for deterministic output
+    const sortedKeys = [...keys].sort((a, b) => a.key.localeCompare(b.key));
+
+    let output = `// Generated by vuei18n-extractor from the "${escapeComment(sourceLocale)}" catalogs. Do not edit.\n\n`;
+
+    output += "/**\n * Messages of the catalogs\n */\n";
+    output += `export interface MessageSchema ${this.renderSchema(sortedKeys)}\n\n`;
+
+    output +=
+      "/**\n * Parameters of each message key (never: the message has none)\n */\n";
+    output += "export interface MessageParams {\n";
+    sortedKeys.forEach((key) => {
+      output += `  ${JSON.stringify(key.key)}: ${getParamsType(key)};\n`;
+    });
+    output += "}\n\n";
+
+    output += "export type MessageKey = keyof MessageParams;\n\n";
+
+    output +=
+      "/**\n * Translation function checking the parameters of each key\n */\n";
+    output += "export type TranslateFunction = <K extends MessageKey>(\n";
+    output += "  key: K,\n";
+    output +=
+      "  ...args: [MessageParams[K]] extends [never] ? [] : [params: MessageParams[K]]\n";
+    output += ") => string;\n\n";
+
+    output += 'declare module "vue-i18n" {\n';
+    output +=
+      "  export interface DefineLocaleMessage extends MessageSchema {}\n";
+    output += "}\n";
+
+    return output;
+  }
+
+  /**
+   * Renders the object type of the messages, nested like the catalogs
+   * @param {import('../types.js').ExtractedKey[]} keys - Sorted keys
+   * @returns {string}
+   */
+  renderSchema(keys) {
+    const tree = this.nested
+      ? nestKeys(
+          keys.map((key) => [key.key, "string"]),
+          this.keySeparator
+        )
+      : Object.fromEntries(keys.map((key) => [key.key, "string"]));
+
+    const render = (node, depth) => {
+      const indent = "  ".repeat(depth);
+      const members = Object.entries(node).map(([name, child]) => {
+        const type =
+          typeof child === "string" ? child : render(child, depth + 1);
+        return `${indent}  ${JSON.stringify(name)}: ${type};\n`;
+      });
+
+      return `{\n${members.join("")}${indent}}`;
+    };
+
+    return render(tree, 0);
+  }
+}
+
+/**
+ * Builds the parameters type of a key from its variables
+ * List interpolation ({0}, {1}) takes an array, named variables an object
+ * @param {import('../types.js').ExtractedKey} key
+ * @returns {string}
+ */
+function getParamsType(key) {
+  const variables = key.variables || [];
+  if (variables.length === 0) return "never";
+
+  const kinds = key.variableKinds || {};
+  const typeOf = (name) => PARAM_TYPES[kinds[name]] || PARAM_TYPES.simple;
+
+  if (variables.every((name) => /^\d+$/.test(name))) {
+    const length = Math.max(...variables.map(Number)) + 1;
+    const items = Array.from({ length }, (_, index) =>
+      variables.includes(String(index)) ? typeOf(String(index)) : "unknown"
+    );
+    return `[${items.join(", ")}]`;
+  }
+
+  const members = variables.map(
+    (name) => `${JSON.stringify(name)}: ${typeOf(name)}`
+  );
+  return `{ ${members.join("; ")} }`;
+}
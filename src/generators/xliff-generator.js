@@ -0,0 +1,78 @@
+import { escapeXML } from "../utils/security.js";
+
+/**
+ * XLIFF 2.0 namespace
+ */
+export const XLIFF_NAMESPACE = "urn:oasis:names:tc:xliff:document:2.0";
+
+/**
+ * Generates XLIFF 2.0 documents to hand translations off to CAT tools
+ */
+export class XliffGenerator {
+  /**
+   * Generates an XLIFF 2.0 document
+   * One `<file>` per catalog, one `<unit>` per key: the key goes to the
+   * `name` attribute, notes are written before the segment
+   * @param {XliffDocument} document - Files and units to write
+   * @returns {string} Generated file content
+   */
+  generate(document) {
+    let output = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    output += `<xliff xmlns="${XLIFF_NAMESPACE}" version="2.0" srcLang="${escapeXML(document.sourceLocale)}" trgLang="${escapeXML(document.targetLocale)}">\n`;
+
+    document.files.forEach((file) => {
+      output += `  <file id="${escapeXML(file.id)}" original="${escapeXML(file.original)}">\n`;
+
+      file.units.forEach((unit, index) => {
+        output += `    <unit id="u${index + 1}" name="${escapeXML(unit.key)}">\n`;
+
+        const notes = unit.notes || [];
+        if (notes.length > 0) {
+          output += "      <notes>\n";
+          notes.forEach((note) => {
+            output += `        <note category="${escapeXML(note.category)}">${escapeXML(note.text)}</note>\n`;
+          });
+          output += "      </notes>\n";
+        }
+
+        const state = unit.state || (unit.target ? "translated" : "initial");
+        output += `      <segment state="${state}">\n`;
+        output += `        <source>${escapeXML(unit.source)}</source>\n`;
+        if (unit.target) {
+          output += `        <target>${escapeXML(unit.target)}</target>\n`;
+        }
+        output += "      </segment>\n";
+        output += "    </unit>\n";
+      });
+
+      output += "  </file>\n";
+    });
+
+    output += "</xliff>\n";
+
+    return output;
+  }
+}
+
+/**
+ * @typedef {Object} XliffDocument
+ * @property {string} sourceLocale - Locale of the source messages (srcLang)
+ * @property {string} targetLocale - Locale of the translations (trgLang)
+ * @property {XliffFile[]} files - Catalogs to export
+ */
+
+/**
+ * @typedef {Object} XliffFile
+ * @property {string} id - File ID (the namespace of the catalog)
+ * @property {string} original - Catalog file name
+ * @property {XliffUnit[]} units - Units of the catalog
+ */
+
+/**
+ * @typedef {Object} XliffUnit
+ * @property {string} key - Catalog key
+ * @property {string} source - Source message
+ * @property {string} [target] - Translation (empty or missing for untranslated units)
+ * @property {string} [state] - Segment state (initial, translated, reviewed, final; default: "translated" when there is a target)
+ * @property {{ category: string, text: string }[]} [notes] - Notes for translators
+ */
@@ -1,80 +1,194 @@
 import fs from "fs-extra";
 import { validateMessageFormat, parseMessage } from "./message-parser.js";
+import { isValidVariableName } from "../utils/security.js";
+import {
+  parseSource,
+  parseTemplateExpression,
+  collectTemplateExpressions,
+  collectTemplateComments,
+  walk,
+  walkTemplate,
+  TemplateNodeType,
+} from "./source-parser.js";
+
+/**
+ * Translation functions recognised when the config has no `functions` section
+ * @type {import('../types.js').TranslationFunction[]}
+ */
+export const DEFAULT_FUNCTIONS = [
+  { name: "t" },
+  { name: "$t" },
+  { name: "this.$t" },
+  { name: "defineMessage" },
+];
+
+/**
+ * Separator between a message and its context in catalog keys
+ * Example: t("Open", { context: "door state" }) -> "Open::door state"
+ */
+export const CONTEXT_SEPARATOR = "::";
+
+/**
+ * Builds the catalog key of a message
+ * Messages with a context get their own entry, distinct from the bare message
+ * @param {string} message - Message (or ID) used in code
+ * @param {string} [context] - Disambiguation context
+ * @returns {string} Catalog key
+ */
+export function getKeyId(message, context) {
+  return context ? `${message}${CONTEXT_SEPARATOR}${context}` : message;
+}
+
+/**
+ * Marks a comment as a note for translators
+ * Example: `// i18n: shown on the checkout button`, `/* translators: ... *\/`
+ */
+const TRANSLATOR_COMMENT = /^\s*(?:i18n|translators)\s*:\s*/i;
+
+/**
+ * vue-i18n components that interpolate a message, with the prop holding the key
+ * (`i18n` / `path` is the vue-i18n v8 component)
+ */
+const TRANSLATION_COMPONENTS = {
+  "i18n-t": "keypath",
+  I18nT: "keypath",
+  i18n: "path",
+};
 
 /**
  * Extracts translation calls from source code
- * Supports various patterns:
+ * Files are parsed into ASTs (SFCs are split into script and template),
+ * so only real call expressions are reported - never text inside comments
+ * or unrelated strings. Supports various patterns:
  * - t("simple")
  * - t("with {variable}")
  * - t("{count, plural, one {# item} other {# items}}")
+ * - <i18n-t keypath="Read the {terms}"><template #terms>...</template></i18n-t>
+ * - <p v-t="'Hello'"></p> and <p v-t="{ path: 'Hello', args: { name } }"></p>
+ * - t("Open", { context: "door state" }) for identical messages with different meanings
+ * - t("checkout.pay", { default: "Pay now" }) and defineMessage({ id, message }) for explicit IDs
+ * - `// i18n: ...` / `/* translators: ... *\/` comments right before a usage
+ *   (`<!-- i18n: ... -->` in templates) are kept as notes for translators
  */
 export class KeyExtractor {
-  constructor() {
-    // More flexible regex that captures content between quotes
-    // Matches: t("...") or t('...')
-    this.patterns = {
-      // Simple t() calls
-      simple: /\bt\(\s*(['"`])(.+?)\1\s*\)/gs,
-      // t() with options object: t("key", { ... })
-      withOptions: /\bt\(\s*(['"`])(.+?)\1\s*,\s*\{[^}]*\}\s*\)/gs,
-    };
+  /**
+   * @param {Object} [options]
+   * @param {import('../types.js').TranslationFunction[]} [options.functions] - Translation functions to look for
+   * @param {import('./message-parser.js').MessageSyntax} [options.messageSyntax] - Syntax of the messages (default: "icu")
+   */
+  constructor(options = {}) {
+    const functions = options.functions || DEFAULT_FUNCTIONS;
+    this.messageSyntax = options.messageSyntax || "icu";
+
+    // Callee name -> call shape, e.g. "i18n.global.t" -> { keyArg: 0, ... }
+    this.functions = new Map(
+      functions.map((fn) => {
+        const keyArg = fn.keyArg ?? 0;
+        return [
+          fn.name,
+          { name: fn.name, keyArg, optionsArg: fn.optionsArg ?? keyArg + 1 },
+        ];
+      })
+    );
   }
 
   /**
    * Extracts keys from a file
    * @param {string} filePath - Path to the file
+   * @param {import('../types.js').DynamicKey[]} [dynamicKeys] - Receives usages with non-literal keys
    * @returns {import('../types.js').ExtractedKey[]} Extracted keys
    */
-  extractFromFile(filePath) {
+  extractFromFile(filePath, dynamicKeys) {
     const content = fs.readFileSync(filePath, "utf-8");
-    return this.extractFromCode(content, filePath);
+    return this.extractFromCode(content, filePath, dynamicKeys);
   }
 
   /**
    * Extracts keys from code content
    * @param {string} code - Source code
-   * @param {string} filePath - Path to the source file
+   * @param {string} filePath - Path to the source file (its extension selects the parser)
+   * @param {import('../types.js').DynamicKey[]} [dynamicKeys] - Receives usages with non-literal keys
    * @returns {import('../types.js').ExtractedKey[]} Extracted keys
+   * @throws {Error} If the source cannot be parsed
    */
-  extractFromCode(code, filePath) {
+  extractFromCode(code, filePath, dynamicKeys = []) {
     const keys = [];
-    const seen = new Set();
+    const seen = new Map();
+
+    for (const usage of this.findUsages(code, filePath)) {
+      const resolved = this.resolveMessage(usage, filePath);
+      const { line, column } = usage.node.loc.start;
 
-    // Extract simple t() calls
-    const matches = code.matchAll(this.patterns.simple);
+      // Only literal keys can be extracted, the others are reported
+      if (resolved.id === null) {
+        dynamicKeys.push({
+          file: filePath,
+          line,
+          column: column + 1,
+          function: usage.fn.name,
+          expression: this.getExpressionText(code, resolved.keyNode),
+        });
+        continue;
+      }
 
-    for (const match of matches) {
-      const message = match[2];
+      const { message, context, hasExplicitId } = resolved;
+      const id = getKeyId(resolved.id, context);
+      const comments = [resolved.comment, usage.comment].filter(Boolean);
 
-      // Skip if already seen
-      if (seen.has(message)) continue;
-      seen.add(message);
+      // Already seen: only pick up slot names and translator comments
+      if (seen.has(id)) {
+        const existing = seen.get(id);
+        existing.variables = mergeUnique(existing.variables, usage.variables);
+        existing.variableKinds = withSimpleKinds(
+          existing.variableKinds,
+          usage.variables
+        );
+        if (comments.length > 0) {
+          existing.comments = mergeUnique(existing.comments || [], comments);
+        }
+        if (existing.message !== message) {
+          console.warn(
+            `Warning: Conflicting default messages for "${id}" in ${filePath}:${line}, keeping "${existing.message}"`
+          );
+        }
+        continue;
+      }
 
       // Skip if message is too short or suspiciously long
       if (message.length < 1 || message.length > 5000) continue;
 
       try {
         // Validate the message format
-        validateMessageFormat(message);
+        validateMessageFormat(message, this.messageSyntax);
 
         // Parse message metadata
-        const metadata = parseMessage(message);
-
-        // Get line number
-        const lineNumber = this.getLineNumber(code, match.index);
+        const metadata = parseMessage(message, this.messageSyntax);
 
-        keys.push({
-          key: message,
+        const key = {
+          key: id,
           message: message,
+          ...(context && { context }),
+          ...(comments.length > 0 && { comments }),
+          ...(hasExplicitId && { hasExplicitId }),
           files: [filePath],
-          line: lineNumber,
-          variables: metadata.variables,
+          lines: { [filePath]: line },
+          line,
+          column: column + 1,
+          variables: mergeUnique(metadata.variables, usage.variables),
+          variableKinds: withSimpleKinds(
+            metadata.variableKinds,
+            usage.variables
+          ),
           hasPlural: metadata.hasPlural,
           hasDate: metadata.hasDate,
-        });
+          ...(metadata.links.length > 0 && { links: metadata.links }),
+        };
+
+        seen.set(id, key);
+        keys.push(key);
       } catch (err) {
         console.warn(
-          `Warning: Skipping invalid message in ${filePath}:${this.getLineNumber(code, match.index)}: ${err.message}`
+          `Warning: Skipping invalid message in ${filePath}:${line}: ${err.message}`
         );
       }
     }
@@ -83,13 +197,384 @@ export class KeyExtractor {
   }
 
   /**
-   * Gets the line number of a match in the code
+   * Resolves the key, message and context of a usage. Three shapes exist:
+   * - t("Pay now"): natural language, the message is its own key
+   * - t("checkout.pay", { default: "Pay now" }): explicit ID with a default message
+   * - defineMessage({ id: "checkout.pay", message: "Pay now" }): message descriptor
+   *   (`context` and `comment` are read from the descriptor too)
+   * @param {TranslationUsage} usage - Translation usage
+   * @param {string} filePath - Path to the source file (for warnings)
+   * @returns {ResolvedMessage} Resolved message (`id` is null for non-literal keys)
+   */
+  resolveMessage(usage, filePath) {
+    const isDescriptor = usage.key && usage.key.type === "ObjectExpression";
+    const source = isDescriptor ? usage.key : usage.options;
+
+    const keyNode = isDescriptor
+      ? getObjectProperty(usage.key, "id") ||
+        getObjectProperty(usage.key, "message")
+      : usage.key;
+    const id = this.getStaticString(keyNode);
+
+    const defaultMessage = this.getStringOption(
+      source,
+      isDescriptor ? "message" : "default",
+      filePath
+    );
+
+    let context = this.getStringOption(source, "context", filePath);
+    if (context && context.includes(CONTEXT_SEPARATOR)) {
+      console.warn(
+        `Warning: Ignoring context in ${filePath}:${usage.node.loc.start.line}: context must not contain "${CONTEXT_SEPARATOR}"`
+      );
+      context = undefined;
+    }
+
+    return {
+      keyNode,
+      id,
+      message: defaultMessage ?? id,
+      context: context || undefined,
+      comment: isDescriptor
+        ? this.getStringOption(source, "comment", filePath)
+        : undefined,
+      hasExplicitId:
+        defaultMessage !== undefined ||
+        (isDescriptor && getObjectProperty(usage.key, "id") !== undefined),
+    };
+  }
+
+  /**
+   * Reads a string property from an options object or message descriptor
+   * @param {Object} [object] - Babel node expected to be an object literal
+   * @param {string} name - Property name
+   * @param {string} filePath - Path to the source file (for warnings)
+   * @returns {string|undefined} Value, if given as a literal
+   */
+  getStringOption(object, name, filePath) {
+    if (!object || object.type !== "ObjectExpression") {
+      return undefined;
+    }
+
+    const node = getObjectProperty(object, name);
+    if (!node) return undefined;
+
+    const value = this.getStaticString(node);
+    if (value === null) {
+      console.warn(
+        `Warning: Ignoring ${name} in ${filePath}:${node.loc.start.line}: ${name} must be a literal string`
+      );
+      return undefined;
+    }
+
+    return value;
+  }
+
+  /**
+   * Finds every translation usage in a source file, in source order:
+   * calls to configured functions plus template components and directives
    * @param {string} code - Source code
-   * @param {number} index - Index of the match
-   * @returns {number} Line number
+   * @param {string} filePath - Path to the source file
+   * @returns {TranslationUsage[]} Usages found
+   */
+  findUsages(code, filePath) {
+    const { scripts, template } = parseSource(code, filePath);
+    const roots = scripts.map((ast) => ({ ast }));
+    const comments = scripts.flatMap((ast) => ast.comments || []);
+
+    if (template) {
+      const expressions = collectTemplateExpressions(template);
+      roots.push(...expressions);
+      comments.push(
+        ...expressions.flatMap(({ ast }) => ast.comments || []),
+        ...collectTemplateComments(template)
+      );
+    }
+
+    const usages = [
+      ...this.findCalls(roots),
+      ...(template ? this.findTemplateUsages(template) : []),
+    ];
+
+    const translatorComments = comments
+      .filter((comment) => comment.loc)
+      .sort(
+        (a, b) =>
+          a.loc.start.line - b.loc.start.line ||
+          a.loc.start.column - b.loc.start.column
+      );
+    usages.forEach((usage) => {
+      const comment = this.findTranslatorComment(
+        usage.anchors,
+        translatorComments
+      );
+      if (comment) usage.comment = comment;
+    });
+
+    // Script blocks and template may appear in any order in an SFC
+    return usages.sort(
+      (a, b) =>
+        a.node.loc.start.line - b.node.loc.start.line ||
+        a.node.loc.start.column - b.node.loc.start.column
+    );
+  }
+
+  /**
+   * Finds calls to the configured translation functions
+   * @param {{ ast: Object, element?: Object }[]} roots - Babel ASTs to search,
+   *   with the template element they belong to
+   * @returns {TranslationUsage[]} Calls with the nodes of their key and options arguments
+   */
+  findCalls(roots) {
+    const calls = [];
+    roots.forEach(({ ast, element }) => {
+      walk(ast, (node, ancestors) => {
+        if (
+          node.type !== "CallExpression" &&
+          node.type !== "OptionalCallExpression"
+        ) {
+          return;
+        }
+
+        const fn = this.functions.get(this.getCalleeName(node.callee));
+        if (!fn) return;
+
+        // A comment may precede the call itself, its statement or its element
+        const statement = ancestors.findLast((ancestor) =>
+          /(Statement|Declaration)$/.test(ancestor.type)
+        );
+        const anchors = [node, statement, element && toBabelLocation(element)];
+
+        calls.push({
+          node,
+          fn,
+          key: node.arguments[fn.keyArg],
+          options: node.arguments[fn.optionsArg],
+          anchors: anchors.filter(Boolean).map((anchor) => anchor.loc.start),
+        });
+      });
+    });
+
+    return calls;
+  }
+
+  /**
+   * Finds vue-i18n template constructs: `<i18n-t keypath>` components
+   * (slot names become message variables) and the `v-t` directive
+   * @param {Object} template - Vue template AST root
+   * @returns {TranslationUsage[]} Usages found
+   */
+  findTemplateUsages(template) {
+    const usages = [];
+
+    walkTemplate(template, (node) => {
+      if (node.type !== TemplateNodeType.ELEMENT) return;
+
+      const keyProp = TRANSLATION_COMPONENTS[node.tag];
+      if (keyProp) {
+        const key = this.getTemplatePropValue(node, keyProp);
+        if (key !== undefined) {
+          const location = toBabelLocation(node);
+          usages.push({
+            node: location,
+            fn: { name: `<${node.tag}>` },
+            key,
+            variables: this.getSlotNames(node),
+            anchors: [location.loc.start],
+          });
+        }
+      }
+
+      const directive = node.props.find(
+        (prop) => prop.type === TemplateNodeType.DIRECTIVE && prop.name === "t"
+      );
+      if (directive && directive.exp) {
+        const value = parseTemplateExpression(
+          directive.exp.content,
+          directive.exp.loc.start
+        );
+        if (!value) return;
+
+        // v-t="{ path: 'key', args: {...} }" or v-t="'key'"
+        const isObject = value.type === "ObjectExpression";
+        usages.push({
+          node: toBabelLocation(directive),
+          fn: { name: "v-t" },
+          key: isObject ? getObjectProperty(value, "path") : value,
+          options: isObject ? value : undefined,
+          anchors: [toBabelLocation(node).loc.start],
+        });
+      }
+    });
+
+    return usages;
+  }
+
+  /**
+   * Finds the translator comment directly preceding a usage: the comment
+   * must end on the line above an anchor (or on the same line, before it).
+   * Consecutive line comments form one note, starting at the marked line:
+   *   // i18n: shown on the checkout button
+   *   // when the cart is not empty
+   * @param {{ line: number, column: number }[]} anchors - Positions the comment may precede
+   * @param {Object[]} comments - All comments of the file, sorted by position
+   * @returns {string|null} Comment text without its marker
+   */
+  findTranslatorComment(anchors, comments) {
+    for (const anchor of anchors) {
+      const index = comments.findLastIndex(
+        ({ loc }) =>
+          (loc.end.line === anchor.line && loc.end.column <= anchor.column) ||
+          loc.end.line === anchor.line - 1
+      );
+      if (index === -1) continue;
+
+      // Walk back over the line comments glued to the nearest one
+      let first = index;
+      while (
+        first > 0 &&
+        comments[first].type === "CommentLine" &&
+        comments[first - 1].type === "CommentLine" &&
+        comments[first - 1].loc.end.line === comments[first].loc.start.line - 1
+      ) {
+        first--;
+      }
+
+      const lines = comments
+        .slice(first, index + 1)
+        .flatMap((comment) => comment.value.split("\n"))
+        .map((line) => line.replace(/^\s*\*?/, "").trim());
+      const marker = lines.findIndex((line) => TRANSLATOR_COMMENT.test(line));
+      if (marker === -1) continue;
+
+      lines[marker] = lines[marker].replace(TRANSLATOR_COMMENT, "");
+      const text = lines.slice(marker).filter(Boolean).join(" ");
+      if (text) return text;
+    }
+
+    return null;
+  }
+
+  /**
+   * Reads a static (`keypath="..."`) or bound (`:keypath="..."`) prop
+   * @param {Object} element - Template element node
+   * @param {string} name - Prop name
+   * @returns {Object|null|undefined} Babel node of the value (a synthetic
+   *   string literal for static attributes), null if unparseable, undefined if absent
    */
-  getLineNumber(code, index) {
-    return code.substring(0, index).split("\n").length;
+  getTemplatePropValue(element, name) {
+    for (const prop of element.props) {
+      if (prop.type === TemplateNodeType.ATTRIBUTE && prop.name === name) {
+        return {
+          type: "StringLiteral",
+          value: prop.value ? prop.value.content : "",
+          loc: toBabelLocation(prop).loc,
+        };
+      }
+
+      if (
+        prop.type === TemplateNodeType.DIRECTIVE &&
+        prop.name === "bind" &&
+        prop.arg &&
+        prop.arg.content === name &&
+        prop.exp
+      ) {
+        return parseTemplateExpression(prop.exp.content, prop.exp.loc.start);
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Collects the named slots passed to a component
+   * `<template #name>` / `<template v-slot:name>` (the default slot is ignored)
+   * @param {Object} element - Template element node
+   * @returns {string[]} Slot names
+   */
+  getSlotNames(element) {
+    const names = [];
+
+    element.children.forEach((child) => {
+      if (child.type !== TemplateNodeType.ELEMENT) return;
+
+      child.props.forEach((prop) => {
+        if (
+          prop.type === TemplateNodeType.DIRECTIVE &&
+          prop.name === "slot" &&
+          prop.arg &&
+          prop.arg.isStatic &&
+          prop.arg.content !== "default" &&
+          isValidVariableName(prop.arg.content)
+        ) {
+          names.push(prop.arg.content);
+        }
+      });
+    });
+
+    return names;
+  }
+
+  /**
+   * Builds the dotted name of a callee
+   * Example: `i18n.global.t` -> "i18n.global.t", `this.$t` -> "this.$t"
+   * @param {Object} callee - Babel callee node
+   * @returns {string|null} Dotted name, or null for computed callees
+   */
+  getCalleeName(callee) {
+    switch (callee.type) {
+      case "Identifier":
+        return callee.name;
+      case "ThisExpression":
+        return "this";
+      case "MemberExpression":
+      case "OptionalMemberExpression": {
+        const object = this.getCalleeName(callee.object);
+        if (object === null) return null;
+
+        if (!callee.computed && callee.property.type === "Identifier") {
+          return `${object}.${callee.property.name}`;
+        }
+        if (callee.computed && callee.property.type === "StringLiteral") {
+          return `${object}.${callee.property.value}`;
+        }
+        return null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Returns the value of a string literal node
+   * Template literals count as literals only when they have no `${}` expressions
+   * @param {Object} [node] - Babel node
+   * @returns {string|null} The string value, or null if not a static string
+   */
+  getStaticString(node) {
+    if (!node) return null;
+
+    if (node.type === "StringLiteral") {
+      return node.value;
+    }
+
+    if (node.type === "TemplateLiteral" && node.expressions.length === 0) {
+      return node.quasis[0].value.cooked;
+    }
+
+    return null;
+  }
+
+  /**
+   * Returns the source text of a key expression, on a single line
+   * @param {string} code - Source code of the whole file
+   * @param {Object} [node] - Babel node of the key
+   * @returns {string} Expression text ("" when the key argument is missing)
+   */
+  getExpressionText(code, node) {
+    if (!node || typeof node.start !== "number") return "";
+
+    return code.slice(node.start, node.end).replace(/\s+/g, " ");
   }
 
   /**
@@ -114,6 +599,21 @@ export class KeyExtractor {
         // Merge file lists and SORT for deterministic ordering
         const mergedFiles = [...new Set([...existing.files, ...key.files])];
         existing.files = mergedFiles.sort();
+        if (key.lines) {
+          existing.lines = { ...key.lines, ...existing.lines };
+        }
+        if (existing.message !== key.message) {
+          console.warn(
+            `Warning: Conflicting default messages for "${key.key}" in ${key.files.join(", ")}, keeping "${existing.message}"`
+          );
+        }
+        // Keep translator comments from every file
+        if (key.comments) {
+          existing.comments = mergeUnique(
+            existing.comments || [],
+            key.comments
+          );
+        }
       } else {
         keyMap.set(key.key, { ...key, files: [...key.files] });
       }
@@ -125,3 +625,74 @@ export class KeyExtractor {
       .sort((a, b) => a.key.localeCompare(b.key));
   }
 }
+
+/**
+ * Adds variables that are not in a message (slot names) as simple variables
+ * @param {Object<string, string>} kinds - Variable kinds from the message
+ * @param {string[]} [variables] - Extra variable names
+ * @returns {Object<string, string>} Variable kinds
+ */
+function withSimpleKinds(kinds, variables = []) {
+  const result = { ...kinds };
+  variables.forEach((name) => {
+    if (!result[name]) result[name] = "simple";
+  });
+  return result;
+}
+
+/**
+ * @typedef {Object} ResolvedMessage
+ * @property {Object} [keyNode] - Babel node holding the key (or ID)
+ * @property {string|null} id - Key or explicit ID, null if not a literal
+ * @property {string|null} message - Source message (the default message for explicit IDs)
+ * @property {string} [context] - Disambiguation context
+ * @property {string} [comment] - Translator comment from a message descriptor
+ * @property {boolean} hasExplicitId - Whether the key is an ID distinct from the message
+ */
+
+/**
+ * @typedef {Object} TranslationUsage
+ * @property {Object} node - Node of the usage (provides `loc`)
+ * @property {{ name: string }} fn - Translation function, component or directive used
+ * @property {Object} [key] - Babel node holding the key
+ * @property {Object} [options] - Babel node holding the options object
+ * @property {string[]} [variables] - Extra variables (slot names of components)
+ * @property {{ line: number, column: number }[]} [anchors] - Positions a translator comment may directly precede
+ * @property {string} [comment] - Translator comment found for the usage
+ */
+
+/**
+ * Converts a Vue template location (1-based columns) to Babel's shape (0-based)
+ * @param {Object} node - Template node
+ * @returns {{ loc: { start: { line: number, column: number } } }}
+ */
+function toBabelLocation(node) {
+  const { line, column } = node.loc.start;
+  return { loc: { start: { line, column: column - 1 } } };
+}
+
+/**
+ * Returns the value node of a non-computed property in an object literal
+ * @param {Object} object - Babel ObjectExpression
+ * @param {string} name - Property name
+ * @returns {Object|undefined} Value node
+ */
+function getObjectProperty(object, name) {
+  const property = object.properties.find(
+    (prop) =>
+      prop.type === "ObjectProperty" &&
+      !prop.computed &&
+      (prop.key.name === name || prop.key.value === name)
+  );
+  return property ? property.value : undefined;
+}
+
+/**
+ * Concatenates two lists keeping the first occurrence of each item
+ * @param {string[]} list - Base list
+ * @param {string[]} [extra] - Items to append
+ * @returns {string[]}
+ */
+function mergeUnique(list, extra = []) {
+  return [...new Set([...list, ...extra])];
+}
@@ -1,69 +1,1057 @@
 import { isValidVariableName } from "../utils/security.js";
 
 /**
- * Extracts variables from an interpolated string
- * Example: "Hello {name}, you have {count} messages" -> ["name", "count"]
+ * Argument types with an optional style: {price, number, ::currency/EUR}
+ */
+const FORMATTED_TYPES = [
+  "number",
+  "date",
+  "time",
+  "spellout",
+  "ordinal",
+  "duration",
+];
+
+/**
+ * Argument types with options: {count, plural, one {...} other {...}}
+ */
+const CHOICE_TYPES = ["plural", "selectordinal", "select"];
+
+/**
+ * Supported message syntaxes
+ */
+export const MESSAGE_SYNTAXES = ["icu", "vue-i18n"];
+
+/**
+ * Node types that make a message plural
+ */
+const PLURAL_TYPES = ["plural", "selectordinal", "choice"];
+
+/**
+ * Syntax error in an ICU message, with the offset where it was found
+ */
+export class MessageSyntaxError extends Error {
+  /**
+   * @param {string} description - What went wrong
+   * @param {number} offset - 0-based offset in the message
+   */
+  constructor(description, offset) {
+    super(`${description} at offset ${offset}`);
+    this.name = "MessageSyntaxError";
+    this.offset = offset;
+  }
+}
+
+/**
+ * Recursive-descent parser for ICU MessageFormat
+ * Follows ICU's apostrophe rules: '' is a literal apostrophe and an
+ * apostrophe before a syntax character ({, }, # in plurals) starts quoted text
+ */
+class ICUParser {
+  /**
+   * @param {string} message - Message to parse
+   */
+  constructor(message) {
+    this.message = message;
+    this.pos = 0;
+  }
+
+  /**
+   * Parses the whole message
+   * @returns {MessageNode[]} AST
+   */
+  parse() {
+    const nodes = this.parseNodes(null);
+
+    if (this.pos < this.message.length) {
+      // Only a stray "}" stops the top level before the end
+      throw new MessageSyntaxError(
+        "Unbalanced braces in message: unexpected '}'",
+        this.pos
+      );
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Parses literal text and arguments until the end or a closing brace
+   * @param {string|null} parentType - Type of the enclosing choice argument
+   * @returns {MessageNode[]}
+   */
+  parseNodes(parentType) {
+    const nodes = [];
+    const inPlural = parentType === "plural" || parentType === "selectordinal";
+    let text = "";
+    let textStart = this.pos;
+
+    const flushText = () => {
+      if (text) {
+        nodes.push({
+          type: "literal",
+          value: text,
+          start: textStart,
+          end: this.pos,
+        });
+      }
+      text = "";
+      textStart = this.pos;
+    };
+
+    while (this.pos < this.message.length) {
+      const char = this.message[this.pos];
+
+      if (char === "{") {
+        flushText();
+        nodes.push(this.parseArgument());
+        textStart = this.pos;
+      } else if (char === "}") {
+        break;
+      } else if (char === "#" && inPlural) {
+        flushText();
+        nodes.push({ type: "pound", start: this.pos, end: this.pos + 1 });
+        this.pos++;
+        textStart = this.pos;
+      } else if (char === "'") {
+        text += this.parseApostrophe(inPlural);
+      } else {
+        text += char;
+        this.pos++;
+      }
+    }
+
+    flushText();
+    return nodes;
+  }
+
+  /**
+   * Parses an apostrophe: '' or quoted text like '{literal}'
+   * @param {boolean} inPlural - Whether # is a syntax character here
+   * @returns {string} Literal text
+   */
+  parseApostrophe(inPlural) {
+    const next = this.message[this.pos + 1];
+
+    if (next === "'") {
+      this.pos += 2;
+      return "'";
+    }
+
+    const startsQuote =
+      next === "{" || next === "}" || (inPlural && next === "#");
+    if (!startsQuote) {
+      this.pos++;
+      return "'";
+    }
+
+    // Quoted text runs until the next single apostrophe (or the end)
+    let text = "";
+    this.pos++;
+    while (this.pos < this.message.length) {
+      const char = this.message[this.pos];
+      if (char === "'") {
+        if (this.message[this.pos + 1] === "'") {
+          text += "'";
+          this.pos += 2;
+          continue;
+        }
+        this.pos++;
+        return text;
+      }
+      text += char;
+      this.pos++;
+    }
+
+    return text;
+  }
+
+  /**
+   * Parses an argument starting at "{"
+   * @returns {MessageNode}
+   */
+  parseArgument() {
+    const start = this.pos;
+    this.pos++; // {
+    this.skipWhitespace();
+
+    const name = this.readWhile((char) => !/[\s{},]/.test(char));
+    if (!name) {
+      this.expectNotEnd(start);
+      throw new MessageSyntaxError("Expected argument name", this.pos);
+    }
+
+    this.skipWhitespace();
+    this.expectNotEnd(start);
+
+    if (this.message[this.pos] === "}") {
+      this.pos++;
+      return { type: "argument", name, start, end: this.pos };
+    }
+
+    this.expect(",", start);
+    this.skipWhitespace();
+
+    const typeStart = this.pos;
+    const type = this.readWhile((char) => /[a-zA-Z]/.test(char));
+    this.skipWhitespace();
+    this.expectNotEnd(start);
+
+    if (FORMATTED_TYPES.includes(type)) {
+      return this.parseFormattedArgument(type, name, start);
+    }
+
+    if (CHOICE_TYPES.includes(type)) {
+      return this.parseChoiceArgument(type, name, start);
+    }
+
+    throw new MessageSyntaxError(
+      type ? `Unknown argument type "${type}"` : "Expected argument type",
+      typeStart
+    );
+  }
+
+  /**
+   * Parses the rest of {name, number|date|time[, style]}
+   * @param {string} type - Argument type
+   * @param {string} name - Argument name
+   * @param {number} start - Offset of the opening brace
+   * @returns {MessageNode}
+   */
+  parseFormattedArgument(type, name, start) {
+    let style = null;
+
+    if (this.message[this.pos] === ",") {
+      this.pos++;
+      this.skipWhitespace();
+      style = this.readStyle(start).trim();
+      if (!style) {
+        throw new MessageSyntaxError("Expected argument style", this.pos);
+      }
+    }
+
+    this.expect("}", start);
+    return { type, name, style, start, end: this.pos };
+  }
+
+  /**
+   * Reads a style (e.g. "short" or "::currency/EUR") up to the closing brace
+   * Nested braces and quoted text are kept as written
+   * @param {number} start - Offset of the argument's opening brace
+   * @returns {string}
+   */
+  readStyle(start) {
+    const styleStart = this.pos;
+    let depth = 0;
+
+    while (this.pos < this.message.length) {
+      const char = this.message[this.pos];
+      if (char === "'") {
+        const end = this.message.indexOf("'", this.pos + 1);
+        this.pos = end === -1 ? this.message.length : end + 1;
+        continue;
+      }
+      if (char === "{") depth++;
+      if (char === "}") {
+        if (depth === 0) break;
+        depth--;
+      }
+      this.pos++;
+    }
+
+    this.expectNotEnd(start);
+    return this.message.slice(styleStart, this.pos);
+  }
+
+  /**
+   * Parses the rest of {name, plural|selectordinal|select, ...options}
+   * @param {string} type - Argument type
+   * @param {string} name - Argument name
+   * @param {number} start - Offset of the opening brace
+   * @returns {MessageNode}
+   */
+  parseChoiceArgument(type, name, start) {
+    this.expect(",", start);
+    this.skipWhitespace();
+
+    let offset = 0;
+    if (type !== "select" && this.message.startsWith("offset:", this.pos)) {
+      this.pos += "offset:".length;
+      this.skipWhitespace();
+      const offsetStart = this.pos;
+      const value = this.readWhile((char) => /\d/.test(char));
+      if (!value) {
+        throw new MessageSyntaxError("Expected plural offset", offsetStart);
+      }
+      offset = Number(value);
+      this.skipWhitespace();
+    }
+
+    const options = {};
+
+    while (this.pos < this.message.length && this.message[this.pos] !== "}") {
+      const selectorStart = this.pos;
+      const selector = this.readWhile((char) => !/[\s{}]/.test(char));
+
+      if (!selector) {
+        throw new MessageSyntaxError("Expected option selector", this.pos);
+      }
+      if (type !== "select" && !/^(=\d+(\.\d+)?|[a-z]+)$/.test(selector)) {
+        throw new MessageSyntaxError(
+          `Invalid ${type} selector "${selector}"`,
+          selectorStart
+        );
+      }
+      if (options[selector]) {
+        throw new MessageSyntaxError(
+          `Duplicate option "${selector}"`,
+          selectorStart
+        );
+      }
+
+      this.skipWhitespace();
+      const valueStart = this.pos;
+      this.expect("{", start);
+      const value = this.parseNodes(type);
+      this.expect("}", valueStart);
+
+      options[selector] = { value, start: selectorStart, end: this.pos };
+      this.skipWhitespace();
+    }
+
+    this.expectNotEnd(start);
+
+    if (Object.keys(options).length === 0) {
+      throw new MessageSyntaxError(`Expected ${type} options`, this.pos);
+    }
+    if (!options.other) {
+      throw new MessageSyntaxError(
+        `Missing "other" option in ${type} argument "${name}"`,
+        start
+      );
+    }
+
+    this.pos++; // }
+    return { type, name, offset, options, start, end: this.pos };
+  }
+
+  /**
+   * Consumes an expected character
+   * @param {string} char - Expected character
+   * @param {number} start - Offset of the enclosing opening brace
+   */
+  expect(char, start) {
+    this.expectNotEnd(start);
+
+    if (this.message[this.pos] !== char) {
+      throw new MessageSyntaxError(
+        `Expected "${char}" but found "${this.message[this.pos]}"`,
+        this.pos
+      );
+    }
+
+    this.pos++;
+  }
+
+  /**
+   * Fails if the message ended inside an argument
+   * @param {number} start - Offset of the unclosed opening brace
+   */
+  expectNotEnd(start) {
+    if (this.pos >= this.message.length) {
+      throw new MessageSyntaxError(
+        "Unbalanced braces in message: unclosed argument",
+        start
+      );
+    }
+  }
+
+  /**
+   * Skips whitespace
+   */
+  skipWhitespace() {
+    this.readWhile((char) => /\s/.test(char));
+  }
+
+  /**
+   * Reads characters while they match a predicate
+   * @param {(char: string) => boolean} predicate
+   * @returns {string} Characters read
+   */
+  readWhile(predicate) {
+    const start = this.pos;
+    while (
+      this.pos < this.message.length &&
+      predicate(this.message[this.pos])
+    ) {
+      this.pos++;
+    }
+    return this.message.slice(start, this.pos);
+  }
+}
+
+/**
+ * Parses an ICU MessageFormat string into an AST
+ * Example: "Hi {name}" -> [{ type: "literal", value: "Hi " }, { type: "argument", name: "name" }]
+ * @param {string} message - Message to parse
+ * @returns {MessageNode[]} AST
+ * @throws {MessageSyntaxError} If the message is not valid ICU MessageFormat
+ */
+export function parseICU(message) {
+  return new ICUParser(message).parse();
+}
+
+/**
+ * Parser for vue-i18n's native message syntax:
+ * - {name} named and {0} list interpolation, {'@'} literal interpolation
+ * - @:key and @.modifier:key linked messages (also @:(key) and @:{'key'})
+ * - "no cars | one car | {count} cars" pipe plurals, parsed as a "choice" node
+ */
+class VueI18nParser {
+  /**
+   * @param {string} message - Message to parse
+   */
+  constructor(message) {
+    this.message = message;
+    this.pos = 0;
+  }
+
+  /**
+   * Parses the whole message
+   * @returns {MessageNode[]} AST
+   */
+  parse() {
+    const cases = [];
+
+    for (;;) {
+      const start = this.pos;
+      const value = this.parseNodes();
+      cases.push({ value, start, end: this.pos });
+
+      if (this.pos >= this.message.length) break;
+      this.pos++; // |
+    }
+
+    if (cases.length === 1) {
+      return cases[0].value;
+    }
+
+    // Whitespace around pipes is not part of the cases: "car | cars"
+    cases.forEach((option, index) => {
+      trimLiteral(option.value, "start", index > 0);
+      trimLiteral(option.value, "end", index < cases.length - 1);
+    });
+
+    return [
+      {
+        type: "choice",
+        options: Object.fromEntries(
+          cases.map((option, index) => [String(index), option])
+        ),
+        start: 0,
+        end: this.message.length,
+      },
+    ];
+  }
+
+  /**
+   * Parses literal text, placeholders and links until the end or a pipe
+   * @returns {MessageNode[]}
+   */
+  parseNodes() {
+    const nodes = [];
+    let text = "";
+    let textStart = this.pos;
+
+    const flushText = () => {
+      if (text) {
+        nodes.push({
+          type: "literal",
+          value: text,
+          start: textStart,
+          end: this.pos,
+        });
+      }
+      text = "";
+    };
+
+    while (this.pos < this.message.length) {
+      const char = this.message[this.pos];
+      const next = this.message[this.pos + 1];
+
+      if (char === "|") break;
+
+      if (char === "}") {
+        throw new MessageSyntaxError(
+          "Unbalanced braces in message: unexpected '}'",
+          this.pos
+        );
+      }
+
+      if (char === "{" || (char === "@" && (next === ":" || next === "."))) {
+        flushText();
+        const node =
+          char === "{" ? this.parsePlaceholder() : this.parseLinked();
+        nodes.push(node);
+        textStart = this.pos;
+        continue;
+      }
+
+      text += char;
+      this.pos++;
+    }
+
+    flushText();
+    return nodes;
+  }
+
+  /**
+   * Parses a placeholder starting at "{": {name}, {0} or {'literal'}
+   * @returns {MessageNode}
+   */
+  parsePlaceholder() {
+    const start = this.pos;
+    this.pos++; // {
+    this.skipWhitespace();
+
+    let node;
+    if (this.message[this.pos] === "'") {
+      node = { type: "literal", value: this.readLiteral(start) };
+    } else {
+      const name = this.readWhile((char) => /[\w$-]/.test(char));
+      if (!name) {
+        this.expectNotEnd(start);
+        throw new MessageSyntaxError("Expected placeholder name", this.pos);
+      }
+      node = { type: "argument", name };
+    }
+
+    this.skipWhitespace();
+    this.expectNotEnd(start);
+
+    if (this.message[this.pos] !== "}") {
+      throw new MessageSyntaxError(
+        `Expected "}" but found "${this.message[this.pos]}"`,
+        this.pos
+      );
+    }
+
+    this.pos++;
+    return { ...node, start, end: this.pos };
+  }
+
+  /**
+   * Reads a quoted literal of a placeholder ({'@'}), resolving \' \\ and \uXXXX
+   * @param {number} start - Offset of the placeholder's opening brace
+   * @returns {string}
+   */
+  readLiteral(start) {
+    let value = "";
+    this.pos++; // '
+
+    while (this.pos < this.message.length) {
+      const char = this.message[this.pos];
+
+      if (char === "'") {
+        this.pos++;
+        return value;
+      }
+
+      if (char === "\\") {
+        const escaped = this.message[this.pos + 1];
+        if (escaped === "u") {
+          const hex = this.message.slice(this.pos + 2, this.pos + 6);
+          if (!/^[0-9a-fA-F]{4}$/.test(hex)) {
+            throw new MessageSyntaxError("Invalid unicode escape", this.pos);
+          }
+          value += String.fromCharCode(parseInt(hex, 16));
+          this.pos += 6;
+          continue;
+        }
+        if (escaped === "'" || escaped === "\\") {
+          value += escaped;
+          this.pos += 2;
+          continue;
+        }
+        throw new MessageSyntaxError("Invalid escape in literal", this.pos);
+      }
+
+      value += char;
+      this.pos++;
+    }
+
+    throw new MessageSyntaxError("Unterminated literal", start);
+  }
+
+  /**
+   * Parses a linked message starting at "@": @:key, @.modifier:key,
+   * @:(key), @:{'key'} or @:{name}
+   * @returns {MessageNode}
+   */
+  parseLinked() {
+    const start = this.pos;
+    this.pos++; // @
+
+    let modifier = null;
+    if (this.message[this.pos] === ".") {
+      this.pos++;
+      modifier = this.readWhile((char) => /[a-zA-Z]/.test(char));
+      if (!modifier) {
+        throw new MessageSyntaxError("Expected linked modifier", this.pos);
+      }
+    }
+
+    if (this.message[this.pos] !== ":") {
+      throw new MessageSyntaxError('Expected ":" in linked message', this.pos);
+    }
+    this.pos++;
+
+    let key = null;
+    let argument = null;
+    const char = this.message[this.pos];
+
+    if (char === "(") {
+      const end = this.message.indexOf(")", this.pos);
+      if (end === -1) {
+        throw new MessageSyntaxError("Unclosed linked key", this.pos);
+      }
+      key = this.message.slice(this.pos + 1, end).trim();
+      this.pos = end + 1;
+    } else if (char === "{") {
+      const placeholder = this.parsePlaceholder();
+      if (placeholder.type === "literal") key = placeholder.value;
+      else argument = placeholder.name;
+    } else {
+      key = this.readWhile((c) => !/[\s{}@|()]/.test(c));
+      // Punctuation ending a sentence is not part of the key: "see @:docs."
+      const trimmed = key.replace(/[.,:;!?]+$/, "");
+      this.pos -= key.length - trimmed.length;
+      key = trimmed;
+    }
+
+    if (key === "") {
+      throw new MessageSyntaxError("Expected linked key", this.pos);
+    }
+
+    return { type: "linked", key, modifier, argument, start, end: this.pos };
+  }
+
+  /**
+   * Fails if the message ended inside a placeholder
+   * @param {number} start - Offset of the unclosed opening brace
+   */
+  expectNotEnd(start) {
+    if (this.pos >= this.message.length) {
+      throw new MessageSyntaxError(
+        "Unbalanced braces in message: unclosed placeholder",
+        start
+      );
+    }
+  }
+
+  /**
+   * Skips whitespace
+   */
+  skipWhitespace() {
+    this.readWhile((char) => /\s/.test(char));
+  }
+
+  /**
+   * Reads characters while they match a predicate
+   * @param {(char: string) => boolean} predicate
+   * @returns {string} Characters read
+   */
+  readWhile(predicate) {
+    const start = this.pos;
+    while (
+      this.pos < this.message.length &&
+      predicate(this.message[this.pos])
+    ) {
+      this.pos++;
+    }
+    return this.message.slice(start, this.pos);
+  }
+}
+
+/**
+ * Removes whitespace at one end of a pipe plural case
+ * @param {MessageNode[]} nodes - Nodes of the case
+ * @param {'start'|'end'} side - End to trim
+ * @param {boolean} enabled - Whether that end touches a pipe
+ */
+function trimLiteral(nodes, side, enabled) {
+  const index = side === "start" ? 0 : nodes.length - 1;
+  const node = nodes[index];
+  if (!enabled || !node || node.type !== "literal") return;
+
+  node.value = side === "start" ? node.value.trimStart() : node.value.trimEnd();
+  if (!node.value) nodes.splice(index, 1);
+}
+
+/**
+ * Parses a vue-i18n message into an AST
+ * Example: "car | {n} cars" -> [{ type: "choice", options: { 0: ..., 1: ... } }]
+ * @param {string} message - Message to parse
+ * @returns {MessageNode[]} AST
+ * @throws {MessageSyntaxError} If the message is not a valid vue-i18n message
+ */
+export function parseVueI18n(message) {
+  return new VueI18nParser(message).parse();
+}
+
+/**
+ * Parses a message written in one of the supported syntaxes
+ * @param {string} message - Message to parse
+ * @param {MessageSyntax} [syntax] - Message syntax (default: "icu")
+ * @returns {MessageNode[]} AST
+ * @throws {MessageSyntaxError} If the message is invalid
+ */
+export function parseMessageAST(message, syntax = "icu") {
+  return syntax === "vue-i18n" ? parseVueI18n(message) : parseICU(message);
+}
+
+/**
+ * Serializes a message AST back to an ICU MessageFormat string
+ * Literal text is escaped so that parsing the result gives the same AST
+ * @param {MessageNode[]} nodes - AST
+ * @param {string|null} [parentType] - Type of the enclosing choice argument (internal)
+ * @returns {string} ICU message
+ */
+export function printICU(nodes, parentType = null) {
+  return nodes
+    .map((node) => {
+      switch (node.type) {
+        case "literal":
+          return escapeLiteral(node.value, parentType);
+        case "pound":
+          return "#";
+        case "argument":
+          return `{${node.name}}`;
+        case "plural":
+        case "selectordinal":
+        case "select": {
+          const offset = node.offset ? ` offset:${node.offset}` : "";
+          const options = Object.entries(node.options)
+            .map(
+              ([selector, option]) =>
+                `${selector} {${printICU(option.value, node.type)}}`
+            )
+            .join(" ");
+          return `{${node.name}, ${node.type},${offset} ${options}}`;
+        }
+        default:
+          return node.style
+            ? `{${node.name}, ${node.type}, ${node.style}}`
+            : `{${node.name}, ${node.type}}`;
+      }
+    })
+    .join("");
+}
+
+/**
+ * Escapes literal text for printICU(): syntax characters are quoted and
+ * apostrophes that could start a quote are doubled
+ * @param {string} text - Literal text
+ * @param {string|null} parentType - Type of the enclosing choice argument
+ * @returns {string}
+ */
+function escapeLiteral(text, parentType) {
+  const inPlural = parentType === "plural" || parentType === "selectordinal";
+  const isSyntax = (char) =>
+    char === "{" || char === "}" || (inPlural && char === "#");
+
+  let result = "";
+  let index = 0;
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (isSyntax(char)) {
+      // Quote the run of syntax characters together with the apostrophes
+      // that follow it (doubled inside the quote): "{'" -> "'{'''"
+      result += "'";
+      while (
+        index < text.length &&
+        (isSyntax(text[index]) || text[index] === "'")
+      ) {
+        result += text[index] === "'" ? "''" : text[index];
+        index++;
+      }
+      result += "'";
+      continue;
+    }
+
+    if (char === "'") {
+      // A lone apostrophe is literal unless another apostrophe, a syntax
+      // character or the next node (an argument) follows it
+      const next = text[index + 1];
+      const ambiguous = next === undefined || next === "'" || isSyntax(next);
+      result += ambiguous ? "''" : "'";
+    } else {
+      result += char;
+    }
+    index++;
+  }
+
+  return result;
+}
+
+/**
+ * Visits every node of a message AST, including plural/select branches
+ * @param {MessageNode[]} nodes - AST
+ * @param {(node: MessageNode) => void} visit - Called for every node
+ */
+export function walkMessage(nodes, visit) {
+  nodes.forEach((node) => {
+    visit(node);
+
+    if (node.options) {
+      Object.values(node.options).forEach((option) =>
+        walkMessage(option.value, visit)
+      );
+    }
+  });
+}
+
+/**
+ * Lists the arguments of a message with their types, in order of appearance
+ * Example: "{n, plural, other {# of {total}}}" -> [{ name: "n", type: "plural" }, { name: "total", type: "simple" }]
+ * @param {MessageNode[]} ast - Message AST
+ * @returns {{ name: string, type: string }[]} Arguments (unique by name and type)
+ */
+export function getArguments(ast) {
+  const args = [];
+
+  walkMessage(ast, (node) => {
+    // Links may take their key from a placeholder: @:{name}
+    const name = node.type === "linked" ? node.argument : node.name;
+    if (!name) return;
+
+    const type =
+      node.type === "argument" || node.type === "linked" ? "simple" : node.type;
+    if (!args.some((arg) => arg.name === name && arg.type === type)) {
+      args.push({ name, type });
+    }
+  });
+
+  return args;
+}
+
+/**
+ * Lists the keys a message links to (vue-i18n `@:key`), in order of appearance
+ * Links whose key comes from a placeholder (`@:{name}`) are dynamic and skipped
+ * @param {MessageNode[]} ast - Message AST
+ * @returns {string[]} Linked keys
+ */
+export function getLinks(ast) {
+  const links = [];
+
+  walkMessage(ast, (node) => {
+    if (node.type === "linked" && node.key && !links.includes(node.key)) {
+      links.push(node.key);
+    }
+  });
+
+  return links;
+}
+
+/**
+ * Parses a message, returning null instead of throwing on syntax errors
+ * @param {string} text
+ * @param {MessageSyntax} syntax
+ * @returns {MessageNode[]|null}
+ */
+function tryParse(text, syntax) {
+  try {
+    return parseMessageAST(text, syntax);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks whether a message AST contains an argument of one of the given types
+ * @param {MessageNode[]} ast
+ * @param {string[]} types
+ * @returns {boolean}
+ */
+function hasArgumentType(ast, types) {
+  let found = false;
+  walkMessage(ast, (node) => {
+    if (types.includes(node.type)) found = true;
+  });
+  return found;
+}
+
+/**
+ * Variable kind of each argument type
+ * (ordinal plurals are plurals, spelled-out numbers are numbers)
+ */
+const VARIABLE_KINDS = {
+  simple: "simple",
+  plural: "plural",
+  selectordinal: "plural",
+  select: "select",
+  date: "date",
+  time: "time",
+  number: "number",
+  spellout: "number",
+  ordinal: "number",
+  duration: "number",
+};
+
+/**
+ * Maps each argument of a message to its kind
+ * An argument used both plainly and formatted gets the formatted kind
+ * Example: "{count, plural, other {# of {total}}}" -> { count: "plural", total: "simple" }
+ * @param {MessageNode[]} ast - Message AST
+ * @returns {Object<string, VariableKind>} Kinds by argument name, in order of appearance
+ */
+export function getArgumentKinds(ast) {
+  const kinds = {};
+
+  getArguments(ast).forEach(({ name, type }) => {
+    const kind = VARIABLE_KINDS[type];
+    if (!kinds[name] || kinds[name] === "simple") {
+      kinds[name] = kind;
+    }
+  });
+
+  return kinds;
+}
+
+/**
+ * Maps each variable of a message to its kind
+ * Same as getArgumentKinds(), limited to names usable as JS variables and
+ * list positions ({0})
+ * @param {MessageNode[]} ast - Message AST
+ * @returns {Object<string, VariableKind>} Kinds by variable name, in order of appearance
+ */
+export function getVariableKinds(ast) {
+  return Object.fromEntries(
+    Object.entries(getArgumentKinds(ast)).filter(
+      ([name]) => isValidVariableName(name) || /^\d+$/.test(name)
+    )
+  );
+}
+
+/**
+ * Extracts variables from an interpolated string, including plural,
+ * select and formatted arguments
+ * Example: "Hello {name}, you have {count, plural, other {# messages}}" -> ["name", "count"]
  * @param {string} text - Text to extract variables from
+ * @param {MessageSyntax} [syntax] - Message syntax (default: "icu")
  * @returns {string[]} Array of variable names
  */
-export function extractVariables(text) {
-  const variables = [];
-  // Match {variableName} pattern
-  const regex = /\{([a-zA-Z_$][a-zA-Z0-9_$]*)\}/g;
-  let match;
+export function extractVariables(text, syntax = "icu") {
+  const ast = tryParse(text, syntax);
+  return ast ? getVariableNames(ast) : [];
+}
 
-  while ((match = regex.exec(text)) !== null) {
-    const varName = match[1];
-    if (isValidVariableName(varName) && !variables.includes(varName)) {
-      variables.push(varName);
-    }
+/**
+ * Lists the variables of a message in order of appearance
+ * (object keys would put list positions like "0" first)
+ * @param {MessageNode[]} ast - Message AST
+ * @returns {string[]}
+ */
+function getVariableNames(ast) {
+  const kinds = getVariableKinds(ast);
+
+  return getArguments(ast)
+    .map((arg) => arg.name)
+    .filter(
+      (name, index, names) => kinds[name] && names.indexOf(name) === index
+    );
+}
+
+/**
+ * Whether a message is an unfilled plural skeleton (see `pluralSkeletons`):
+ * it has plural arguments and every one of their branches is empty
+ * Example: "{n, plural, one {} other {}} left" -> true
+ * @param {string} message - ICU message
+ * @returns {boolean}
+ */
+export function isPluralSkeleton(message) {
+  if (!/plural|selectordinal/.test(message)) return false;
+
+  let ast;
+  try {
+    ast = parseICU(message);
+  } catch {
+    return false;
   }
 
-  return variables;
+  let plurals = 0;
+  let filled = false;
+  walkMessage(ast, (node) => {
+    if (node.type !== "plural" && node.type !== "selectordinal") return;
+
+    plurals++;
+    if (Object.values(node.options).some((option) => option.value.length)) {
+      filled = true;
+    }
+  });
+
+  return plurals > 0 && !filled;
 }
 
 /**
  * Detects if a message uses pluralization
  * Lingui-style: {count, plural, one {# item} other {# items}}
+ * vue-i18n: "one item | {count} items"
  * @param {string} text - Text to check for pluralization
+ * @param {MessageSyntax} [syntax] - Message syntax (default: "icu")
  * @returns {boolean} Whether the text contains plural syntax
  */
-export function hasPluralization(text) {
-  // ICU MessageFormat plural pattern
-  return /\{\s*\w+\s*,\s*plural\s*,/.test(text);
+export function hasPluralization(text, syntax = "icu") {
+  const ast = tryParse(text, syntax);
+  return ast !== null && hasArgumentType(ast, PLURAL_TYPES);
 }
 
 /**
  * Detects if a message uses date formatting
  * Example: {date, date, short}
  * @param {string} text - Text to check for date formatting
+ * @param {MessageSyntax} [syntax] - Message syntax (default: "icu")
  * @returns {boolean} Whether the text contains date syntax
  */
-export function hasDateFormatting(text) {
-  // ICU MessageFormat date pattern
-  return /\{\s*\w+\s*,\s*(date|time)\s*,/.test(text);
+export function hasDateFormatting(text, syntax = "icu") {
+  const ast = tryParse(text, syntax);
+  return ast !== null && hasArgumentType(ast, ["date", "time"]);
 }
 
 /**
  * Parses a translation message to extract metadata
  * @param {string} message - The translation message
+ * @param {MessageSyntax} [syntax] - Message syntax (default: "icu")
  * @returns {Object} Metadata about the message
+ * @throws {MessageSyntaxError} If the message is invalid
  */
-export function parseMessage(message) {
+export function parseMessage(message, syntax = "icu") {
+  const ast = parseMessageAST(message, syntax);
+  const args = getArguments(ast);
+  const variableKinds = getVariableKinds(ast);
+
   return {
-    variables: extractVariables(message),
-    hasPlural: hasPluralization(message),
-    hasDate: hasDateFormatting(message),
+    ast,
+    arguments: args,
+    variables: getVariableNames(ast),
+    variableKinds,
+    hasPlural: hasArgumentType(ast, PLURAL_TYPES),
+    links: getLinks(ast),
+    hasSelect: hasArgumentType(ast, ["select"]),
+    hasDate: hasArgumentType(ast, ["date", "time"]),
     length: message.length,
   };
 }
 
 /**
- * Validates an ICU MessageFormat string for safety
+ * Validates a message for safety and syntax
  * @param {string} message - Message to validate
+ * @param {MessageSyntax} [syntax] - Message syntax (default: "icu")
  * @throws {Error} If message contains unsafe patterns
+ * @throws {MessageSyntaxError} If the message is invalid
  */
-export function validateMessageFormat(message) {
+export function validateMessageFormat(message, syntax = "icu") {
   if (typeof message !== "string") {
     throw new Error("Message must be a string");
   }
@@ -72,25 +1060,28 @@ export function validateMessageFormat(message) {
     throw new Error("Message too long (max 5000 characters)");
   }
 
-  // Check for balanced braces
-  let braceCount = 0;
-  for (const char of message) {
-    if (char === "{") braceCount++;
-    if (char === "}") braceCount--;
-    if (braceCount < 0) {
-      throw new Error("Unbalanced braces in message");
-    }
-  }
+  parseMessageAST(message, syntax);
+}
 
-  if (braceCount !== 0) {
-    throw new Error("Unbalanced braces in message");
-  }
+/**
+ * @typedef {Object} MessageNode
+ * @property {'literal'|'argument'|'pound'|'number'|'date'|'time'|'spellout'|'ordinal'|'duration'|'plural'|'selectordinal'|'select'|'linked'|'choice'} type - Node type ("linked" and "choice" are vue-i18n links and pipe plurals)
+ * @property {number} start - Offset where the node starts
+ * @property {number} end - Offset after the node
+ * @property {string} [value] - Text of literal nodes (with apostrophe escapes resolved)
+ * @property {string} [name] - Argument name
+ * @property {string|null} [style] - Style of formatted arguments ("short", "::currency/EUR")
+ * @property {number} [offset] - Plural offset
+ * @property {Object<string, { value: MessageNode[], start: number, end: number }>} [options] - Branches of plural/select arguments (cases "0", "1"... of pipe plurals)
+ * @property {string|null} [key] - Target key of linked messages
+ * @property {string|null} [modifier] - Modifier of linked messages ("upper" in @.upper:key)
+ * @property {string|null} [argument] - Placeholder holding the key of linked messages (@:{name})
+ */
 
-  // Validate variable names
-  const variables = extractVariables(message);
-  variables.forEach((varName) => {
-    if (!isValidVariableName(varName)) {
-      throw new Error(`Invalid variable name: ${varName}`);
-    }
-  });
-}
+/**
+ * @typedef {'icu'|'vue-i18n'} MessageSyntax
+ */
+
+/**
+ * @typedef {'simple'|'plural'|'select'|'date'|'time'|'number'} VariableKind
+ */
@@ -0,0 +1,136 @@
+import { getKeyId } from "./key-extractor.js";
+
+/**
+ * Keyword lines of a PO entry: `msgid "..."`, `msgstr[0] "..."`
+ */
+const KEYWORD_LINE =
+  /^(msgctxt|msgid|msgid_plural|msgstr(?:\[\d+\])?)\s+("(?:[^"\\]|\\.)*")\s*$/;
+
+/**
+ * Continuation lines of a multi-line string: `"..."`
+ */
+const STRING_LINE = /^("(?:[^"\\]|\\.)*")\s*$/;
+
+/**
+ * Escape sequences of PO strings
+ */
+const ESCAPES = { n: "\n", t: "\t", r: "\r", '"': '"', "\\": "\\" };
+
+/**
+ * Parses the entries of a Gettext PO/POT file
+ * Obsolete entries (`#~`) are skipped
+ * @param {string} content - File content
+ * @returns {POEntry[]} Entries, in file order (the header entry included)
+ * @throws {Error} If a line is not valid PO syntax
+ */
+export function parsePO(content) {
+  const entries = [];
+  let entry = null;
+  let keyword = null;
+
+  const finish = () => {
+    if (entry && entry.msgid !== undefined) entries.push(entry);
+    entry = null;
+    keyword = null;
+  };
+
+  content.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+
+    if (!line) {
+      finish();
+      return;
+    }
+
+    if (line.startsWith("#")) {
+      if (line.startsWith("#~")) return;
+
+      // Comments start a new entry after its strings
+      if (keyword) finish();
+      entry = entry || { comments: [], extractedComments: [], references: [] };
+
+      const text = line.slice(2).trim();
+      if (line.startsWith("#.")) {
+        entry.extractedComments.push(text);
+      } else if (line.startsWith("#:")) {
+        entry.references.push(...text.split(/\s+/).filter(Boolean));
+      } else if (line.startsWith("#,")) {
+        entry.flags = text.split(",").map((flag) => flag.trim());
+      } else if (!line.startsWith("#|")) {
+        entry.comments.push(line.slice(1).trim());
+      }
+      return;
+    }
+
+    const keywordMatch = line.match(KEYWORD_LINE);
+    if (keywordMatch) {
+      // A new msgctxt/msgid after a msgstr starts a new entry
+      if (
+        entry &&
+        keyword &&
+        keyword.startsWith("msgstr") &&
+        !keywordMatch[1].startsWith("msgstr")
+      ) {
+        finish();
+      }
+      entry = entry || { comments: [], extractedComments: [], references: [] };
+      keyword = keywordMatch[1];
+      entry[keyword] = unescapePOString(keywordMatch[2]);
+      return;
+    }
+
+    const stringMatch = line.match(STRING_LINE);
+    if (stringMatch && keyword) {
+      entry[keyword] += unescapePOString(stringMatch[1]);
+      return;
+    }
+
+    throw new Error(`Invalid PO syntax at line ${index + 1}: ${line}`);
+  });
+
+  finish();
+
+  return entries;
+}
+
+/**
+ * Reads the translations of a PO file as a catalog object
+ * Keys follow the catalog convention (`msgid::msgctxt` for entries with a
+ * context); the header and gettext plural entries (`msgid_plural`) are skipped
+ * @param {string} content - File content
+ * @returns {Object<string, string>} Translations by key
+ */
+export function getPOTranslations(content) {
+  const translations = {};
+
+  parsePO(content).forEach((entry) => {
+    if (entry.msgid === "" || entry.msgid_plural !== undefined) return;
+
+    translations[getKeyId(entry.msgid, entry.msgctxt)] = entry.msgstr || "";
+  });
+
+  return translations;
+}
+
+/**
+ * Decodes a quoted PO string
+ * @param {string} quoted - String with its quotes (`"Hello\n"`)
+ * @returns {string}
+ */
+function unescapePOString(quoted) {
+  return quoted
+    .slice(1, -1)
+    .replace(/\\(.)/g, (match, char) => ESCAPES[char] ?? char);
+}
+
+/**
+ * @typedef {Object} POEntry
+ * @property {string} msgid - Message ID
+ * @property {string} [msgctxt] - Message context
+ * @property {string} [msgstr] - Translation
+ * @property {string} [msgid_plural] - Plural message ID (gettext plurals)
+ * @property {string[]} comments - Translator comments (`# ...`)
+ * @property {string[]} extractedComments - Extracted comments (`#. ...`)
+ * @property {string[]} references - Source references (`#: file:line`)
+ * @property {string[]} [flags] - Flags (`#, fuzzy`)
+ */
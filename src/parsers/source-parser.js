@@ -0,0 +1,309 @@
+import path from "path";
+import { parse as parseSFC } from "@vue/compiler-sfc";
+import { parse as parseScript, parseExpression } from "@babel/parser";
+
+/**
+ * Vue template compiler node types used during extraction
+ * (mirrors NodeTypes from @vue/compiler-core)
+ */
+export const TemplateNodeType = {
+  ROOT: 0,
+  ELEMENT: 1,
+  TEXT: 2,
+  COMMENT: 3,
+  SIMPLE_EXPRESSION: 4,
+  INTERPOLATION: 5,
+  ATTRIBUTE: 6,
+  DIRECTIVE: 7,
+};
+
+/**
+ * Babel AST keys that never contain child nodes worth visiting
+ */
+const SKIPPED_KEYS = new Set([
+  "loc",
+  "start",
+  "end",
+  "extra",
+  "comments",
+  "leadingComments",
+  "trailingComments",
+  "innerComments",
+  "tokens",
+]);
+
+/**
+ * Returns the Babel parser plugins for a script language
+ * @param {string} lang - Script language ('js', 'jsx', 'ts', 'tsx')
+ * @returns {string[]} Babel plugin names
+ */
+export function getParserPlugins(lang) {
+  switch (lang) {
+    case "ts":
+    case "mts":
+    case "cts":
+      return ["typescript", "decorators-legacy"];
+    case "tsx":
+      return ["typescript", "jsx", "decorators-legacy"];
+    default:
+      return ["jsx"];
+  }
+}
+
+/**
+ * Start of a file, as a source position
+ * @type {SourcePosition}
+ */
+const FILE_START = { line: 1, column: 1, offset: 0 };
+
+/**
+ * Babel options placing node locations (line, column and `start`/`end`
+ * offsets) relative to the whole file
+ * @param {SourcePosition} start - Position of the parsed code in the file
+ * @returns {Object} Babel parser options
+ */
+function getLocationOptions(start) {
+  return {
+    startLine: start.line,
+    startColumn: start.column - 1,
+    startIndex: start.offset,
+  };
+}
+
+/**
+ * Parses a script into a Babel AST with locations relative to the whole file
+ * @param {string} code - Script source
+ * @param {string} lang - Script language
+ * @param {SourcePosition} [start] - Position of the script in the file
+ * @returns {Object} Babel File node
+ */
+export function parseScriptBlock(code, lang, start = FILE_START) {
+  return parseScript(code, {
+    sourceType: "unambiguous",
+    plugins: getParserPlugins(lang),
+    ...getLocationOptions(start),
+  });
+}
+
+/**
+ * Parses the content of a template expression (interpolation or directive)
+ * Falls back to statement parsing for event handlers like `a = 1; save()`
+ * @param {string} code - Expression source
+ * @param {SourcePosition} start - Position of the expression in the file
+ * @returns {Object|null} Babel node, or null when the expression cannot be parsed
+ */
+export function parseTemplateExpression(code, start) {
+  const options = {
+    plugins: getParserPlugins("ts"),
+    ...getLocationOptions(start),
+  };
+
+  try {
+    return parseExpression(code, options);
+  } catch {
+    try {
+      return parseScript(code, {
+        ...options,
+        allowReturnOutsideFunction: true,
+      });
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Parses a source file into ASTs ready for extraction
+ * Vue SFCs are split into their script blocks and template
+ * @param {string} code - File content
+ * @param {string} filePath - Path to the file (used to pick the parser)
+ * @returns {{ scripts: Object[], template: Object|null }} Parsed source
+ * @throws {Error} If the file has syntax errors
+ */
+export function parseSource(code, filePath) {
+  const ext = path.extname(filePath).slice(1).toLowerCase();
+
+  if (ext !== "vue") {
+    return { scripts: [parseScriptBlock(code, ext)], template: null };
+  }
+
+  const { descriptor, errors } = parseSFC(code, {
+    filename: filePath,
+    sourceMap: false,
+    // Keep template comments regardless of NODE_ENV (translator comments)
+    templateParseOptions: { comments: true },
+  });
+
+  if (errors.length > 0) {
+    const [error] = errors;
+    const location = error.loc
+      ? ` (${error.loc.start.line}:${error.loc.start.column})`
+      : "";
+    throw new Error(`${error.message}${location}`);
+  }
+
+  const scripts = [descriptor.script, descriptor.scriptSetup]
+    .filter(Boolean)
+    .sort((a, b) => a.loc.start.offset - b.loc.start.offset)
+    .map((block) =>
+      parseScriptBlock(block.content, block.lang || "js", block.loc.start)
+    );
+
+  // Only HTML templates can be analysed (pug & co. have no AST here)
+  const template =
+    descriptor.template && !descriptor.template.lang
+      ? descriptor.template.ast
+      : null;
+
+  return { scripts, template };
+}
+
+/**
+ * Walks a Babel AST depth-first
+ * @param {Object} node - Root node
+ * @param {(node: Object, ancestors: Object[]) => void} enter - Called for every node
+ * @param {Object[]} [ancestors] - Ancestor stack (internal)
+ */
+export function walk(node, enter, ancestors = []) {
+  enter(node, ancestors);
+  ancestors.push(node);
+
+  for (const key of Object.keys(node)) {
+    if (SKIPPED_KEYS.has(key)) continue;
+
+    const value = node[key];
+    if (Array.isArray(value)) {
+      value.forEach((child) => {
+        if (child && typeof child.type === "string") {
+          walk(child, enter, ancestors);
+        }
+      });
+    } else if (value && typeof value.type === "string") {
+      walk(value, enter, ancestors);
+    }
+  }
+
+  ancestors.pop();
+}
+
+/**
+ * Walks a Vue template AST depth-first
+ * @param {Object} node - Template node (root or element)
+ * @param {(node: Object, parent: Object|null) => void} enter - Called for every node
+ * @param {Object|null} [parent] - Parent node (internal)
+ */
+export function walkTemplate(node, enter, parent = null) {
+  enter(node, parent);
+
+  if (Array.isArray(node.children)) {
+    node.children.forEach((child) => walkTemplate(child, enter, node));
+  }
+}
+
+/**
+ * Collects the JavaScript expressions of a template as Babel ASTs
+ * Covers interpolations (`{{ }}`) and directive values (`:attr`, `v-if`, `@event`...)
+ * @param {Object} template - Vue template AST root
+ * @returns {{ ast: Object, element: Object }[]} Babel nodes with file-relative
+ *   locations, with the element they belong to (for interpolations, the parent)
+ */
+export function collectTemplateExpressions(template) {
+  const expressions = [];
+
+  const add = (element, exp, content = exp.content, offset = 0) => {
+    if (!exp || exp.type !== TemplateNodeType.SIMPLE_EXPRESSION) return;
+    if (exp.isStatic || !content.trim()) return;
+
+    const start = advancePosition(exp.loc.start, exp.loc.source, offset);
+    const ast = parseTemplateExpression(content, start);
+    if (ast) expressions.push({ ast, element });
+  };
+
+  walkTemplate(template, (node, parent) => {
+    if (node.type === TemplateNodeType.INTERPOLATION) {
+      add(parent, node.content);
+      return;
+    }
+
+    if (node.type !== TemplateNodeType.ELEMENT) return;
+
+    node.props.forEach((prop) => {
+      if (prop.type !== TemplateNodeType.DIRECTIVE) return;
+
+      if (prop.arg && !prop.arg.isStatic) {
+        add(node, prop.arg);
+      }
+
+      if (!prop.exp) return;
+
+      if (prop.name === "for") {
+        // Only the iterated source is an expression: `item in items`
+        const match = /^([\s\S]*?\s)(?:in|of)\s/.exec(prop.exp.content);
+        if (match) {
+          const offset = match[0].length;
+          add(node, prop.exp, prop.exp.content.slice(offset), offset);
+        }
+        return;
+      }
+
+      add(node, prop.exp);
+    });
+  });
+
+  return expressions;
+}
+
+/**
+ * Collects the HTML comments of a template, shaped like Babel comments
+ * (`<!-- text -->` becomes a CommentBlock with value " text ")
+ * @param {Object} template - Vue template AST root
+ * @returns {Object[]} Comment nodes with 0-based columns
+ */
+export function collectTemplateComments(template) {
+  const comments = [];
+
+  walkTemplate(template, (node) => {
+    if (node.type !== TemplateNodeType.COMMENT) return;
+
+    const { start, end } = node.loc;
+    comments.push({
+      type: "CommentBlock",
+      value: node.content,
+      loc: {
+        start: { line: start.line, column: start.column - 1 },
+        end: { line: end.line, column: end.column - 1 },
+      },
+    });
+  });
+
+  return comments;
+}
+
+/**
+ * Moves a source position forward through some text
+ * @param {SourcePosition} start - Start position
+ * @param {string} text - Text being traversed
+ * @param {number} offset - Number of characters to advance
+ * @returns {SourcePosition} New position
+ */
+function advancePosition(start, text, offset) {
+  let { line, column } = start;
+
+  for (let i = 0; i < offset; i++) {
+    if (text[i] === "\n") {
+      line++;
+      column = 1;
+    } else {
+      column++;
+    }
+  }
+
+  return { line, column, offset: start.offset + offset };
+}
+
+/**
+ * @typedef {Object} SourcePosition
+ * @property {number} line - 1-based line
+ * @property {number} column - 1-based column
+ * @property {number} offset - 0-based character offset in the file
+ */
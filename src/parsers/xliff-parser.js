@@ -0,0 +1,221 @@
+/**
+ * Markup of an XML document: comments, CDATA sections, processing
+ * instructions, doctype, end tags and start tags (with their attributes)
+ */
+const XML_TOKEN =
+  /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+
+/**
+ * Attributes of a start tag
+ */
+const XML_ATTRIBUTE = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Predefined XML entities
+ */
+const XML_ENTITIES = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" };
+
+/**
+ * Parses an XLIFF 2.x document
+ * Inline markup of sources and targets is reduced to its text, segments and
+ * ignorables of a unit are joined
+ * @param {string} content - File content
+ * @returns {XliffDocument} Parsed document
+ * @throws {Error} If the document is not well-formed XLIFF 2.x
+ */
+export function parseXLIFF(content) {
+  const root = parseXML(content);
+
+  if (root.name !== "xliff") {
+    throw new Error(`Invalid XLIFF: root element is <${root.name}>`);
+  }
+  const version = root.attributes.version || "";
+  if (!version.startsWith("2.")) {
+    throw new Error(
+      `Unsupported XLIFF version "${version}". Only XLIFF 2.x is supported`
+    );
+  }
+
+  return {
+    sourceLocale: root.attributes.srcLang,
+    targetLocale: root.attributes.trgLang,
+    files: findElements(root, "file").map((file) => ({
+      id: file.attributes.id,
+      original: file.attributes.original,
+      units: findElements(file, "unit").map(parseUnit),
+    })),
+  };
+}
+
+/**
+ * Reads a `<unit>` element
+ * @param {XMLElement} unit
+ * @returns {import('../generators/xliff-generator.js').XliffUnit}
+ */
+function parseUnit(unit) {
+  const parts = unit.children.filter(
+    (child) => child.name === "segment" || child.name === "ignorable"
+  );
+  const segment = parts.find((part) => part.name === "segment");
+  const targets = parts
+    .map((part) => findElements(part, "target")[0])
+    .filter(Boolean);
+
+  return {
+    key: unit.attributes.name ?? unit.attributes.id,
+    source: parts
+      .map((part) => getText(findElements(part, "source")[0]))
+      .join(""),
+    ...(targets.length > 0 && {
+      target: parts
+        .map((part) => getText(findElements(part, "target")[0]))
+        .join(""),
+    }),
+    state: segment?.attributes.state || "initial",
+    notes: findElements(unit, "note").map((note) => ({
+      category: note.attributes.category,
+      text: getText(note),
+    })),
+  };
+}
+
+/**
+ * Parses an XML document into an element tree
+ * @param {string} content - XML content
+ * @returns {XMLElement} Root element
+ * @throws {Error} If the document is not well-formed
+ */
+function parseXML(content) {
+  const document = { name: null, attributes: {}, children: [] };
+  const stack = [document];
+  let lastIndex = 0;
+
+  const addText = (text) => {
+    if (text) stack[stack.length - 1].children.push(text);
+  };
+
+  for (const match of content.matchAll(XML_TOKEN)) {
+    addText(decodeEntities(content.slice(lastIndex, match.index)));
+    lastIndex = match.index + match[0].length;
+
+    const [, cdata, endName, startName, attributes, selfClosing] = match;
+
+    if (cdata !== undefined) {
+      addText(cdata);
+    } else if (endName) {
+      const element = stack.pop();
+      if (element.name !== endName) {
+        throw new Error(
+          `Invalid XML: expected </${element.name}> but found </${endName}>`
+        );
+      }
+    } else if (startName) {
+      const element = {
+        name: startName,
+        attributes: parseAttributes(attributes),
+        children: [],
+      };
+      stack[stack.length - 1].children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+
+  if (content.slice(lastIndex).includes("<")) {
+    throw new Error("Invalid XML: malformed markup");
+  }
+  if (stack.length > 1) {
+    throw new Error(`Invalid XML: unclosed <${stack[stack.length - 1].name}>`);
+  }
+
+  const root = document.children.find((child) => typeof child !== "string");
+  if (!root) {
+    throw new Error("Invalid XML: no root element");
+  }
+
+  return root;
+}
+
+/**
+ * Reads the attributes of a start tag
+ * @param {string} source - Attributes source
+ * @returns {Object<string, string>}
+ */
+function parseAttributes(source) {
+  const attributes = {};
+
+  for (const [, name, doubleQuoted, singleQuoted] of source.matchAll(
+    XML_ATTRIBUTE
+  )) {
+    attributes[name] = decodeEntities(doubleQuoted ?? singleQuoted);
+  }
+
+  return attributes;
+}
+
+/**
+ * Decodes predefined and numeric character references
+ * @param {string} text
+ * @returns {string}
+ * @throws {Error} If the text has markup or unknown entities
+ */
+function decodeEntities(text) {
+  if (text.includes("<")) {
+    throw new Error("Invalid XML: malformed markup");
+  }
+
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      return String.fromCodePoint(
+        entity[1] === "x" || entity[1] === "X"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10)
+      );
+    }
+    if (!(entity in XML_ENTITIES)) {
+      throw new Error(`Invalid XML: unknown entity ${match}`);
+    }
+    return XML_ENTITIES[entity];
+  });
+}
+
+/**
+ * Finds the descendants of an element with a given name, in document order
+ * @param {XMLElement} element
+ * @param {string} name
+ * @returns {XMLElement[]}
+ */
+function findElements(element, name) {
+  const found = [];
+
+  element.children.forEach((child) => {
+    if (typeof child === "string") return;
+    if (child.name === name) found.push(child);
+    found.push(...findElements(child, name));
+  });
+
+  return found;
+}
+
+/**
+ * Returns the text content of an element (empty for missing elements)
+ * @param {XMLElement} [element]
+ * @returns {string}
+ */
+function getText(element) {
+  if (!element) return "";
+
+  return element.children
+    .map((child) => (typeof child === "string" ? child : getText(child)))
+    .join("");
+}
+
+/**
+ * @typedef {Object} XMLElement
+ * @property {string} name - Tag name
+ * @property {Object<string, string>} attributes - Attributes
+ * @property {(XMLElement|string)[]} children - Child elements and text
+ */
+
+/**
+ * @typedef {import('../generators/xliff-generator.js').XliffDocument} XliffDocument
+ */
@@ -3,9 +3,59 @@
  * @property {string} [header] - Header to prepend to output files (default: "module.exports=")
  * @property {string} sourceLocale - The source/default locale (e.g., "pt")
  * @property {string[]} locales - Array of all supported locales
- * @property {string} format - Output file format ("js", "json", "ts")
+ * @property {string} format - Output file format ("js", "json", "ts", "yaml", "po"); "ts" also writes `message-schema.d.ts`
  * @property {CatalogConfig} catalogs - Catalog configuration
  * @property {SplittingConfig} [splitting] - Configuration for splitting translations into multiple files
+ * @property {TranslationFunction[]} [functions] - Translation functions to extract (default: t, $t, this.$t, defineMessage)
+ * @property {DynamicKeysConfig} [dynamicKeys] - Reporting of non-literal translation keys
+ * @property {ValidationConfig} [validation] - Checks run on existing translations
+ * @property {'icu'|'vue-i18n'} [messageSyntax] - Syntax of the messages: ICU MessageFormat or vue-i18n's native syntax (default: "icu")
+ * @property {boolean} [pluralSkeletons] - Pre-fill new plural keys of target locales with the locale's plural categories (default: false)
+ * @property {boolean} [nested] - Write JS, JSON and YAML catalogs as nested objects, splitting keys on `keySeparator` (default: false)
+ * @property {string} [keySeparator] - Separator of nested key paths (default: ".")
+ * @property {boolean|ObsoleteConfig} [obsolete] - Keep the translations of keys removed from the code in `<locale>.obsolete.json` and restore them when the keys come back (default: false)
+ * @property {boolean|FuzzyConfig} [fuzzy] - Carry the translations of removed keys over to similar new keys of the same catalog, marked for review (default: false)
+ * @property {boolean} [staleTracking] - Keep fingerprints of the source message of each translation in `<catalog>.meta.json` and flag translations whose source message changed (default: false)
+ * @property {Object<string, string[]>} [fallbacks] - Fallback locales of each locale (e.g. `{ "pt-BR": ["pt"] }`): new keys are prefilled with their translations
+ * @property {boolean} [omitInherited] - Leave out of target catalogs the keys whose translation is the same as in a fallback locale (default: false)
+ * @property {string|PseudoLocaleConfig} [pseudoLocale] - Locale (e.g. "en-XA") whose catalogs are generated by pseudo-localizing the source messages
+ */
+
+/**
+ * @typedef {Object} PseudoLocaleConfig
+ * @property {string} locale - Pseudo-locale, not one of `locales`
+ * @property {number} [expansion] - Padding added to each message, as a ratio of its text length (default: 0.3)
+ */
+
+/**
+ * @typedef {Object} ObsoleteConfig
+ * @property {number} [keepRuns] - Extraction runs an obsolete translation is kept for (default: until purged)
+ */
+
+/**
+ * @typedef {Object} FuzzyConfig
+ * @property {number} [threshold] - Minimum similarity of the keys, from their edit distance (default: 0.8)
+ */
+
+/**
+ * @typedef {Object} ValidationConfig
+ * @property {boolean} [placeholders] - Report translations whose placeholders differ from the source message (default: true)
+ * @property {boolean} [plurals] - Report plural arguments whose categories do not match the locale's CLDR plural rules (default: true)
+ * @property {boolean} [links] - Report linked messages (`@:key`) pointing to keys that exist in no catalog (default: true)
+ * @property {boolean} [strict] - Fail the run when translation issues are found (default: false)
+ */
+
+/**
+ * @typedef {Object} DynamicKeysConfig
+ * @property {string} [output] - JSON file where the dynamic keys report is written
+ * @property {boolean} [failOnNew] - Fail the run when dynamic keys not listed in `output` are found
+ */
+
+/**
+ * @typedef {Object} TranslationFunction
+ * @property {string} name - Function name, dotted for members (e.g. "$t", "i18n.global.t", "this.$t")
+ * @property {number} [keyArg] - Index of the argument holding the key (default: 0)
+ * @property {number} [optionsArg] - Index of the argument holding the options object (default: keyArg + 1)
  */
 
 /**
@@ -40,14 +90,31 @@
 
 /**
  * @typedef {Object} ExtractedKey
- * @property {string} key - The translation key
+ * @property {string} key - The translation key (the message itself, or an explicit ID)
  * @property {string} message - The default message
+ * @property {string} [context] - Disambiguation context (part of the key: "message::context")
+ * @property {string[]} [comments] - Translator comments (`// i18n: ...`) found before its usages
+ * @property {boolean} [hasExplicitId] - Whether the key is an explicit ID and `message` its default message
  * @property {string[]} files - Files where this key appears
  * @property {string} [namespace] - Namespace for organizing translations into multiple files
- * @property {string[]} [variables] - Variables found in the message
+ * @property {string[]} [variables] - Variables found in the message (including plural, select and formatted arguments)
+ * @property {Object<string, 'simple'|'plural'|'select'|'date'|'time'|'number'>} [variableKinds] - Kind of each variable
  * @property {boolean} [hasPlural] - Whether this key uses pluralization
  * @property {boolean} [hasDate] - Whether this key uses date formatting
+ * @property {string[]} [links] - Keys the message links to (vue-i18n `@:key`)
+ * @property {string[]} [linkedFrom] - Keys linking to this one, for keys only kept because of links
+ * @property {Object<string, number>} [lines] - First line of the key in each of its files
  * @property {number} [line] - Line number where found
+ * @property {number} [column] - Column number (1-based) where found
+ */
+
+/**
+ * @typedef {Object} DynamicKey
+ * @property {string} file - File where the usage appears
+ * @property {number} line - Line number
+ * @property {number} column - Column number (1-based)
+ * @property {string} function - Translation function, component or directive used
+ * @property {string} expression - Source text of the key expression
  */
 
 export {};
@@ -243,6 +243,32 @@ export class NamespaceGenerator {
     return `${locale}.${namespace}.${format}`;
   }
 
+  /**
+   * Finds the namespace of a catalog file name (inverse of getFileName)
+   * @param {string} fileName - Catalog file name (e.g. "en.auth.js")
+   * @param {string} locale - Locale of the catalog
+   * @param {string} format - File format
+   * @returns {string|null} Namespace, or null if the file is not a catalog of that locale
+   */
+  getNamespaceFromFileName(fileName, locale, format) {
+    if (fileName === `${locale}.${format}`) {
+      return "common";
+    }
+
+    const prefix = `${locale}.`;
+    const suffix = `.${format}`;
+    if (
+      this.strategy === "flat" ||
+      !fileName.startsWith(prefix) ||
+      !fileName.endsWith(suffix)
+    ) {
+      return null;
+    }
+
+    const namespace = fileName.slice(prefix.length, -suffix.length);
+    return namespace || null;
+  }
+
   /**
    * Gets all unique namespaces from keys
    * Returns sorted array for deterministic output
@@ -0,0 +1,121 @@
+/**
+ * Default separator of nested key paths ("auth.login.title")
+ */
+export const DEFAULT_KEY_SEPARATOR = ".";
+
+/**
+ * Builds a nested object from flat key paths
+ * Keys that cannot be nested stay flat at the root, where vue-i18n still
+ * resolves them: keys with empty segments ("Loading...") and keys below
+ * another key (see findKeyConflicts)
+ * @param {[string, any][]} entries - Flat keys and their values, in output order
+ * @param {string} [separator] - Key path separator
+ * @returns {Object} Nested object (leaves are the values, never plain objects)
+ */
+export function nestKeys(entries, separator = DEFAULT_KEY_SEPARATOR) {
+  const flat = new Set([
+    ...entries
+      .map(([key]) => key)
+      .filter((key) => hasEmptySegment(key, separator)),
+    ...findKeyConflicts(
+      entries.map(([key]) => key),
+      separator
+    ).map((conflict) => conflict.key),
+  ]);
+  const result = {};
+
+  entries.forEach(([key, value]) => {
+    if (flat.has(key)) {
+      result[key] = value;
+      return;
+    }
+
+    const segments = key.split(separator);
+    const last = segments.pop();
+    let node = result;
+    segments.forEach((segment) => {
+      node[segment] = node[segment] || {};
+      node = node[segment];
+    });
+    node[last] = value;
+  });
+
+  return result;
+}
+
+/**
+ * Builds flat key paths from a nested object (inverse of nestKeys)
+ * Flat objects are returned unchanged
+ * @param {Object} nested - Nested object
+ * @param {string} [separator] - Key path separator
+ * @returns {Object} Flat object
+ */
+export function flattenKeys(nested, separator = DEFAULT_KEY_SEPARATOR) {
+  const result = {};
+
+  const visit = (node, prefix) => {
+    Object.entries(node).forEach(([key, value]) => {
+      const path = prefix ? `${prefix}${separator}${key}` : key;
+      if (isPlainObject(value)) {
+        visit(value, path);
+      } else {
+        result[path] = value;
+      }
+    });
+  };
+
+  visit(nested, "");
+
+  return result;
+}
+
+/**
+ * Finds keys that cannot be nested because another key is one of their
+ * parents: "auth" is both a message and the parent of "auth.title"
+ * @param {string[]} keys - Flat keys
+ * @param {string} [separator] - Key path separator
+ * @returns {{ key: string, parent: string }[]} Conflicts, with the closest parent, in key order
+ */
+export function findKeyConflicts(keys, separator = DEFAULT_KEY_SEPARATOR) {
+  const known = new Set(keys);
+  const conflicts = [];
+
+  [...keys].sort().forEach((key) => {
+    if (hasEmptySegment(key, separator)) return;
+
+    const segments = key.split(separator);
+    for (let length = segments.length - 1; length > 0; length--) {
+      const parent = segments.slice(0, length).join(separator);
+      if (known.has(parent)) {
+        conflicts.push({ key, parent });
+        return;
+      }
+    }
+  });
+
+  return conflicts;
+}
+
+/**
+ * Whether a key has an empty path segment (leading, trailing or repeated
+ * separators), which cannot be nested
+ * @param {string} key
+ * @param {string} separator
+ * @returns {boolean}
+ */
+function hasEmptySegment(key, separator) {
+  return key.split(separator).some((segment) => segment === "");
+}
+
+/**
+ * Whether a value is a plain object (a nested level of a catalog)
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
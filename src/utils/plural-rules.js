@@ -0,0 +1,79 @@
+/**
+ * CLDR order of plural categories
+ */
+const CATEGORY_ORDER = ["zero", "one", "two", "few", "many", "other"];
+
+/**
+ * Counts a message is expected to handle: integers below 1000 and a few
+ * decimals. Categories only selected by other numbers (`many` of pt, es, fr
+ * and it, for round millions) are optional
+ */
+const SAMPLE_COUNTS = [
+  ...Array.from({ length: 1000 }, (_, index) => index),
+  ...Array.from({ length: 10 }, (_, index) => index + 0.5),
+];
+
+/**
+ * Plural categories by locale and rule type
+ * @type {Map<string, string[]|null>}
+ */
+const categoriesCache = new Map();
+
+/**
+ * Required plural categories by locale and rule type
+ * @type {Map<string, string[]|null>}
+ */
+const requiredCache = new Map();
+
+/**
+ * Returns the plural categories of a locale (CLDR rules, through
+ * Intl.PluralRules), in CLDR order
+ * @param {string} locale - Locale ("ru", "pt-BR", "pt_BR")
+ * @param {'cardinal'|'ordinal'} [type] - Plural rule type
+ * @returns {string[]|null} Categories, or null when the locale is unknown to Intl
+ */
+export function getPluralCategories(locale, type = "cardinal") {
+  const cacheKey = `${locale}:${type}`;
+
+  if (!categoriesCache.has(cacheKey)) {
+    let categories = null;
+    try {
+      const rules = new Intl.PluralRules(locale.replace(/_/g, "-"), { type });
+      // Engines return the categories in any order
+      categories = [...rules.resolvedOptions().pluralCategories].sort(
+        (a, b) => CATEGORY_ORDER.indexOf(a) - CATEGORY_ORDER.indexOf(b)
+      );
+    } catch {
+      // Invalid language tag: nothing to check against
+    }
+    categoriesCache.set(cacheKey, categories);
+  }
+
+  return categoriesCache.get(cacheKey);
+}
+
+/**
+ * Returns the plural categories a message of a locale must have: those
+ * selected by common counts (see SAMPLE_COUNTS), in CLDR order
+ * @param {string} locale - Locale ("ru", "pt-BR", "pt_BR")
+ * @param {'cardinal'|'ordinal'} [type] - Plural rule type
+ * @returns {string[]|null} Categories, or null when the locale is unknown to Intl
+ */
+export function getRequiredPluralCategories(locale, type = "cardinal") {
+  const cacheKey = `${locale}:${type}`;
+
+  if (!requiredCache.has(cacheKey)) {
+    const categories = getPluralCategories(locale, type);
+    let required = null;
+    if (categories) {
+      const rules = new Intl.PluralRules(locale.replace(/_/g, "-"), { type });
+      const selected = new Set(
+        SAMPLE_COUNTS.map((count) => rules.select(count))
+      );
+      required = categories.filter((category) => selected.has(category));
+    }
+    requiredCache.set(cacheKey, required);
+  }
+
+  return requiredCache.get(cacheKey);
+}
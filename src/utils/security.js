@@ -42,6 +42,66 @@ export function escapeString(str) {
   ); // Remove control characters
 }
 
+/**
+ * Makes a string safe to embed in a generated comment
+ * Collapses line breaks (which would end a line comment) and breaks up
+ * comment terminators (which would end a block comment)
+ * @param {string} str - String to sanitize
+ * @returns {string} Single-line string safe for use inside comments
+ */
+export function escapeComment(str) {
+  if (typeof str !== "string") return "";
+
+  return (
+    str
+      .replace(/[\r\n\u2028\u2029]+/g, " ") // Keep the comment on one line
+      .replace(/\*\//g, "* /") // Don't close block comments
+      // eslint-disable-next-line no-control-regex
+      .replace(/[\x00-\x1F\x7F]/g, "")
+      .trim()
+  ); // Remove control characters
+}
+
+/**
+ * Escapes a string for a Gettext PO file (content of a "..." string)
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string safe for use in PO files
+ */
+export function escapePOString(str) {
+  if (typeof str !== "string") return "";
+
+  return (
+    str
+      .replace(/\\/g, "\\\\") // Escape backslashes
+      .replace(/"/g, '\\"') // Escape double quotes
+      .replace(/\n/g, "\\n") // Escape newlines
+      .replace(/\r/g, "\\r") // Escape carriage returns
+      .replace(/\t/g, "\\t") // Escape tabs
+      // eslint-disable-next-line no-control-regex
+      .replace(/[\x00-\x1F\x7F]/g, "")
+  ); // Remove control characters
+}
+
+/**
+ * Escapes a string for XML text and attribute values
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string safe for use in XML documents
+ */
+export function escapeXML(str) {
+  if (typeof str !== "string") return "";
+
+  return (
+    str
+      .replace(/&/g, "&amp;") // Escape ampersands first
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;")
+      .replace(/'/g, "&apos;")
+      // eslint-disable-next-line no-control-regex
+      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\x7F]/g, "")
+  ); // Remove characters XML 1.0 does not allow
+}
+
 /**
  * Validates a variable name to ensure it's safe
  * @param {string} varName - Variable name to validate
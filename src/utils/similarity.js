@@ -0,0 +1,94 @@
+/**
+ * Default minimum similarity of fuzzy matches
+ */
+export const DEFAULT_FUZZY_THRESHOLD = 0.8;
+
+/**
+ * Similarity of two strings from their edit distance: 1 for equal strings,
+ * 0 when every character differs
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Similarity between 0 and 1
+ */
+export function getSimilarity(a, b) {
+  const left = [...a];
+  const right = [...b];
+  const length = Math.max(left.length, right.length);
+  if (length === 0) return 1;
+
+  return 1 - getEditDistance(left, right) / length;
+}
+
+/**
+ * Pairs new keys with removed keys whose text is similar enough, most
+ * similar pairs first; each key is used in one pair at most
+ * @param {string[]} newKeys - Keys without translation
+ * @param {string[]} removedKeys - Keys no longer found in the code
+ * @param {number} [threshold] - Minimum similarity (0 to 1)
+ * @returns {{ key: string, from: string, similarity: number }[]} Matches, in new keys order
+ */
+export function findSimilarKeys(
+  newKeys,
+  removedKeys,
+  threshold = DEFAULT_FUZZY_THRESHOLD
+) {
+  const pairs = [];
+
+  newKeys.forEach((key, index) => {
+    removedKeys.forEach((from) => {
+      // Strings whose lengths differ too much cannot be similar enough
+      const lengths = [[...key].length, [...from].length];
+      if (
+        1 - Math.abs(lengths[0] - lengths[1]) / Math.max(...lengths) <
+        threshold
+      ) {
+        return;
+      }
+
+      const similarity = getSimilarity(key, from);
+      if (similarity >= threshold) {
+        pairs.push({ key, from, similarity, index });
+      }
+    });
+  });
+
+  const used = new Set();
+  const matches = [];
+  pairs
+    .sort((a, b) => b.similarity - a.similarity || a.index - b.index)
+    .forEach(({ key, from, similarity, index }) => {
+      if (used.has(key) || used.has(`\u0000${from}`)) return;
+
+      used.add(key);
+      used.add(`\u0000${from}`);
+      matches.push({ key, from, similarity, index });
+    });
+
+  return matches
+    .sort((a, b) => a.index - b.index)
+    .map(({ key, from, similarity }) => ({ key, from, similarity }));
+}
+
+/**
+ * Levenshtein distance of two character lists
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {number}
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
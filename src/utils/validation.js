@@ -1,3 +1,5 @@
+import { MESSAGE_SYNTAXES } from "../parsers/message-parser.js";
+
 /**
  * Validates configuration object for security and correctness
  * @param {any} config - Configuration to validate
@@ -28,7 +30,7 @@ export function validateConfig(config) {
   });
 
   // Validate format
-  const validFormats = ["js", "json", "ts"];
+  const validFormats = ["js", "json", "ts", "yaml", "po"];
   if (!validFormats.includes(config.format)) {
     throw new Error(
       `Invalid format "${config.format}". Must be one of: ${validFormats.join(", ")}`
@@ -57,4 +59,267 @@ export function validateConfig(config) {
   if (!Array.isArray(config.catalogs.include)) {
     throw new Error("catalogs.include must be an array");
   }
+
+  if (config.functions !== undefined) {
+    validateFunctions(config.functions);
+  }
+
+  if (config.dynamicKeys !== undefined) {
+    validateDynamicKeys(config.dynamicKeys);
+  }
+
+  if (
+    config.messageSyntax !== undefined &&
+    !MESSAGE_SYNTAXES.includes(config.messageSyntax)
+  ) {
+    throw new Error(
+      `Invalid messageSyntax "${config.messageSyntax}". Must be one of: ${MESSAGE_SYNTAXES.join(", ")}`
+    );
+  }
+
+  if (
+    config.pluralSkeletons !== undefined &&
+    typeof config.pluralSkeletons !== "boolean"
+  ) {
+    throw new Error("pluralSkeletons must be a boolean");
+  }
+
+  if (config.nested !== undefined && typeof config.nested !== "boolean") {
+    throw new Error("nested must be a boolean");
+  }
+
+  if (
+    config.keySeparator !== undefined &&
+    (typeof config.keySeparator !== "string" || !config.keySeparator)
+  ) {
+    throw new Error("keySeparator must be a non-empty string");
+  }
+
+  if (config.validation !== undefined) {
+    validateValidationOptions(config.validation);
+  }
+
+  if (config.obsolete !== undefined) {
+    validateObsoleteOptions(config.obsolete);
+  }
+
+  if (config.fuzzy !== undefined) {
+    validateFuzzyOptions(config.fuzzy);
+  }
+
+  if (config.fallbacks !== undefined) {
+    validateFallbacks(config.fallbacks, config.locales);
+  }
+
+  if (
+    config.omitInherited !== undefined &&
+    typeof config.omitInherited !== "boolean"
+  ) {
+    throw new Error("omitInherited must be a boolean");
+  }
+
+  if (config.pseudoLocale !== undefined) {
+    validatePseudoLocale(config.pseudoLocale, config.locales);
+  }
+
+  if (
+    config.staleTracking !== undefined &&
+    typeof config.staleTracking !== "boolean"
+  ) {
+    throw new Error("staleTracking must be a boolean");
+  }
+}
+
+/**
+ * Validates the pseudo-locale options
+ * @param {any} pseudoLocale - Value of config.pseudoLocale
+ * @param {string[]} locales - Configured locales
+ * @throws {Error} If the options are invalid
+ */
+function validatePseudoLocale(pseudoLocale, locales) {
+  const options =
+    typeof pseudoLocale === "string" ? { locale: pseudoLocale } : pseudoLocale;
+
+  if (!options || typeof options !== "object" || Array.isArray(options)) {
+    throw new Error("pseudoLocale must be a locale or an object");
+  }
+
+  if (
+    typeof options.locale !== "string" ||
+    !/^[a-zA-Z0-9_-]+$/.test(options.locale)
+  ) {
+    throw new Error(
+      `Invalid pseudoLocale "${options.locale}". Only alphanumeric characters, dashes, and underscores allowed.`
+    );
+  }
+
+  if (locales.includes(options.locale)) {
+    throw new Error(
+      `pseudoLocale "${options.locale}" must not be one of locales`
+    );
+  }
+
+  if (
+    options.expansion !== undefined &&
+    (typeof options.expansion !== "number" || !(options.expansion >= 0))
+  ) {
+    throw new Error("pseudoLocale.expansion must be a non-negative number");
+  }
+}
+
+/**
+ * Validates the fallback chains of the locales
+ * @param {any} fallbacks - Value of config.fallbacks
+ * @param {string[]} locales - Configured locales
+ * @throws {Error} If a chain is invalid
+ */
+function validateFallbacks(fallbacks, locales) {
+  if (!fallbacks || typeof fallbacks !== "object" || Array.isArray(fallbacks)) {
+    throw new Error("fallbacks must be an object");
+  }
+
+  Object.entries(fallbacks).forEach(([locale, chain]) => {
+    if (!locales.includes(locale)) {
+      throw new Error(`fallbacks: "${locale}" is not in locales`);
+    }
+    if (
+      !Array.isArray(chain) ||
+      !chain.every((fallback) => typeof fallback === "string")
+    ) {
+      throw new Error(`fallbacks["${locale}"] must be an array of locales`);
+    }
+    chain.forEach((fallback) => {
+      if (fallback === locale || !locales.includes(fallback)) {
+        throw new Error(
+          `fallbacks["${locale}"]: "${fallback}" must be another locale of locales`
+        );
+      }
+    });
+  });
+}
+
+/**
+ * Validates the fuzzy carry-over options
+ * @param {any} fuzzy - Value of config.fuzzy
+ * @throws {Error} If the options are invalid
+ */
+function validateFuzzyOptions(fuzzy) {
+  if (typeof fuzzy === "boolean") return;
+
+  if (!fuzzy || typeof fuzzy !== "object") {
+    throw new Error("fuzzy must be a boolean or an object");
+  }
+
+  if (
+    fuzzy.threshold !== undefined &&
+    (typeof fuzzy.threshold !== "number" ||
+      !(fuzzy.threshold > 0 && fuzzy.threshold <= 1))
+  ) {
+    throw new Error("fuzzy.threshold must be a number between 0 and 1");
+  }
+}
+
+/**
+ * Validates the obsolete translations options
+ * @param {any} obsolete - Value of config.obsolete
+ * @throws {Error} If the options are invalid
+ */
+function validateObsoleteOptions(obsolete) {
+  if (typeof obsolete === "boolean") return;
+
+  if (!obsolete || typeof obsolete !== "object") {
+    throw new Error("obsolete must be a boolean or an object");
+  }
+
+  if (
+    obsolete.keepRuns !== undefined &&
+    (!Number.isInteger(obsolete.keepRuns) || obsolete.keepRuns < 1)
+  ) {
+    throw new Error("obsolete.keepRuns must be a positive integer");
+  }
+}
+
+/**
+ * Validates the translation validation options
+ * @param {any} validation - Value of config.validation
+ * @throws {Error} If the options are invalid
+ */
+function validateValidationOptions(validation) {
+  if (!validation || typeof validation !== "object") {
+    throw new Error("validation must be an object");
+  }
+
+  ["placeholders", "plurals", "links", "strict"].forEach((option) => {
+    if (
+      validation[option] !== undefined &&
+      typeof validation[option] !== "boolean"
+    ) {
+      throw new Error(`validation.${option} must be a boolean`);
+    }
+  });
+}
+
+/**
+ * Validates the dynamic keys report options
+ * @param {any} dynamicKeys - Value of config.dynamicKeys
+ * @throws {Error} If the options are invalid
+ */
+function validateDynamicKeys(dynamicKeys) {
+  if (!dynamicKeys || typeof dynamicKeys !== "object") {
+    throw new Error("dynamicKeys must be an object");
+  }
+
+  if (dynamicKeys.output !== undefined) {
+    if (typeof dynamicKeys.output !== "string" || !dynamicKeys.output) {
+      throw new Error("dynamicKeys.output must be a string");
+    }
+
+    if (dynamicKeys.output.includes("..")) {
+      throw new Error(
+        "Security: Path traversal detected in dynamicKeys.output. Use relative paths without '..'"
+      );
+    }
+  }
+
+  if (
+    dynamicKeys.failOnNew !== undefined &&
+    typeof dynamicKeys.failOnNew !== "boolean"
+  ) {
+    throw new Error("dynamicKeys.failOnNew must be a boolean");
+  }
+}
+
+/**
+ * Validates the translation function definitions
+ * @param {any} functions - Value of config.functions
+ * @throws {Error} If a definition is invalid
+ */
+function validateFunctions(functions) {
+  if (!Array.isArray(functions) || functions.length === 0) {
+    throw new Error("functions must be a non-empty array");
+  }
+
+  // Identifiers joined by dots: t, $t, this.$t, i18n.global.t
+  const nameRegex = /^[a-zA-Z_$][\w$]*(\.[a-zA-Z_$][\w$]*)*$/;
+  const isIndex = (value) => Number.isInteger(value) && value >= 0;
+
+  functions.forEach((fn) => {
+    if (!fn || typeof fn.name !== "string" || !nameRegex.test(fn.name)) {
+      throw new Error(
+        `Invalid translation function "${fn?.name}". Use a name like "t", "$t" or "i18n.global.t".`
+      );
+    }
+
+    if (fn.keyArg !== undefined && !isIndex(fn.keyArg)) {
+      throw new Error(
+        `Invalid keyArg for "${fn.name}". Must be a non-negative integer.`
+      );
+    }
+
+    if (fn.optionsArg !== undefined && !isIndex(fn.optionsArg)) {
+      throw new Error(
+        `Invalid optionsArg for "${fn.name}". Must be a non-negative integer.`
+      );
+    }
+  });
 }
@@ -0,0 +1,69 @@
+import { parseMessageAST, getLinks } from "../parsers/message-parser.js";
+import { isTranslated } from "../generators/catalog-generator.js";
+
+/**
+ * Checks that linked messages (vue-i18n `@:key`) point to existing keys
+ */
+export class LinkValidator {
+  /**
+   * @param {Object} [options]
+   * @param {import('../parsers/message-parser.js').MessageSyntax} [options.messageSyntax] - Syntax of the messages (default: "icu")
+   */
+  constructor(options = {}) {
+    this.messageSyntax = options.messageSyntax || "icu";
+  }
+
+  /**
+   * Reports the links of a catalog's messages to keys that exist nowhere
+   * @param {import('../types.js').ExtractedKey[]} keys - Keys of the catalog
+   * @param {Object} messages - Messages of the catalog (source messages or translations)
+   * @param {Set<string>} knownKeys - Keys of all catalogs
+   * @returns {LinkIssue[]} Issues, in key order
+   */
+  validate(keys, messages, knownKeys) {
+    const issues = [];
+
+    keys.forEach((key) => {
+      this.getLinks(messages[key.key])
+        .filter((link) => !knownKeys.has(link))
+        .forEach((link) => {
+          issues.push({ key: key.key, type: "dangling", link });
+        });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Lists the keys a message links to
+   * @param {any} message - Message (empty strings, plural skeletons and non-strings have no links)
+   * @returns {string[]} Linked keys, empty for invalid messages
+   */
+  getLinks(message) {
+    if (!isTranslated(message)) return [];
+
+    try {
+      return getLinks(parseMessageAST(message, this.messageSyntax));
+    } catch {
+      return []; // Reported by the placeholder validation
+    }
+  }
+}
+
+/**
+ * Describes a link issue for the console
+ * @param {LinkIssue} issue
+ * @returns {string}
+ */
+export function describeLinkIssue(issue) {
+  return `links to missing key "${issue.link}"`;
+}
+
+/**
+ * @typedef {Object} LinkIssue
+ * @property {string} key - Catalog key
+ * @property {'dangling'} type - Kind of problem
+ * @property {string} link - Linked key that does not exist
+ * @property {string} [locale] - Locale of the message
+ * @property {string} [file] - Catalog file name
+ */
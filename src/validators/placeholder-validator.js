@@ -0,0 +1,107 @@
+import {
+  parseMessageAST,
+  getArgumentKinds,
+} from "../parsers/message-parser.js";
+import { isTranslated } from "../generators/catalog-generator.js";
+
+/**
+ * Checks that translations keep the placeholders of their source messages
+ */
+export class PlaceholderValidator {
+  /**
+   * @param {Object} [options]
+   * @param {import('../parsers/message-parser.js').MessageSyntax} [options.messageSyntax] - Syntax of the messages (default: "icu")
+   */
+  constructor(options = {}) {
+    this.messageSyntax = options.messageSyntax || "icu";
+  }
+
+  /**
+   * Compares the translations of a catalog with the extracted source messages
+   * Missing, empty and unfilled (plural skeleton) translations are not checked
+   * @param {import('../types.js').ExtractedKey[]} keys - Keys of the catalog
+   * @param {Object} translations - Existing translations of the catalog
+   * @returns {PlaceholderIssue[]} Issues, in key order
+   */
+  validate(keys, translations) {
+    const issues = [];
+
+    keys.forEach((key) => {
+      const translation = translations[key.key];
+      if (!isTranslated(translation)) return;
+
+      this.compare(key.message, translation).forEach((issue) => {
+        issues.push({ key: key.key, ...issue });
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Compares the arguments of a translation with those of its source message
+   * A missing argument paired with an unknown one is reported as a rename
+   * (pairs follow the order of appearance)
+   * @param {string} source - Source message
+   * @param {string} translation - Translated message
+   * @returns {Omit<PlaceholderIssue, 'key'>[]} Issues
+   */
+  compare(source, translation) {
+    let translated;
+    try {
+      translated = getArgumentKinds(
+        parseMessageAST(translation, this.messageSyntax)
+      );
+    } catch (err) {
+      return [{ type: "syntax", error: err.message }];
+    }
+
+    let expected;
+    try {
+      expected = getArgumentKinds(parseMessageAST(source, this.messageSyntax));
+    } catch {
+      return []; // Invalid source messages are reported during extraction
+    }
+
+    const missing = Object.keys(expected).filter((name) => !translated[name]);
+    const extra = Object.keys(translated).filter((name) => !expected[name]);
+    const renamed = Math.min(missing.length, extra.length);
+
+    return [
+      ...missing
+        .slice(0, renamed)
+        .map((name, index) => ({ type: "renamed", name, to: extra[index] })),
+      ...missing.slice(renamed).map((name) => ({ type: "missing", name })),
+      ...extra.slice(renamed).map((name) => ({ type: "extra", name })),
+    ];
+  }
+}
+
+/**
+ * Describes a placeholder issue for the console
+ * @param {PlaceholderIssue} issue
+ * @returns {string}
+ */
+export function describePlaceholderIssue(issue) {
+  switch (issue.type) {
+    case "missing":
+      return `missing {${issue.name}}`;
+    case "extra":
+      return `unknown {${issue.name}}`;
+    case "renamed":
+      return `{${issue.name}} renamed to {${issue.to}}`;
+    default:
+      return `invalid message (${issue.error})`;
+  }
+}
+
+/**
+ * @typedef {Object} PlaceholderIssue
+ * @property {string} key - Catalog key
+ * @property {'missing'|'extra'|'renamed'|'syntax'} type - Kind of problem
+ * @property {string} [name] - Argument of the source message (or unknown argument, for "extra")
+ * @property {string} [to] - Argument used instead of `name` (for "renamed")
+ * @property {string} [error] - Parser error (for "syntax")
+ * @property {string} [locale] - Locale of the translation
+ * @property {string} [file] - Catalog file name
+ */
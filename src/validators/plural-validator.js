@@ -0,0 +1,112 @@
+import { parseMessageAST, walkMessage } from "../parsers/message-parser.js";
+import {
+  getPluralCategories,
+  getRequiredPluralCategories,
+} from "../utils/plural-rules.js";
+import { isTranslated } from "../generators/catalog-generator.js";
+
+/**
+ * Checks that plural arguments of translations use the plural categories
+ * (CLDR rules, through Intl.PluralRules) of their locale
+ * vue-i18n pipe plurals are not checked: their cases depend on the app's
+ * pluralization rules, not on CLDR categories
+ */
+export class PluralValidator {
+  /**
+   * @param {Object} [options]
+   * @param {import('../parsers/message-parser.js').MessageSyntax} [options.messageSyntax] - Syntax of the messages (default: "icu")
+   */
+  constructor(options = {}) {
+    this.messageSyntax = options.messageSyntax || "icu";
+  }
+
+  /**
+   * Checks the plural arguments of the translations of a catalog
+   * Missing, empty, unfilled (plural skeleton) and unparseable translations
+   * are not checked
+   * @param {import('../types.js').ExtractedKey[]} keys - Keys of the catalog
+   * @param {Object} translations - Existing translations of the catalog
+   * @param {string} locale - Locale of the translations
+   * @returns {PluralIssue[]} Issues, in key order
+   */
+  validate(keys, translations, locale) {
+    const issues = [];
+
+    keys.forEach((key) => {
+      const translation = translations[key.key];
+      if (!isTranslated(translation)) return;
+
+      this.check(translation, locale).forEach((issue) => {
+        issues.push({ key: key.key, ...issue });
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Checks the plural and selectordinal arguments of a message
+   * Exact selectors (=0, =1) are not categories and are always allowed;
+   * categories only selected by uncommon counts are optional
+   * @param {string} message - Translated message
+   * @param {string} locale - Locale of the message
+   * @returns {Omit<PluralIssue, 'key'>[]} Issues
+   */
+  check(message, locale) {
+    let ast;
+    try {
+      ast = parseMessageAST(message, this.messageSyntax);
+    } catch {
+      return []; // Reported by the placeholder validation
+    }
+
+    const issues = [];
+
+    walkMessage(ast, (node) => {
+      if (node.type !== "plural" && node.type !== "selectordinal") return;
+
+      const type = node.type === "plural" ? "cardinal" : "ordinal";
+      const expected = getPluralCategories(locale, type);
+      if (!expected) return;
+      const required = getRequiredPluralCategories(locale, type);
+
+      const used = Object.keys(node.options).filter(
+        (selector) => !selector.startsWith("=")
+      );
+      const missing = required.filter((category) => !used.includes(category));
+      const unused = used.filter((category) => !expected.includes(category));
+
+      if (missing.length > 0) {
+        issues.push({ type: "missing", name: node.name, categories: missing });
+      }
+      if (unused.length > 0) {
+        issues.push({ type: "unused", name: node.name, categories: unused });
+      }
+    });
+
+    return issues;
+  }
+}
+
+/**
+ * Describes a plural issue for the console
+ * @param {PluralIssue} issue
+ * @returns {string}
+ */
+export function describePluralIssue(issue) {
+  const categories = issue.categories.join(", ");
+
+  return issue.type === "missing"
+    ? `{${issue.name}} is missing plural categories: ${categories}`
+    : `{${issue.name}} has plural categories the locale never uses: ${categories}`;
+}
+
+/**
+ * @typedef {Object} PluralIssue
+ * @property {string} key - Catalog key
+ * @property {'missing'|'unused'} type - Categories the locale needs, or never selects
+ * @property {string} name - Plural argument name
+ * @property {string[]} categories - Plural categories concerned
+ * @property {string} [locale] - Locale of the translation
+ * @property {string} [file] - Catalog file name
+ */
@@ -0,0 +1,167 @@
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+
+/**
+ * Default time to wait for more changes before extracting, in milliseconds
+ */
+export const DEFAULT_WATCH_DELAY = 100;
+
+/**
+ * Keeps the catalogs up to date while source files change: after a first
+ * full extraction, files added, changed or deleted under the `catalogs.include`
+ * directories are extracted again and only the affected catalogs are rewritten
+ */
+export class Watcher {
+  /**
+   * @param {import('./extractor.js').Extractor} extractor - Extractor of the project
+   * @param {Object} [options]
+   * @param {number} [options.delay] - Time to wait for more changes before extracting, in milliseconds (default: 100)
+   */
+  constructor(extractor, options = {}) {
+    this.extractor = extractor;
+    this.delay = options.delay ?? DEFAULT_WATCH_DELAY;
+    this.watchers = [];
+    this.pending = new Set();
+    this.timer = null;
+    this.running = Promise.resolve();
+  }
+
+  /**
+   * Runs the first extraction and starts watching the source directories
+   * @throws {Error} If no directory can be watched
+   */
+  async start() {
+    await this.extractor.extract();
+
+    const directories = getWatchDirectories(
+      this.extractor.config.catalogs.include
+    );
+
+    const watched = [];
+    directories.forEach((directory) => {
+      try {
+        const watcher = fs.watch(
+          directory,
+          { recursive: true },
+          (event, fileName) => {
+            if (fileName) this.schedule(path.join(directory, fileName));
+          }
+        );
+        watcher.on("error", (err) => {
+          console.warn(
+            chalk.yellow(`⚠ Stopped watching ${directory}: ${err.message}`)
+          );
+        });
+        this.watchers.push(watcher);
+        watched.push(directory);
+      } catch (err) {
+        console.warn(
+          chalk.yellow(`⚠ Cannot watch ${directory}: ${err.message}`)
+        );
+      }
+    });
+
+    if (watched.length === 0) {
+      throw new Error(
+        "No source directory could be watched (--watch needs Node 20 or later on Linux)"
+      );
+    }
+
+    console.log();
+    console.log(
+      chalk.blue(
+        `👀 Watching ${watched.join(", ")} for changes (Ctrl+C to stop)`
+      )
+    );
+  }
+
+  /**
+   * Queues a changed file; the extraction runs once changes stop coming
+   * @param {string} file - Path of the changed file
+   */
+  schedule(file) {
+    this.pending.add(file);
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.delay);
+  }
+
+  /**
+   * Extracts the queued files, after the extraction in progress if any
+   * @returns {Promise<void>}
+   */
+  flush() {
+    this.timer = null;
+    this.running = this.running.then(() => this.update());
+    return this.running;
+  }
+
+  /**
+   * Extracts the queued files that are source files (or were, when deleted)
+   * Errors are reported and watching goes on
+   */
+  async update() {
+    const files = [...this.pending];
+    this.pending.clear();
+
+    try {
+      const changedFiles = [];
+      for (const file of files) {
+        if (await this.extractor.isSourceFile(file)) changedFiles.push(file);
+      }
+      if (changedFiles.length === 0) return;
+
+      console.log();
+      console.log(
+        chalk.blue(
+          `🔄 ${changedFiles.map((file) => path.relative(process.cwd(), file)).join(", ")} changed`
+        )
+      );
+      await this.extractor.extract({ changedFiles });
+    } catch (err) {
+      console.error(chalk.red("Error:"), err.message);
+    }
+  }
+
+  /**
+   * Stops watching; pending changes are dropped
+   */
+  close() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending.clear();
+    this.watchers.forEach((watcher) => watcher.close());
+    this.watchers = [];
+  }
+}
+
+/**
+ * Returns the directories to watch for glob patterns: the part of each
+ * pattern before its first wildcard ("src/**" → "src"), without
+ * directories inside another one
+ * @param {string[]} patterns - Glob patterns of the source files
+ * @returns {string[]}
+ */
+function getWatchDirectories(patterns) {
+  const directories = patterns.map((pattern) => {
+    const segments = pattern.split(/[\\/]/);
+    const index = segments.findIndex((segment) => /[*?[\]{}()!]/.test(segment));
+    // Patterns without wildcards are single files
+    const base =
+      index === -1
+        ? path.dirname(pattern)
+        : segments.slice(0, index).join(path.sep);
+    return path.resolve(base || ".");
+  });
+
+  return [...new Set(directories)]
+    .sort()
+    .filter(
+      (directory, index, sorted) =>
+        !sorted
+          .slice(0, index)
+          .some((parent) => directory.startsWith(parent + path.sep))
+    )
+    .map((directory) => path.relative(process.cwd(), directory) || ".");
+}
@@ -0,0 +1,508 @@
+import { describe, it, expect } from "vitest";
+import yaml from "js-yaml";
+import { CatalogGenerator } from "../src/generators/catalog-generator.js";
+
+describe("Catalog Generator", () => {
+  const generator = new CatalogGenerator();
+
+  const openVerb = {
+    key: "Open::verb",
+    message: "Open",
+    context: "verb",
+    files: ["src/Door.vue"],
+    variables: [],
+  };
+  const openState = {
+    key: "Open::door state",
+    message: "Open",
+    context: "door state",
+    files: ["src/Door.vue"],
+    variables: [],
+  };
+
+  describe("message context", () => {
+    it("should write one entry per context with the message as source value", () => {
+      const output = generator.generateJS(
+        [openVerb, openState],
+        {},
+        "export default",
+        true
+      );
+
+      expect(output).toContain('"Open::verb": "Open"');
+      expect(output).toContain('"Open::door state": "Open"');
+      expect(output).toContain("// Context: verb");
+      expect(output).toContain("// Context: door state");
+    });
+
+    it("should preserve translations per context", () => {
+      const existing = { "Open::verb": "Abrir", "Open::door state": "Aberta" };
+
+      const js = generator.generateJS(
+        [openVerb, openState],
+        existing,
+        "export default",
+        false
+      );
+      expect(js).toContain('"Open::verb": "Abrir"');
+      expect(js).toContain('"Open::door state": "Aberta"');
+
+      const json = JSON.parse(
+        generator.generateJSON([openVerb, openState], existing, false)
+      );
+      expect(json).toEqual(existing);
+    });
+  });
+
+  describe("translator comments", () => {
+    const payKey = {
+      key: "Pay now",
+      message: "Pay now",
+      comments: ["shown on the checkout button", "also in the\ncart */"],
+      files: ["src/Checkout.vue"],
+      variables: [],
+    };
+    const plainKey = {
+      key: "Plain",
+      message: "Plain",
+      files: ["src/Checkout.vue"],
+      variables: [],
+    };
+
+    it("should write comments above the key in JS catalogs", () => {
+      const output = generator.generateJS(
+        [payKey, plainKey],
+        {},
+        "export default",
+        false
+      );
+
+      expect(output).toContain(
+        "  // Translators: shown on the checkout button\n" +
+          "  // Translators: also in the cart * /\n" +
+          '  "Pay now": "",'
+      );
+    });
+
+    it("should generate a sidecar for JSON catalogs", () => {
+      const sidecar = JSON.parse(
+        generator.generateCommentsJSON([payKey, plainKey])
+      );
+
+      expect(sidecar).toEqual({
+        "Pay now": "shown on the checkout button\nalso in the\ncart */",
+      });
+      expect(generator.generateCommentsJSON([plainKey])).toBeNull();
+    });
+  });
+
+  describe("explicit message IDs", () => {
+    const payKey = {
+      key: "checkout.pay_button",
+      message: "Pay now",
+      hasExplicitId: true,
+      files: ["src/Checkout.vue"],
+      variables: [],
+    };
+
+    it("should fill the source locale with the default message", () => {
+      const js = generator.generateJS([payKey], {}, "export default", true);
+      expect(js).toContain('"checkout.pay_button": "Pay now"');
+      expect(js).not.toContain("// Source:");
+
+      const json = JSON.parse(generator.generateJSON([payKey], {}, true));
+      expect(json).toEqual({ "checkout.pay_button": "Pay now" });
+    });
+
+    it("should show the source message to translators of other locales", () => {
+      const js = generator.generateJS(
+        [payKey],
+        { "checkout.pay_button": "Pagar agora" },
+        "export default",
+        false
+      );
+
+      expect(js).toContain(
+        '  // Source: Pay now\n  "checkout.pay_button": "Pagar agora"'
+      );
+    });
+  });
+  describe("variables", () => {
+    it("should list variables with the kind of non-simple ones", () => {
+      const key = {
+        key: "{count, plural, one {# file} other {# files}} in {folder}",
+        message: "{count, plural, one {# file} other {# files}} in {folder}",
+        files: ["src/Files.vue"],
+        variables: ["count", "folder"],
+        variableKinds: { count: "plural", folder: "simple" },
+        hasPlural: true,
+      };
+
+      const output = generator.generateJS([key], {}, "export default", true);
+      expect(output).toContain("// Variables: count (plural), folder");
+    });
+  });
+
+  describe("plural skeletons", () => {
+    const skeletons = new CatalogGenerator({ pluralSkeletons: true });
+    const filesKey = {
+      key: "{count, plural, =0 {No files} one {# file} other {# files}} in {folder}",
+      message:
+        "{count, plural, =0 {No files} one {# file} other {# files}} in {folder}",
+      files: ["src/Files.vue"],
+      variables: ["count", "folder"],
+      hasPlural: true,
+    };
+
+    it("should use the plural categories of the target locale", () => {
+      expect(skeletons.createPluralSkeleton(filesKey.message, "ru")).toBe(
+        "{count, plural, =0 {} one {} few {} many {} other {}} in {folder}"
+      );
+      expect(skeletons.createPluralSkeleton(filesKey.message, "ja")).toBe(
+        "{count, plural, =0 {} other {}} in {folder}"
+      );
+    });
+
+    it("should keep select branches and fill nested plurals", () => {
+      expect(
+        skeletons.createPluralSkeleton(
+          "{g, select, female {She has {n, plural, one {# cat} other {# cats}}} other {'{'x'}'}}",
+          "en"
+        )
+      ).toBe(
+        "{g, select, female {She has {n, plural, one {} other {}}} other {'{'x'}'}}"
+      );
+    });
+
+    it("should pre-fill new plural keys of target locales only", () => {
+      const json = JSON.parse(
+        skeletons.generateJSON(
+          [filesKey, openVerb],
+          { "Open::verb": "" },
+          false,
+          "pl"
+        )
+      );
+      expect(json[filesKey.key]).toBe(
+        "{count, plural, =0 {} one {} few {} many {} other {}} in {folder}"
+      );
+      expect(json["Open::verb"]).toBe("");
+
+      const source = JSON.parse(
+        skeletons.generateJSON([filesKey], {}, true, "en")
+      );
+      expect(source[filesKey.key]).toBe(filesKey.message);
+    });
+
+    it("should not pre-fill vue-i18n pipe plurals", () => {
+      const vueSkeletons = new CatalogGenerator({
+        pluralSkeletons: true,
+        messageSyntax: "vue-i18n",
+      });
+      const carKey = {
+        key: "car | cars",
+        message: "car | cars",
+        files: ["src/Cars.vue"],
+        hasPlural: true,
+      };
+
+      const json = JSON.parse(
+        vueSkeletons.generateJSON([carKey], {}, false, "ru")
+      );
+      expect(json["car | cars"]).toBe("");
+    });
+
+    it("should keep existing translations and be off by default", () => {
+      const existing = {
+        [filesKey.key]: "{count, plural, other {# fichiers}}",
+      };
+
+      const js = skeletons.generateJS(
+        [filesKey],
+        existing,
+        "export default",
+        false,
+        "fr"
+      );
+      expect(js).toContain("# fichiers");
+
+      const json = JSON.parse(
+        generator.generateJSON([filesKey], {}, false, "fr")
+      );
+      expect(json[filesKey.key]).toBe("");
+    });
+  });
+
+  describe("fallback locales", () => {
+    const keys = [
+      { key: "Hello", message: "Hello", files: ["src/App.vue"] },
+      { key: "Bye", message: "Bye", files: ["src/App.vue"] },
+      { key: "Save", message: "Save", files: ["src/App.vue"] },
+    ];
+    const inherited = {
+      Hello: { locale: "pt", translation: "Olá" },
+      Bye: { locale: "pt", translation: "Tchau" },
+    };
+
+    it("should prefill and mark translations inherited from fallbacks", () => {
+      const js = generator.generateJS(
+        keys,
+        { Bye: "Falou" },
+        "export default ",
+        false,
+        "pt-BR",
+        {},
+        inherited
+      );
+
+      expect(js).toContain('  // Inherited from pt\n  "Hello": "Olá",');
+      expect(js).toContain('\n  "Bye": "Falou",');
+      expect(js.match(/Inherited from/g)).toHaveLength(1);
+      expect(js).toContain('  "Save": ""');
+    });
+
+    it("should omit inherited translations with omitInherited", () => {
+      const omitting = new CatalogGenerator({ omitInherited: true });
+
+      expect(
+        JSON.parse(
+          omitting.generateJSON(
+            keys,
+            { Bye: "Tchau" },
+            false,
+            "pt-BR",
+            inherited
+          )
+        )
+      ).toEqual({ Save: "" });
+      // The source locale keeps every key
+      expect(
+        Object.keys(JSON.parse(omitting.generateJSON(keys, {}, true, "en")))
+      ).toHaveLength(3);
+    });
+  });
+
+  describe("PO catalogs", () => {
+    const cwd = process.cwd();
+    const greeting = {
+      key: "Hello {name}",
+      message: "Hello {name}",
+      comments: ["shown on the dashboard"],
+      files: [`${cwd}/src/b.js`, `${cwd}/src/a.js`],
+      lines: { [`${cwd}/src/a.js`]: 3 },
+      variables: ["name"],
+    };
+    const payKey = {
+      key: "checkout.pay",
+      message: "Pay\nnow",
+      hasExplicitId: true,
+      files: [`${cwd}/src/a.js`],
+      variables: [],
+    };
+
+    it("should write comments, references, context and source messages", () => {
+      const po = generator.generatePO([greeting, openVerb], {}, true, "en");
+
+      expect(po).toContain('"Language: en\\n"');
+      expect(po).toContain(
+        [
+          "#. shown on the dashboard",
+          "#. Variables: name",
+          "#: src/a.js:3 src/b.js",
+          'msgid "Hello {name}"',
+          'msgstr "Hello {name}"',
+        ].join("\n")
+      );
+      expect(po).toContain('msgctxt "verb"\nmsgid "Open"\nmsgstr "Open"');
+    });
+
+    it("should keep translations and show the source of explicit IDs", () => {
+      const po = generator.generatePO(
+        [payKey],
+        { "checkout.pay": "Pagar\nagora" },
+        false,
+        "pt"
+      );
+
+      expect(po).toContain(
+        '#. Source: Pay now\n#: src/a.js\nmsgid "checkout.pay"\nmsgstr ""\n"Pagar\\n"\n"agora"\n'
+      );
+    });
+
+    it("should flag translations that need review as fuzzy", () => {
+      const po = generator.generatePO(
+        [greeting],
+        { "Hello {name}": "Olá {name}" },
+        false,
+        "pt",
+        { "Hello {name}": 'carried over from "Helo {name}"' }
+      );
+
+      expect(po).toContain(
+        [
+          '#. Needs review: carried over from "Helo {name}"',
+          "#: src/a.js:3 src/b.js",
+          "#, fuzzy",
+          'msgid "Hello {name}"',
+          'msgstr "Olá {name}"',
+        ].join("\n")
+      );
+    });
+
+    it("should write templates with empty translations", () => {
+      const pot = generator.generatePOT([greeting, payKey]);
+
+      expect(pot).not.toContain("Language:");
+      expect(pot).toContain('msgid "Hello {name}"\nmsgstr ""');
+      expect(pot).toContain("#. Source: Pay now");
+    });
+  });
+
+  describe("YAML catalogs", () => {
+    const keys = [
+      {
+        key: "Hello {name}: #1",
+        message: "Hello {name}: #1",
+        comments: ["shown on the dashboard"],
+        files: ["src/Home.vue"],
+        variables: ["name"],
+      },
+      {
+        key: "checkout.pay",
+        message: 'Pay\n"now"',
+        hasExplicitId: true,
+        files: ["src/Checkout.vue"],
+        variables: [],
+      },
+      openVerb,
+    ];
+
+    it("should write file origins and metadata as comments", () => {
+      const output = generator.generateYAML(keys, {}, true);
+
+      expect(output).toBe(
+        [
+          "# src/Checkout.vue",
+          '"checkout.pay": "Pay\\n\\"now\\""',
+          "",
+          "# src/Door.vue",
+          "# Context: verb",
+          '"Open::verb": "Open"',
+          "",
+          "# src/Home.vue",
+          "# Translators: shown on the dashboard",
+          "# Variables: name",
+          '"Hello {name}: #1": "Hello {name}: #1"',
+          "",
+        ].join("\n")
+      );
+      expect(yaml.load(output)).toEqual({
+        "checkout.pay": 'Pay\n"now"',
+        "Open::verb": "Open",
+        "Hello {name}: #1": "Hello {name}: #1",
+      });
+    });
+
+    it("should keep translations and show the source of explicit IDs", () => {
+      const output = generator.generateYAML(
+        keys,
+        { "checkout.pay": "Pagar" },
+        false
+      );
+
+      expect(output).toContain('# Source: Pay "now"\n"checkout.pay": "Pagar"');
+      expect(yaml.load(output)["Open::verb"]).toBe("");
+    });
+
+    it("should write an empty mapping for empty catalogs", () => {
+      expect(yaml.load(generator.generateYAML([], {}, true))).toEqual({});
+    });
+
+    it("should generate a JS index importing the YAML catalogs", () => {
+      const index = generator.generateLocaleIndex(
+        "pt",
+        ["pages.auth", "common"],
+        "yaml"
+      );
+
+      expect(index).toContain("import common from './pt.yaml';");
+      expect(index).toContain("import pages_auth from './pt.pages.auth.yaml';");
+    });
+  });
+
+  describe("nested catalogs", () => {
+    const nestedGenerator = new CatalogGenerator({ nested: true });
+    const keys = [
+      {
+        key: "auth.login.title",
+        message: "auth.login.title",
+        files: ["src/Login.vue"],
+        variables: [],
+      },
+      {
+        key: "auth.hello",
+        message: "Hello {name}",
+        hasExplicitId: true,
+        files: ["src/Login.vue"],
+        variables: ["name"],
+      },
+    ];
+
+    it("should nest JSON catalogs and keep translations", () => {
+      const json = JSON.parse(
+        nestedGenerator.generateJSON(keys, { "auth.hello": "Olá {name}" })
+      );
+
+      expect(json).toEqual({
+        auth: { hello: "Olá {name}", login: { title: "" } },
+      });
+    });
+
+    it("should nest JS catalogs with comments before each message", () => {
+      const js = nestedGenerator.generateJS(keys, {}, "export default ", false);
+
+      expect(js).toBe(
+        [
+          "export default {",
+          '  "auth": {',
+          "    // src/Login.vue",
+          "    // Source: Hello {name}",
+          "    // Variables: name",
+          '    "hello": "",',
+          '    "login": {',
+          "      // src/Login.vue",
+          '      "title": ""',
+          "    }",
+          "  }",
+          "};",
+          "",
+        ].join("\n")
+      );
+    });
+
+    it("should nest YAML catalogs", () => {
+      const output = nestedGenerator.generateYAML(keys, {}, true);
+
+      expect(output).toContain('"auth":\n  # src/Login.vue\n');
+      expect(yaml.load(output)).toEqual({
+        auth: { hello: "Hello {name}", login: { title: "auth.login.title" } },
+      });
+    });
+
+    it("should split keys on a custom separator", () => {
+      const generator = new CatalogGenerator({
+        nested: true,
+        keySeparator: "/",
+      });
+      const json = JSON.parse(
+        generator.generateJSON(
+          [{ key: "a/b.c", message: "x", files: [], variables: [] }],
+          {},
+          true
+        )
+      );
+
+      expect(json).toEqual({ a: { "b.c": "x" } });
+    });
+  });
+});
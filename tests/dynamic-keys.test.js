@@ -0,0 +1,89 @@
+import { describe, it, expect, beforeEach, afterEach } from "vitest";
+import fs from "fs-extra";
+import path from "path";
+import { Extractor } from "../src/extractor.js";
+
+describe("Dynamic Keys Report", () => {
+  const testDir = path.join(process.cwd(), "tests", "temp-dynamic");
+  const srcDir = path.join(testDir, "src");
+  const outputFolder = path.join(testDir, "locales");
+  const reportFile = "tests/temp-dynamic/dynamic-keys.json";
+
+  const createConfig = (dynamicKeys) => ({
+    sourceLocale: "en",
+    locales: ["en"],
+    format: "json",
+    catalogs: {
+      outputFolder,
+      include: [path.join(srcDir, "**/*.js")],
+      exclude: [],
+    },
+    dynamicKeys,
+  });
+
+  beforeEach(async () => {
+    await fs.ensureDir(srcDir);
+    await fs.writeFile(
+      path.join(srcDir, "menu.js"),
+      'export const a = t("Static");\nexport const b = t(item.label);\n',
+      "utf-8"
+    );
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  it("should write the report to the configured file", async () => {
+    const extractor = new Extractor(createConfig({ output: reportFile }));
+    await extractor.extract();
+
+    const report = await fs.readJSON(reportFile);
+    expect(report).toEqual([
+      {
+        file: "tests/temp-dynamic/src/menu.js",
+        line: 2,
+        column: 18,
+        function: "t",
+        expression: "item.label",
+      },
+    ]);
+  });
+
+  it("should not write a report unless configured", async () => {
+    const extractor = new Extractor(createConfig());
+    await extractor.extract();
+
+    expect(fs.pathExistsSync(reportFile)).toBe(false);
+  });
+
+  it("should fail on dynamic keys missing from the previous report", async () => {
+    const extractor = new Extractor(
+      createConfig({ output: reportFile, failOnNew: true })
+    );
+
+    await expect(extractor.extract()).rejects.toThrow(
+      "1 new dynamic key(s) found"
+    );
+    expect(fs.pathExistsSync(reportFile)).toBe(false);
+  });
+
+  it("should accept dynamic keys already in the report, even if moved", async () => {
+    await new Extractor(createConfig({ output: reportFile })).extract();
+
+    // Move the dynamic call one line down
+    await fs.writeFile(
+      path.join(srcDir, "menu.js"),
+      '\nexport const a = t("Static");\nexport const b = t(item.label);\n',
+      "utf-8"
+    );
+
+    const extractor = new Extractor(
+      createConfig({ output: reportFile, failOnNew: true })
+    );
+    await expect(extractor.extract()).resolves.toBeUndefined();
+
+    const report = await fs.readJSON(reportFile);
+    expect(report[0].line).toBe(3);
+  });
+});
@@ -0,0 +1,909 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import fs from "fs-extra";
+import path from "path";
+import { Extractor } from "../src/extractor.js";
+
+describe("Extractor", () => {
+  const testDir = path.join(process.cwd(), "tests", "temp-extractor");
+  const srcDir = path.join(testDir, "src");
+  const outputFolder = path.join(testDir, "locales");
+
+  const createConfig = (overrides = {}) => ({
+    sourceLocale: "en",
+    locales: ["en", "pt"],
+    format: "json",
+    catalogs: {
+      outputFolder,
+      include: [path.join(srcDir, "**/*.{js,vue}")],
+      exclude: [],
+    },
+    ...overrides,
+  });
+
+  const writeSource = (fileName, content) =>
+    fs.outputFile(path.join(srcDir, fileName), content, "utf-8");
+
+  beforeEach(async () => {
+    await fs.ensureDir(srcDir);
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fs.remove(testDir);
+  });
+
+  describe("translator comments sidecar", () => {
+    it("should write comments of JSON catalogs to a sidecar file", async () => {
+      await writeSource(
+        "checkout.js",
+        '// i18n: shown on the checkout button\nt("Pay now");\nt("Cancel");\n'
+      );
+
+      await new Extractor(createConfig()).extract();
+
+      const sidecar = await fs.readJSON(
+        path.join(outputFolder, "en.comments.json")
+      );
+      expect(sidecar).toEqual({ "Pay now": "shown on the checkout button" });
+
+      // Only the source locale gets a sidecar
+      expect(
+        fs.pathExistsSync(path.join(outputFolder, "pt.comments.json"))
+      ).toBe(false);
+    });
+
+    it("should remove the sidecar when no comments are left", async () => {
+      await writeSource("checkout.js", '// i18n: note\nt("Pay now");\n');
+      await new Extractor(createConfig()).extract();
+
+      await writeSource("checkout.js", 't("Pay now");\n');
+      await new Extractor(createConfig()).extract();
+
+      expect(
+        fs.pathExistsSync(path.join(outputFolder, "en.comments.json"))
+      ).toBe(false);
+    });
+
+    it("should not write a sidecar for JS catalogs", async () => {
+      await writeSource("checkout.js", '// i18n: note\nt("Pay now");\n');
+      await new Extractor(createConfig({ format: "js" })).extract();
+
+      const files = await fs.readdir(outputFolder);
+      expect(files.sort()).toEqual(["en.js", "pt.js"]);
+    });
+  });
+
+  describe("placeholder validation", () => {
+    const writeTranslations = (translations) =>
+      fs.outputJSON(path.join(outputFolder, "pt.json"), translations);
+
+    beforeEach(async () => {
+      await writeSource("greeting.js", 't("Hello {name}");\nt("Bye");\n');
+    });
+
+    it("should report placeholder issues per locale and file", async () => {
+      await writeTranslations({ "Hello {name}": "Olá {nome}", Bye: "Tchau" });
+      const log = vi.spyOn(console, "log").mockImplementation(() => {});
+
+      await new Extractor(createConfig()).extract();
+
+      const output = log.mock.calls.map((args) => args.join(" ")).join("\n");
+      expect(output).toContain("1 translation(s) with placeholder issues");
+      expect(output).toContain("1 issue(s) in translations");
+      expect(output).toContain("pt.json (pt)");
+      expect(output).toContain('"Hello {name}": {name} renamed to {nome}');
+    });
+
+    it("should fail in strict mode after writing catalogs", async () => {
+      await writeTranslations({ "Hello {name}": "Olá" });
+      vi.spyOn(console, "log").mockImplementation(() => {});
+
+      await expect(
+        new Extractor(createConfig({ validation: { strict: true } })).extract()
+      ).rejects.toThrow("1 issue(s) found in translations");
+
+      // Translations are preserved, not dropped
+      const pt = await fs.readJSON(path.join(outputFolder, "pt.json"));
+      expect(pt["Hello {name}"]).toBe("Olá");
+    });
+
+    it("should pass strict mode when placeholders match", async () => {
+      await writeTranslations({ "Hello {name}": "Olá {name}" });
+      vi.spyOn(console, "log").mockImplementation(() => {});
+
+      await expect(
+        new Extractor(createConfig({ validation: { strict: true } })).extract()
+      ).resolves.toBeUndefined();
+    });
+
+    it("should skip the check when disabled", async () => {
+      await writeTranslations({ "Hello {name}": "Olá" });
+      const log = vi.spyOn(console, "log").mockImplementation(() => {});
+
+      await new Extractor(
+        createConfig({ validation: { placeholders: false, strict: true } })
+      ).extract();
+
+      const output = log.mock.calls.map((args) => args.join(" ")).join("\n");
+      expect(output).not.toContain("placeholder issues");
+    });
+  });
+
+  describe("plural category validation", () => {
+    it("should report plural categories per target locale", async () => {
+      await writeSource(
+        "files.js",
+        't("{count, plural, one {# file} other {# files}}");\n'
+      );
+      await fs.outputJSON(path.join(outputFolder, "ru.json"), {
+        "{count, plural, one {# file} other {# files}}":
+          "{count, plural, one {# файл} other {# файла}}",
+      });
+      await fs.outputJSON(path.join(outputFolder, "ja.json"), {
+        "{count, plural, one {# file} other {# files}}":
+          "{count, plural, one {# ファイル} other {# ファイル}}",
+      });
+      const log = vi.spyOn(console, "log").mockImplementation(() => {});
+
+      await new Extractor(
+        createConfig({ locales: ["en", "ru", "ja"] })
+      ).extract();
+
+      const output = log.mock.calls.map((args) => args.join(" ")).join("\n");
+      expect(output).toContain("2 translation(s) with plural category issues");
+      expect(output).toContain(
+        "{count} is missing plural categories: few, many"
+      );
+      expect(output).toContain(
+        "{count} has plural categories the locale never uses: one"
+      );
+    });
+  });
+
+  describe("plural skeletons", () => {
+    it("should pre-fill new plural keys with the categories of each locale", async () => {
+      await writeSource(
+        "files.js",
+        't("{count, plural, one {# file} other {# files}}");\n'
+      );
+      vi.spyOn(console, "log").mockImplementation(() => {});
+
+      await new Extractor(
+        createConfig({ locales: ["en", "ru"], pluralSkeletons: true })
+      ).extract();
+
+      const ru = await fs.readJSON(path.join(outputFolder, "ru.json"));
+      expect(ru["{count, plural, one {# file} other {# files}}"]).toBe(
+        "{count, plural, one {} few {} many {} other {}}"
+      );
+    });
+
+    it("should keep counting unfilled skeletons as untranslated", async () => {
+      await writeSource(
+        "files.js",
+        't("{count, plural, one {# file} other {# files}}");\n'
+      );
+      const config = createConfig({
+        locales: ["en", "ru"],
+        pluralSkeletons: true,
+      });
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      await new Extractor(config).extract();
+
+      // The file changes so that the run reports its new keys
+      await writeSource(
+        "files.js",
+        't("{count, plural, one {# file} other {# files}}");\nt("Done");\n'
+      );
+      const log = vi.spyOn(console, "log").mockImplementation(() => {});
+      await new Extractor(config).extract();
+
+      expect(log.mock.calls.flat().join("\n")).toContain(
+        "ru.json (1 preserved, 2 new)"
+      );
+    });
+
+    it("should not validate unfilled skeletons", async () => {
+      await writeSource(
+        "files.js",
+        't("{count, plural, one {# file in {folder}} other {# files in {folder}}}");\n'
+      );
+      const config = createConfig({
+        locales: ["en", "ru"],
+        pluralSkeletons: true,
+        validation: { strict: true },
+      });
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      await new Extractor(config).extract();
+
+      await expect(new Extractor(config).extract()).resolves.toBeUndefined();
+    });
+  });
+
+  describe("linked messages", () => {
+    const linkConfig = (overrides = {}) =>
+      createConfig({ messageSyntax: "vue-i18n", ...overrides });
+
+    it("should keep keys only used through links in every locale", async () => {
+      await writeSource("form.js", 't("@:common.save and continue");\n');
+      await fs.outputJSON(path.join(outputFolder, "en.json"), {
+        "common.save": "Save",
+        "common.unused": "Unused",
+      });
+      await fs.outputJSON(path.join(outputFolder, "pt.json"), {
+        "common.save": "Salvar",
+      });
+      const log = vi.spyOn(console, "log").mockImplementation(() => {});
+
+      await new Extractor(
+        linkConfig({ validation: { strict: true } })
+      ).extract();
+
+      const en = await fs.readJSON(path.join(outputFolder, "en.json"));
+      const pt = await fs.readJSON(path.join(outputFolder, "pt.json"));
+      expect(en).toEqual({
+        "@:common.save and continue": "@:common.save and continue",
+        "common.save": "Save",
+      });
+      expect(pt["common.save"]).toBe("Salvar");
+
+      const output = log.mock.calls.map((args) => args.join(" ")).join("\n");
+      expect(output).toContain("Kept 1 key(s) only used through links");
+    });
+
+    it("should report links to missing keys in source and translations", async () => {
+      await writeSource("form.js", 't("@:common.missing");\nt("Done");\n');
+      await fs.outputJSON(path.join(outputFolder, "pt.json"), {
+        Done: "@:common.gone",
+      });
+      const log = vi.spyOn(console, "log").mockImplementation(() => {});
+
+      await expect(
+        new Extractor(linkConfig({ validation: { strict: true } })).extract()
+      ).rejects.toThrow("2 issue(s) found in translations");
+
+      const output = log.mock.calls.map((args) => args.join(" ")).join("\n");
+      expect(output).toContain("2 link(s) to missing keys");
+      expect(output).toContain(
+        '"@:common.missing": links to missing key "common.missing"'
+      );
+      expect(output).toContain('"Done": links to missing key "common.gone"');
+    });
+  });
+
+  describe("PO format", () => {
+    it("should write PO catalogs and a POT template, keeping translations", async () => {
+      await writeSource(
+        "door.js",
+        '// i18n: state of the door\nt("Open", { context: "door state" });\n'
+      );
+      await fs.outputFile(
+        path.join(outputFolder, "pt.po"),
+        'msgctxt "door state"\nmsgid "Open"\nmsgstr "Aberta"\n'
+      );
+      vi.spyOn(console, "log").mockImplementation(() => {});
+
+      await new Extractor(createConfig({ format: "po" })).extract();
+
+      const read = (fileName) =>
+        fs.readFile(path.join(outputFolder, fileName), "utf-8");
+      const entry = [
+        "#. state of the door",
+        "#: tests/temp-extractor/src/door.js:2",
+        'msgctxt "door state"',
+        'msgid "Open"',
+      ].join("\n");
+
+      expect(await read("en.po")).toContain(`${entry}\nmsgstr "Open"`);
+      expect(await read("en.pot")).toContain(`${entry}\nmsgstr ""`);
+      expect(await read("pt.po")).toContain(`${entry}\nmsgstr "Aberta"`);
+    });
+  });
+
+  describe("XLIFF handoff", () => {
+    const xliffPath = path.join(testDir, "pt.xlf");
+
+    beforeEach(async () => {
+      await writeSource(
+        "greeting.js",
+        't("Hello {name}");\nt("Bye");\nt("Open", { context: "door" });\n'
+      );
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      await new Extractor(createConfig()).extract();
+      await fs.outputJSON(path.join(outputFolder, "pt.json"), {
+        Bye: "Tchau",
+        "Hello {name}": "",
+        "Open::door": "Aberto",
+      });
+    });
+
+    it("should export the keys of a target locale with notes", async () => {
+      const count = await new Extractor(createConfig()).exportXLIFF(
+        "pt",
+        xliffPath,
+        { untranslatedOnly: true }
+      );
+
+      const xliff = await fs.readFile(xliffPath, "utf-8");
+      expect(count).toBe(1);
+      expect(xliff).toContain('trgLang="pt"');
+      expect(xliff).toContain('<file id="common" original="pt.json">');
+      expect(xliff).toContain('<unit id="u1" name="Hello {name}">');
+      expect(xliff).toContain(
+        '<note category="location">tests/temp-extractor/src/greeting.js:1</note>'
+      );
+      expect(xliff).not.toContain("Bye");
+    });
+
+    it("should reject the source locale", async () => {
+      await expect(
+        new Extractor(createConfig()).exportXLIFF("en", xliffPath)
+      ).rejects.toThrow('"en" is not a target locale. Use one of: pt');
+    });
+
+    it("should import translations and report conflicts", async () => {
+      const unit = (name, source, target) =>
+        `<unit id="${name.length}" name="${name}"><segment state="translated"><source>${source}</source><target>${target}</target></segment></unit>`;
+      await fs.outputFile(
+        xliffPath,
+        `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="pt"><file id="common">${[
+          unit("Hello {name}", "Hello {name}", "Olá {name}"),
+          unit("Open::door", "Open", "Aberta"),
+          unit("Removed", "Removed", "Removido"),
+          unit("Bye", "Bye!", "Tchau!"),
+        ].join("")}</file></xliff>`
+      );
+
+      const extractor = new Extractor(createConfig());
+      const result = await extractor.importXLIFF(xliffPath);
+
+      expect(result.imported).toBe(1);
+      expect(result.conflicts.map((c) => [c.key, c.type])).toEqual([
+        ["Open::door", "translation"],
+        ["Removed", "unknown"],
+        ["Bye", "source"],
+      ]);
+      let pt = await fs.readJSON(path.join(outputFolder, "pt.json"));
+      expect(pt).toEqual({
+        Bye: "Tchau",
+        "Hello {name}": "Olá {name}",
+        "Open::door": "Aberto",
+      });
+
+      await extractor.importXLIFF(xliffPath, { overwrite: true });
+      pt = await fs.readJSON(path.join(outputFolder, "pt.json"));
+      expect(pt["Open::door"]).toBe("Aberta");
+    });
+
+    it("should hand off unfilled plural skeletons as untranslated", async () => {
+      const key = "{n, plural, one {# file} other {# files}}";
+      const skeleton = "{n, plural, one {} many {} other {}}";
+      await writeSource("files.js", `t("${key}");\n`);
+      const extractor = new Extractor(createConfig());
+      await extractor.extract();
+      await fs.outputJSON(path.join(outputFolder, "pt.json"), {
+        [key]: skeleton,
+      });
+
+      await extractor.exportXLIFF("pt", xliffPath, { untranslatedOnly: true });
+      const xliff = await fs.readFile(xliffPath, "utf-8");
+      expect(xliff).toContain(
+        `<segment state="initial">\n        <source>${key}</source>\n        <target>${skeleton}</target>`
+      );
+
+      await fs.outputFile(
+        xliffPath,
+        `<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="pt"><file id="common"><unit id="u1" name="${key}"><segment state="translated"><source>${key}</source><target>{n, plural, one {# arquivo} other {# arquivos}}</target></segment></unit></file></xliff>`
+      );
+      const result = await extractor.importXLIFF(xliffPath);
+
+      expect(result.conflicts).toEqual([]);
+      expect((await fs.readJSON(path.join(outputFolder, "pt.json")))[key]).toBe(
+        "{n, plural, one {# arquivo} other {# arquivos}}"
+      );
+    });
+  });
+
+  describe("JS format", () => {
+    it("should keep translations of catalogs with an export default header", async () => {
+      await writeSource("greeting.js", 't("Hello");\nt("Bye");\n');
+      await fs.outputFile(
+        path.join(outputFolder, "pt.js"),
+        'export default{\n  "Bye": "Tchau"\n};\n'
+      );
+      const log = vi.spyOn(console, "log").mockImplementation(() => {});
+
+      const extractor = new Extractor(
+        createConfig({ format: "js", header: "export default" })
+      );
+      await extractor.extract();
+
+      expect(
+        await extractor.loadTranslationFile(path.join(outputFolder, "pt.js"))
+      ).toEqual({ Bye: "Tchau", Hello: "" });
+      expect(log.mock.calls.flat().join("\n")).toContain("1 preserved");
+    });
+  });
+
+  describe("YAML format", () => {
+    it("should write YAML catalogs and keep translations", async () => {
+      await writeSource("greeting.js", 't("Hello {name}");\nt("Bye");\n');
+      await fs.outputFile(
+        path.join(outputFolder, "pt.yaml"),
+        "Bye: Tchau\nRemoved: Removido\n"
+      );
+      vi.spyOn(console, "log").mockImplementation(() => {});
+
+      const extractor = new Extractor(createConfig({ format: "yaml" }));
+      await extractor.extract();
+
+      const pt = await fs.readFile(path.join(outputFolder, "pt.yaml"), "utf-8");
+      expect(pt).toBe(
+        [
+          "# tests/temp-extractor/src/greeting.js",
+          '"Bye": "Tchau"',
+          "# Variables: name",
+          '"Hello {name}": ""',
+          "",
+        ].join("\n")
+      );
+      expect(
+        await extractor.loadTranslationFile(path.join(outputFolder, "en.yaml"))
+      ).toEqual({ Bye: "Bye", "Hello {name}": "Hello {name}" });
+    });
+  });
+
+  describe("nested catalogs", () => {
+    it("should read nested catalogs back and report leaf/parent conflicts", async () => {
+      await writeSource(
+        "auth.js",
+        't("auth.login.title");\nt("auth.logout");\nt("menu");\nt("menu.open");\n'
+      );
+      await fs.outputFile(
+        path.join(outputFolder, "pt.js"),
+        'export default {\n  "auth": {\n    "login": {\n      "title": "Entrar"\n    }\n  }\n};\n'
+      );
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+      const config = createConfig({
+        format: "js",
+        header: "export default ",
+        nested: true,
+      });
+      const extractor = new Extractor(config);
+      await extractor.extract();
+
+      expect(
+        await extractor.readCatalogObject(path.join(outputFolder, "pt.js"))
+      ).toEqual({
+        auth: { login: { title: "Entrar" }, logout: "" },
+        menu: "",
+        "menu.open": "",
+      });
+      expect(warn).toHaveBeenCalledWith(
+        expect.stringContaining(
+          '"menu" is both a message and a parent of "menu.open" in en.js'
+        )
+      );
+    });
+  });
+  describe("TypeScript declarations", () => {
+    it("should write the message schema of TypeScript catalogs", async () => {
+      await writeSource("a.js", 't("Welcome {name}!");\n');
+      await writeSource("b.js", 't("Welcome {name}!");\nt("Bye");\n');
+      vi.spyOn(console, "log").mockImplementation(() => {});
+
+      const config = createConfig({
+        format: "ts",
+        header: "export default ",
+      });
+      await new Extractor(config).extract();
+
+      const types = await fs.readFile(
+        path.join(outputFolder, "message-schema.d.ts"),
+        "utf-8"
+      );
+      expect(types).toContain(
+        '  "Welcome {name}!": { "name": string | number };\n'
+      );
+      expect(types).toContain('  "Bye": never;\n');
+      expect(types.match(/"Welcome \{name\}!": string;/g)).toHaveLength(1);
+    });
+
+    it("should not write declarations for other formats", async () => {
+      await writeSource("a.js", 't("Bye");\n');
+      vi.spyOn(console, "log").mockImplementation(() => {});
+
+      await new Extractor(createConfig()).extract();
+
+      expect(
+        fs.pathExistsSync(path.join(outputFolder, "message-schema.d.ts"))
+      ).toBe(false);
+    });
+  });
+  describe("obsolete translations", () => {
+    const obsoletePath = () => path.join(outputFolder, "pt.obsolete.json");
+
+    it("should retire removed keys and restore them when they come back", async () => {
+      const log = vi.spyOn(console, "log").mockImplementation(() => {});
+      const config = createConfig({ obsolete: true });
+      await writeSource("a.js", 't("Hello");\nt("Bye");\n');
+      await fs.outputJSON(path.join(outputFolder, "pt.json"), {
+        Hello: "Olá",
+        Bye: "Tchau",
+      });
+
+      await writeSource("a.js", 't("Hello");\n');
+      await new Extractor(config).extract();
+
+      expect(await fs.readJSON(path.join(outputFolder, "pt.json"))).toEqual({
+        Hello: "Olá",
+      });
+      expect(await fs.readJSON(obsoletePath())).toEqual({
+        Bye: { translation: "Tchau", namespace: "common", runs: 1 },
+      });
+      expect(log).toHaveBeenCalledWith(
+        expect.stringContaining(
+          "1 removed key(s) retired to obsolete translations"
+        )
+      );
+
+      await new Extractor(config).extract();
+      expect((await fs.readJSON(obsoletePath())).Bye.runs).toBe(2);
+
+      await writeSource("a.js", 't("Hello");\nt("Bye");\n');
+      await new Extractor(config).extract();
+
+      expect(await fs.readJSON(path.join(outputFolder, "pt.json"))).toEqual({
+        Bye: "Tchau",
+        Hello: "Olá",
+      });
+      expect(fs.pathExistsSync(obsoletePath())).toBe(false);
+      expect(log).toHaveBeenCalledWith(
+        expect.stringContaining("1 obsolete translation(s) restored")
+      );
+    });
+
+    it("should drop obsolete translations after keepRuns runs", async () => {
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      const config = createConfig({ obsolete: { keepRuns: 1 } });
+      await writeSource("a.js", 't("Hello");\n');
+      await fs.outputJSON(path.join(outputFolder, "pt.json"), {
+        Hello: "Olá",
+        Bye: "Tchau",
+      });
+
+      await new Extractor(config).extract();
+      expect(fs.pathExistsSync(obsoletePath())).toBe(true);
+
+      await new Extractor(config).extract();
+      expect(fs.pathExistsSync(obsoletePath())).toBe(false);
+    });
+
+    it("should purge obsolete translations", async () => {
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      await fs.outputJSON(obsoletePath(), {
+        Bye: { translation: "Tchau", namespace: "common", runs: 1 },
+      });
+
+      const purged = await new Extractor(
+        createConfig({ obsolete: true })
+      ).purgeObsolete();
+
+      expect(purged).toBe(1);
+      expect(fs.pathExistsSync(obsoletePath())).toBe(false);
+    });
+  });
+  describe("fuzzy carry-over", () => {
+    it("should carry translations over to similar keys until reviewed", async () => {
+      const log = vi.spyOn(console, "log").mockImplementation(() => {});
+      const config = createConfig({
+        format: "js",
+        header: "export default ",
+        fuzzy: true,
+      });
+      const catalogPath = path.join(outputFolder, "pt.js");
+      const metaPath = path.join(outputFolder, "pt.meta.json");
+      await writeSource("a.js", 't("Welcome {name}!");\nt("Sign out");\n');
+      await fs.outputFile(
+        catalogPath,
+        'export default {\n  "Welcom {name}!": "Bem-vindo {name}!",\n  "Cancel": "Cancelar"\n};\n'
+      );
+
+      const extractor = new Extractor(config);
+      await extractor.extract();
+
+      expect(await extractor.readCatalogObject(catalogPath)).toEqual({
+        "Sign out": "",
+        "Welcome {name}!": "Bem-vindo {name}!",
+      });
+      expect(await fs.readFile(catalogPath, "utf-8")).toContain(
+        '  // Needs review: carried over from "Welcom {name}!"\n'
+      );
+      expect(await fs.readJSON(metaPath)).toEqual({
+        "Welcome {name}!": {
+          fuzzy: { from: "Welcom {name}!", translation: "Bem-vindo {name}!" },
+        },
+      });
+      expect(log).toHaveBeenCalledWith(
+        expect.stringContaining('"Welcome {name}!" ← "Welcom {name}!"')
+      );
+
+      // Editing the translation ends the review
+      await fs.outputFile(
+        catalogPath,
+        'export default {\n  "Welcome {name}!": "Boas-vindas, {name}!"\n};\n'
+      );
+      await new Extractor(config).extract();
+
+      expect(fs.pathExistsSync(metaPath)).toBe(false);
+      expect(await fs.readFile(catalogPath, "utf-8")).not.toContain(
+        "Needs review"
+      );
+    });
+  });
+  describe("stale translations", () => {
+    it("should flag translations made against an older source message", async () => {
+      const log = vi.spyOn(console, "log").mockImplementation(() => {});
+      const config = createConfig({ staleTracking: true });
+      const catalogPath = path.join(outputFolder, "pt.json");
+      const metaPath = path.join(outputFolder, "pt.meta.json");
+      const writePay = (message) =>
+        writeSource(
+          "a.js",
+          `t("checkout.pay", { default: ${JSON.stringify(message)} });\n`
+        );
+      await writePay("Pay now");
+      await fs.outputJSON(catalogPath, { "checkout.pay": "Pagar agora" });
+
+      await new Extractor(config).extract();
+
+      const meta = await fs.readJSON(metaPath);
+      expect(meta["checkout.pay"]).toEqual({
+        source: expect.stringMatching(/^[0-9a-f]{16}$/),
+        target: expect.stringMatching(/^[0-9a-f]{16}$/),
+      });
+
+      await writePay("Pay now and save");
+      await new Extractor(config).extract();
+
+      expect(await fs.readJSON(metaPath)).toEqual(meta);
+      expect(log).toHaveBeenCalledWith(
+        expect.stringContaining("1 stale translation(s)")
+      );
+      expect(log).toHaveBeenCalledWith(
+        expect.stringContaining('"checkout.pay"')
+      );
+
+      // Editing the translation makes it current again
+      log.mockClear();
+      await fs.outputJSON(catalogPath, {
+        "checkout.pay": "Pagar agora e economizar",
+      });
+      await new Extractor(config).extract();
+
+      expect((await fs.readJSON(metaPath))["checkout.pay"].source).not.toBe(
+        meta["checkout.pay"].source
+      );
+      expect(log).not.toHaveBeenCalledWith(
+        expect.stringContaining("stale translation(s)")
+      );
+    });
+  });
+  describe("fallback locales", () => {
+    it("should prefill regional variants from their fallback chain", async () => {
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      await writeSource("a.js", 't("Hello");\nt("Bye");\nt("Save");\n');
+      await fs.outputJSON(path.join(outputFolder, "es.json"), {
+        Hello: "Hola",
+      });
+      // es-MX comes first but is generated after its fallback
+      const config = createConfig({
+        locales: ["en", "es-MX", "es"],
+        fallbacks: { "es-MX": ["es", "en"] },
+      });
+
+      await new Extractor(config).extract();
+
+      expect(await fs.readJSON(path.join(outputFolder, "es-MX.json"))).toEqual({
+        Bye: "Bye",
+        Hello: "Hola",
+        Save: "Save",
+      });
+
+      await new Extractor({ ...config, omitInherited: true }).extract();
+
+      expect(await fs.readJSON(path.join(outputFolder, "es-MX.json"))).toEqual(
+        {}
+      );
+    });
+
+    it("should follow the fallback until the inherited translation is edited", async () => {
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      await writeSource("a.js", 't("Hello");\nt("Bye");\n');
+      const config = createConfig({
+        locales: ["en", "pt", "pt-BR"],
+        fallbacks: { "pt-BR": ["pt"] },
+      });
+      const ptPath = path.join(outputFolder, "pt.json");
+      const ptBRPath = path.join(outputFolder, "pt-BR.json");
+      await fs.outputJSON(ptPath, { Bye: "Adeus", Hello: "Olá" });
+      await new Extractor(config).extract();
+
+      expect(
+        await fs.readJSON(path.join(outputFolder, "pt-BR.meta.json"))
+      ).toEqual({
+        Bye: { inherited: { locale: "pt", translation: "Adeus" } },
+        Hello: { inherited: { locale: "pt", translation: "Olá" } },
+      });
+
+      // pt-BR makes "Bye" its own while pt changes both translations
+      await fs.outputJSON(ptBRPath, { Bye: "Tchau", Hello: "Olá" });
+      await fs.outputJSON(ptPath, { Bye: "Até logo", Hello: "Oi" });
+      const log = vi.spyOn(console, "log").mockImplementation(() => {});
+      await new Extractor(config).extract();
+
+      expect(await fs.readJSON(ptBRPath)).toEqual({
+        Bye: "Tchau",
+        Hello: "Oi",
+      });
+      expect(log.mock.calls.flat().join("\n")).toContain(
+        "1 inherited translation(s) updated from their fallback"
+      );
+    });
+
+    it("should not track inherited translations against the source", async () => {
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      await writeSource("a.js", 't("Hello");\nt("Bye");\n');
+      const config = createConfig({
+        locales: ["en", "pt", "pt-BR"],
+        fallbacks: { "pt-BR": ["pt"] },
+        staleTracking: true,
+      });
+      const metaPath = path.join(outputFolder, "pt-BR.meta.json");
+      await fs.outputJSON(path.join(outputFolder, "pt.json"), { Hello: "Olá" });
+      await fs.outputJSON(path.join(outputFolder, "pt-BR.json"), {
+        Bye: "Tchau",
+      });
+      await new Extractor(config).extract();
+
+      // The catalog now holds the inherited translation
+      const extractor = new Extractor(config);
+      const shouldWriteFile = vi.spyOn(extractor, "shouldWriteFile");
+      await extractor.extract();
+
+      expect(
+        shouldWriteFile.mock.calls.filter(([file]) => file === metaPath)
+      ).toHaveLength(1);
+      expect(await fs.readJSON(metaPath)).toEqual({
+        Bye: {
+          source: expect.stringMatching(/^[0-9a-f]{16}$/),
+          target: expect.stringMatching(/^[0-9a-f]{16}$/),
+        },
+        Hello: { inherited: { locale: "pt", translation: "Olá" } },
+      });
+    });
+  });
+
+  describe("pseudo-locale", () => {
+    it("should pseudo-localize the source messages", async () => {
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      await writeSource(
+        "a.js",
+        't("Hello {name}");\nt("{n, plural, one {# file} other {# files}}");\n'
+      );
+      await fs.outputJSON(path.join(outputFolder, "en-XA.json"), {
+        "Hello {name}": "Hi",
+      });
+
+      await new Extractor(
+        createConfig({ pseudoLocale: { locale: "en-XA", expansion: 0.5 } })
+      ).extract();
+
+      expect(await fs.readJSON(path.join(outputFolder, "en-XA.json"))).toEqual({
+        "Hello {name}": "[Ĥéļļö {name}~~~]",
+        "{n, plural, one {# file} other {# files}}":
+          "[{n, plural, one {# ƒîļé} other {# ƒîļéš}}~~~~~~]",
+      });
+    });
+  });
+
+  describe("incremental extraction", () => {
+    it("should only extract changed files and render affected namespaces", async () => {
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      await writeSource("a.js", 't("Hello");\n');
+      await writeSource("b.js", 't("Bye");\n');
+      const extractor = new Extractor(
+        createConfig({
+          splitting: {
+            strategy: "custom",
+            customNamespace: (file) => path.basename(file, ".js"),
+          },
+        })
+      );
+      await extractor.extract();
+
+      await writeSource("a.js", 't("Hello");\nt("Hi");\n');
+      const extractFromFile = vi.spyOn(
+        extractor.keyExtractor,
+        "extractFromFile"
+      );
+      const shouldWriteFile = vi.spyOn(extractor, "shouldWriteFile");
+      await extractor.extract({ changedFiles: [path.join(srcDir, "a.js")] });
+
+      expect(extractFromFile).toHaveBeenCalledTimes(1);
+      expect(await fs.readJSON(path.join(outputFolder, "pt.a.json"))).toEqual({
+        Hello: "",
+        Hi: "",
+      });
+      const written = shouldWriteFile.mock.calls.map(([file]) =>
+        path.basename(file)
+      );
+      expect(written).toContain("pt.a.json");
+      expect(written).not.toContain("pt.b.json");
+    });
+
+    it("should read the catalogs edited since the previous run", async () => {
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      // CommonJS catalogs (default header) are cached once required
+      await fs.outputJSON(path.join(outputFolder, "package.json"), {});
+      await writeSource("a.js", 't("Hello");\n');
+      const catalogPath = path.join(outputFolder, "pt.js");
+      const extractor = new Extractor(createConfig({ format: "js" }));
+      await extractor.extract();
+      await extractor.readCatalogObject(catalogPath);
+
+      await fs.outputFile(
+        catalogPath,
+        'module.exports={\n  "Hello": "Oi"\n};\n'
+      );
+      await writeSource("a.js", 't("Hello");\nt("Bye");\n');
+      await extractor.extract({ changedFiles: [path.join(srcDir, "a.js")] });
+
+      expect(await extractor.readCatalogObject(catalogPath)).toEqual({
+        Bye: "",
+        Hello: "Oi",
+      });
+    });
+
+    it("should not age obsolete translations", async () => {
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      await writeSource("a.js", 't("Hello");\n');
+      await writeSource("b.js", 't("Bye");\n');
+      await fs.outputJSON(path.join(outputFolder, "pt.json"), {
+        Hello: "Olá",
+        Removed: "Removido",
+      });
+      const extractor = new Extractor(
+        createConfig({ obsolete: { keepRuns: 1 } })
+      );
+      await extractor.extract();
+
+      await writeSource("b.js", 't("Bye");\nt("Save");\n');
+      await extractor.extract({ changedFiles: [path.join(srcDir, "b.js")] });
+      await extractor.extract({ changedFiles: [path.join(srcDir, "b.js")] });
+
+      expect(
+        await fs.readJSON(path.join(outputFolder, "pt.obsolete.json"))
+      ).toEqual({
+        Removed: { translation: "Removido", namespace: "common", runs: 1 },
+      });
+    });
+
+    it("should drop the keys of deleted files", async () => {
+      vi.spyOn(console, "log").mockImplementation(() => {});
+      await writeSource("a.js", 't("Hello");\n');
+      await writeSource("b.js", 't("Bye");\n');
+      const extractor = new Extractor(createConfig());
+      await extractor.extract();
+
+      await fs.remove(path.join(srcDir, "b.js"));
+      await extractor.extract({ changedFiles: [path.join(srcDir, "b.js")] });
+
+      expect(await fs.readJSON(path.join(outputFolder, "en.json"))).toEqual({
+        Hello: "Hello",
+      });
+    });
+  });
+});
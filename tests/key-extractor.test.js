@@ -1,5 +1,9 @@
-import { describe, it, expect } from "vitest";
-import { KeyExtractor } from "../src/parsers/key-extractor.js";
+import { describe, it, expect, vi } from "vitest";
+import {
+  KeyExtractor,
+  DEFAULT_FUNCTIONS,
+  getKeyId,
+} from "../src/parsers/key-extractor.js";
 
 describe("Key Extractor", () => {
   const extractor = new KeyExtractor();
@@ -35,6 +39,20 @@ describe("Key Extractor", () => {
       expect(keys[0].hasPlural).toBe(true);
     });
 
+    it("should report plural and select arguments as variables with their kind", () => {
+      const code = `
+        t("{gender, select, other {{count, plural, one {# item} other {# items}}}} by {author}");
+      `;
+      const keys = extractor.extractFromCode(code, "test.js");
+
+      expect(keys[0].variables).toEqual(["gender", "count", "author"]);
+      expect(keys[0].variableKinds).toEqual({
+        gender: "select",
+        count: "plural",
+        author: "simple",
+      });
+    });
+
     it("should detect date formatting", () => {
       const code = `
         const msg = t("Today is {date, date, short}");
@@ -85,6 +103,551 @@ describe("Key Extractor", () => {
     });
   });
 
+  describe("AST extraction", () => {
+    it("should ignore calls inside comments and strings", () => {
+      const code = `
+        // t("In a line comment")
+        /* t("In a block comment") */
+        const text = "t('Inside a string')";
+        const msg = t("Real call");
+      `;
+      const keys = extractor.extractFromCode(code, "test.js");
+
+      expect(keys.map((k) => k.key)).toEqual(["Real call"]);
+    });
+
+    it("should extract calls spanning multiple lines with trailing commas", () => {
+      const code = `
+        const msg = t(
+          "Multi-line call",
+          { count: 1 },
+        );
+      `;
+      const keys = extractor.extractFromCode(code, "test.js");
+
+      expect(keys).toHaveLength(1);
+      expect(keys[0].key).toBe("Multi-line call");
+    });
+
+    it("should not match other functions ending in t", () => {
+      const code = `
+        emit("update");
+        split("a,b");
+        const msg = t("Only this");
+      `;
+      const keys = extractor.extractFromCode(code, "test.js");
+
+      expect(keys.map((k) => k.key)).toEqual(["Only this"]);
+    });
+
+    it("should skip non-literal keys", () => {
+      const code = "t(name); t(`Hello ${name}`); t('a' + b);";
+      const keys = extractor.extractFromCode(code, "test.js");
+
+      expect(keys).toHaveLength(0);
+    });
+
+    it("should report non-literal keys with their location and text", () => {
+      const code = `<template>
+  <p>{{ $t(item.label) }}</p>
+  <p v-t="dynamicPath"></p>
+</template>
+
+<script setup>
+const a = t("Literal");
+const b = t("prefix." +
+  suffix);
+const c = t(\`Hello \${name}\`);
+</script>`;
+      const dynamicKeys = [];
+      const keys = extractor.extractFromCode(code, "Dyn.vue", dynamicKeys);
+
+      expect(keys.map((k) => k.key)).toEqual(["Literal"]);
+      expect(dynamicKeys).toEqual([
+        {
+          file: "Dyn.vue",
+          line: 2,
+          column: 9,
+          function: "$t",
+          expression: "item.label",
+        },
+        {
+          file: "Dyn.vue",
+          line: 3,
+          column: 6,
+          function: "v-t",
+          expression: "dynamicPath",
+        },
+        {
+          file: "Dyn.vue",
+          line: 8,
+          column: 11,
+          function: "t",
+          expression: '"prefix." + suffix',
+        },
+        {
+          file: "Dyn.vue",
+          line: 10,
+          column: 11,
+          function: "t",
+          expression: "`Hello ${name}`",
+        },
+      ]);
+    });
+
+    it("should parse TypeScript files", () => {
+      const code = `
+        const label: string = t("Typed") as string;
+        function greet<T>(value: T): string {
+          return t("Generic");
+        }
+      `;
+      const keys = extractor.extractFromCode(code, "test.ts");
+
+      expect(keys.map((k) => k.key)).toEqual(["Typed", "Generic"]);
+    });
+
+    it("should extract from Vue script blocks and template expressions", () => {
+      const code = `<template>
+  <div :title="t('Bound attribute')">
+    <!-- {{ t("Commented out") }} -->
+    <p v-if="show">{{ t("Interpolation") }}</p>
+    <li v-for="label in [t('Looped')]">{{ label }}</li>
+    <button @click="save(); notify(t('Saved'))">x</button>
+  </div>
+</template>
+
+<script setup lang="ts">
+const title: string = t("From script");
+</script>`;
+      const keys = extractor.extractFromCode(code, "Component.vue");
+
+      expect(keys.map((k) => k.key)).toEqual([
+        "Bound attribute",
+        "Interpolation",
+        "Looped",
+        "Saved",
+        "From script",
+      ]);
+    });
+
+    it("should report exact line and column of the call", () => {
+      const code = `<template>
+  <p>{{ t("Template key") }}</p>
+</template>
+
+<script setup>
+const a = 1; const msg = t("Script key");
+</script>`;
+      const keys = extractor.extractFromCode(code, "Component.vue");
+
+      expect(keys[0]).toMatchObject({
+        key: "Template key",
+        line: 2,
+        column: 9,
+      });
+      expect(keys[1]).toMatchObject({ key: "Script key", line: 6, column: 26 });
+    });
+
+    it("should throw on syntax errors", () => {
+      expect(() => {
+        extractor.extractFromCode("const = t('x');", "broken.js");
+      }).toThrow();
+    });
+  });
+
+  describe("translation functions", () => {
+    it("should recognise t, $t, this.$t and defineMessage by default", () => {
+      const code = `
+        t("Bare");
+        $t("Global");
+        this.$t("Options API");
+        i18n.t("Not configured");
+      `;
+      const keys = extractor.extractFromCode(code, "test.js");
+
+      expect(DEFAULT_FUNCTIONS.map((fn) => fn.name)).toEqual([
+        "t",
+        "$t",
+        "this.$t",
+        "defineMessage",
+      ]);
+      expect(keys.map((k) => k.key)).toEqual(["Bare", "Global", "Options API"]);
+    });
+
+    it("should only recognise configured functions", () => {
+      const custom = new KeyExtractor({
+        functions: [{ name: "i18n.global.t" }, { name: "tc" }],
+      });
+      const code = `
+        t("Default is off");
+        i18n.global.t("Member call");
+        tc("{count} item", 2);
+      `;
+      const keys = custom.extractFromCode(code, "test.js");
+
+      expect(keys.map((k) => k.key)).toEqual(["Member call", "{count} item"]);
+    });
+
+    it("should read the key from the configured argument", () => {
+      const custom = new KeyExtractor({
+        functions: [{ name: "translate", keyArg: 1 }],
+      });
+      const code = `translate(locale, "Second argument", { name });`;
+      const keys = custom.extractFromCode(code, "test.js");
+
+      expect(keys.map((k) => k.key)).toEqual(["Second argument"]);
+    });
+
+    it("should expose key and options arguments of each call", () => {
+      const custom = new KeyExtractor({
+        functions: [
+          { name: "t" },
+          { name: "tc", optionsArg: 2 },
+          { name: "translate", keyArg: 1 },
+        ],
+      });
+      const code = `
+        t("A", { name });
+        tc("B", 2, { count });
+        translate(locale, "C", { x });
+      `;
+      const calls = custom.findUsages(code, "test.js");
+
+      expect(calls.map((c) => c.key.value)).toEqual(["A", "B", "C"]);
+      expect(calls.map((c) => c.options.type)).toEqual([
+        "ObjectExpression",
+        "ObjectExpression",
+        "ObjectExpression",
+      ]);
+      expect(calls[1].options.properties[0].key.name).toBe("count");
+    });
+
+    it("should recognise configured functions in Vue templates", () => {
+      const code = `<template>
+  <p :title="$t('Attribute')">{{ $t("Interpolation") }}</p>
+</template>`;
+      const keys = extractor.extractFromCode(code, "Component.vue");
+
+      expect(keys.map((k) => k.key)).toEqual(["Attribute", "Interpolation"]);
+    });
+  });
+
+  describe("template components and directives", () => {
+    it("should extract the keypath of <i18n-t> with slot names as variables", () => {
+      const code = `<template>
+  <i18n-t keypath="By signing up you accept the {terms}" tag="p">
+    <template #terms>
+      <a href="/terms">{{ t("Terms of Service") }}</a>
+    </template>
+    <template v-slot:extra>!</template>
+  </i18n-t>
+</template>`;
+      const keys = extractor.extractFromCode(code, "Component.vue");
+
+      expect(keys.map((k) => k.key)).toEqual([
+        "By signing up you accept the {terms}",
+        "Terms of Service",
+      ]);
+      expect(keys[0].variables).toEqual(["terms", "extra"]);
+      expect(keys[0]).toMatchObject({ line: 2, column: 3 });
+    });
+
+    it("should support bound keypath and the PascalCase component", () => {
+      const code = `<template>
+  <I18nT :keypath="'Hello {name}'"><template #name>Ana</template></I18nT>
+  <i18n path="Legacy component"></i18n>
+</template>`;
+      const keys = extractor.extractFromCode(code, "Component.vue");
+
+      expect(keys.map((k) => k.key)).toEqual([
+        "Hello {name}",
+        "Legacy component",
+      ]);
+    });
+
+    it("should extract keys from the v-t directive", () => {
+      const code = `<template>
+  <p v-t="'String form'"></p>
+  <p v-t="{ path: 'Object form {name}', args: { name } }"></p>
+  <p v-t="dynamicKey"></p>
+</template>`;
+      const keys = extractor.extractFromCode(code, "Component.vue");
+
+      expect(keys.map((k) => k.key)).toEqual([
+        "String form",
+        "Object form {name}",
+      ]);
+      expect(keys[1].variables).toEqual(["name"]);
+    });
+  });
+
+  describe("message context", () => {
+    it("should create distinct keys for the same message in different contexts", () => {
+      const code = `
+        t("Open", { context: "verb" });
+        t("Open", { context: "door state" });
+        t("Open");
+        t("Open", { context: "verb" });
+      `;
+      const keys = extractor.extractFromCode(code, "test.js");
+
+      expect(keys.map((k) => k.key)).toEqual([
+        "Open::verb",
+        "Open::door state",
+        "Open",
+      ]);
+      expect(keys.map((k) => k.message)).toEqual(["Open", "Open", "Open"]);
+      expect(keys[0].context).toBe("verb");
+      expect(keys[2]).not.toHaveProperty("context");
+    });
+
+    it("should read context from the configured options argument", () => {
+      const custom = new KeyExtractor({
+        functions: [{ name: "tc", optionsArg: 2 }],
+      });
+      const keys = custom.extractFromCode(
+        'tc("{count} file", 2, { context: "upload" });',
+        "test.js"
+      );
+
+      expect(keys[0].key).toBe("{count} file::upload");
+    });
+
+    it("should ignore non-literal contexts", () => {
+      const keys = extractor.extractFromCode(
+        't("Open", { context: kind });',
+        "test.js"
+      );
+
+      expect(keys[0].key).toBe("Open");
+    });
+
+    it("should keep contexts apart when merging", () => {
+      const keys1 = extractor.extractFromCode(
+        't("Open", { context: "verb" });',
+        "a.js"
+      );
+      const keys2 = extractor.extractFromCode(
+        't("Open", { context: "door state" }); t("Open", { context: "verb" });',
+        "b.js"
+      );
+      const merged = extractor.mergeKeys(keys1, keys2);
+
+      expect(merged).toHaveLength(2);
+      expect(merged.find((k) => k.context === "verb").files).toEqual([
+        "a.js",
+        "b.js",
+      ]);
+    });
+
+    it("should build key ids", () => {
+      expect(getKeyId("Open")).toBe("Open");
+      expect(getKeyId("Open", "verb")).toBe("Open::verb");
+    });
+  });
+
+  describe("translator comments", () => {
+    it("should capture i18n: and translators: comments before a call", () => {
+      const code = `
+        // i18n: shown on the checkout button
+        const pay = t("Pay now");
+
+        /* translators: verb, as in "open the door" */
+        const open = t("Open");
+
+        const inline = /* i18n: inline note */ t("Inline");
+
+        // An ordinary comment
+        const plain = t("Plain");
+      `;
+      const keys = extractor.extractFromCode(code, "test.js");
+
+      expect(keys.map((k) => [k.key, k.comments])).toEqual([
+        ["Pay now", ["shown on the checkout button"]],
+        ["Open", ['verb, as in "open the door"']],
+        ["Inline", ["inline note"]],
+        ["Plain", undefined],
+      ]);
+    });
+
+    it("should join consecutive line comments and JSDoc-style blocks", () => {
+      const code = `
+        // i18n: shown on the checkout button
+        // when the cart is not empty
+        const pay = t("Pay now");
+
+        /**
+         * translators: title of the
+         * settings page
+         */
+        const title = t("Settings");
+      `;
+      const keys = extractor.extractFromCode(code, "test.js");
+
+      expect(keys[0].comments).toEqual([
+        "shown on the checkout button when the cart is not empty",
+      ]);
+      expect(keys[1].comments).toEqual(["title of the settings page"]);
+    });
+
+    it("should attach a comment to calls inside the following statement", () => {
+      const code = `
+        // i18n: menu entry
+        const label = computed(() =>
+          t("Profile")
+        );
+
+        // i18n: too far away
+
+        const other = t("Other");
+      `;
+      const keys = extractor.extractFromCode(code, "test.js");
+
+      expect(keys[0].comments).toEqual(["menu entry"]);
+      expect(keys[1].comments).toBeUndefined();
+    });
+
+    it("should read HTML comments in Vue templates", () => {
+      const code = `<template>
+  <!-- i18n: page heading -->
+  <h1>{{ t("Title") }}</h1>
+  <!-- translators: keep it short -->
+  <button
+    :title="t('Save')"
+  ></button>
+  <!-- i18n: legal notice -->
+  <i18n-t keypath="Accept the {terms}"></i18n-t>
+</template>`;
+      const keys = extractor.extractFromCode(code, "Component.vue");
+
+      expect(keys.map((k) => k.comments)).toEqual([
+        ["page heading"],
+        ["keep it short"],
+        ["legal notice"],
+      ]);
+    });
+
+    it("should merge comments from every usage", () => {
+      const keys1 = extractor.extractFromCode(
+        '// i18n: first\nt("Shared");',
+        "a.js"
+      );
+      const keys2 = extractor.extractFromCode(
+        '// i18n: second\nt("Shared");\n// i18n: first\nt("Shared");',
+        "b.js"
+      );
+
+      expect(keys2[0].comments).toEqual(["second", "first"]);
+      expect(extractor.mergeKeys(keys1, keys2)[0].comments).toEqual([
+        "first",
+        "second",
+      ]);
+    });
+  });
+
+  describe("explicit message IDs", () => {
+    it("should use the ID as key and the default as message", () => {
+      const code = `
+        t("checkout.pay_button", { default: "Pay now" });
+        t("Natural language");
+      `;
+      const keys = extractor.extractFromCode(code, "test.js");
+
+      expect(keys[0]).toMatchObject({
+        key: "checkout.pay_button",
+        message: "Pay now",
+        hasExplicitId: true,
+      });
+      expect(keys[1]).toMatchObject({
+        key: "Natural language",
+        message: "Natural language",
+      });
+      expect(keys[1]).not.toHaveProperty("hasExplicitId");
+    });
+
+    it("should take variables and plural metadata from the default message", () => {
+      const keys = extractor.extractFromCode(
+        't("cart.items", { default: "{count, plural, one {# item} other {# items}} for {name}" });',
+        "test.js"
+      );
+
+      expect(keys[0].variables).toEqual(["count", "name"]);
+      expect(keys[0].hasPlural).toBe(true);
+    });
+
+    it("should read defineMessage descriptors", () => {
+      const code = `
+        const msg = defineMessage({
+          id: "checkout.title",
+          message: "Checkout",
+          context: "page title",
+          comment: "Shown in the browser tab",
+        });
+        const natural = defineMessage({ message: "No ID" });
+      `;
+      const keys = extractor.extractFromCode(code, "test.js");
+
+      expect(keys[0]).toMatchObject({
+        key: "checkout.title::page title",
+        message: "Checkout",
+        context: "page title",
+        comments: ["Shown in the browser tab"],
+        hasExplicitId: true,
+      });
+      expect(keys[1]).toMatchObject({ key: "No ID", message: "No ID" });
+    });
+
+    it("should report descriptors with non-literal IDs as dynamic", () => {
+      const dynamicKeys = [];
+      extractor.extractFromCode(
+        "defineMessage({ id: prefix + '.title', message: 'Title' });",
+        "test.js",
+        dynamicKeys
+      );
+
+      expect(dynamicKeys[0].expression).toBe("prefix + '.title'");
+    });
+  });
+
+  describe("vue-i18n message syntax", () => {
+    const vueExtractor = new KeyExtractor({ messageSyntax: "vue-i18n" });
+
+    it("should read pipe plurals, list interpolation and links", () => {
+      const keys = vueExtractor.extractFromCode(
+        't("@:common.files: one file in {0} | {count} files in {0}");',
+        "test.js"
+      );
+
+      expect(keys[0]).toMatchObject({
+        variables: ["0", "count"],
+        hasPlural: true,
+        links: ["common.files"],
+      });
+    });
+
+    it("should not add links to keys without linked messages", () => {
+      const keys = vueExtractor.extractFromCode('t("Save {0}");', "test.js");
+
+      expect(keys[0]).not.toHaveProperty("links");
+    });
+
+    it("should skip messages that are not valid vue-i18n", () => {
+      const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+      const keys = vueExtractor.extractFromCode(
+        't("{count, plural, other {#}}");',
+        "test.js"
+      );
+
+      expect(keys).toHaveLength(0);
+      expect(warn).toHaveBeenCalledWith(
+        expect.stringContaining("Skipping invalid message")
+      );
+      warn.mockRestore();
+    });
+  });
+
   describe("mergeKeys", () => {
     it("should merge keys from different sources", () => {
       const keys1 = [
@@ -135,5 +698,20 @@ describe("Key Extractor", () => {
       expect(merged[0].files).toContain("file1.js");
       expect(merged[0].files).toContain("file2.js");
     });
+
+    it("should keep the line of the key in each file", () => {
+      const keys1 = extractor.extractFromCode('\nt("Shared");', "a.js");
+      const keys2 = extractor.extractFromCode(
+        't("Other");\n\nt("Shared");\nt("Shared");',
+        "b.js"
+      );
+
+      const merged = extractor.mergeKeys(keys1, keys2);
+
+      expect(merged.find((k) => k.key === "Shared").lines).toEqual({
+        "a.js": 2,
+        "b.js": 3,
+      });
+    });
   });
 });
@@ -0,0 +1,51 @@
+import { describe, it, expect } from "vitest";
+import {
+  LinkValidator,
+  describeLinkIssue,
+} from "../src/validators/link-validator.js";
+
+describe("Link Validator", () => {
+  const validator = new LinkValidator({ messageSyntax: "vue-i18n" });
+
+  describe("getLinks", () => {
+    it("should list the keys a message links to", () => {
+      expect(validator.getLinks("@:common.save and @.upper:app.name")).toEqual([
+        "common.save",
+        "app.name",
+      ]);
+    });
+
+    it("should ignore missing, empty and invalid messages", () => {
+      expect(validator.getLinks(undefined)).toEqual([]);
+      expect(validator.getLinks("")).toEqual([]);
+      expect(validator.getLinks("@:common.save {")).toEqual([]);
+    });
+
+    it("should find no links in ICU messages", () => {
+      expect(new LinkValidator().getLinks("@:common.save")).toEqual([]);
+    });
+  });
+
+  describe("validate", () => {
+    it("should report links to unknown keys, in key order", () => {
+      const keys = [{ key: "b" }, { key: "a" }, { key: "c" }];
+      const messages = {
+        a: "@:common.save",
+        b: "@:missing or @:common.save",
+        c: "",
+      };
+
+      expect(
+        validator.validate(keys, messages, new Set(["common.save"]))
+      ).toEqual([{ key: "b", type: "dangling", link: "missing" }]);
+    });
+  });
+
+  describe("describeLinkIssue", () => {
+    it("should name the missing key", () => {
+      expect(
+        describeLinkIssue({ key: "a", type: "dangling", link: "common.save" })
+      ).toBe('links to missing key "common.save"');
+    });
+  });
+});
@@ -5,6 +5,14 @@ import {
   hasDateFormatting,
   parseMessage,
   validateMessageFormat,
+  parseICU,
+  getArguments,
+  MessageSyntaxError,
+  getVariableKinds,
+  printICU,
+  parseVueI18n,
+  getLinks,
+  isPluralSkeleton,
 } from "../src/parsers/message-parser.js";
 
 describe("Message Parser", () => {
@@ -33,12 +41,46 @@ describe("Message Parser", () => {
       ]);
     });
 
+    it("should extract plural, select and formatted arguments", () => {
+      const text =
+        "{gender, select, other {{count, plural, one {# item for {name}} other {# items for {name}}}}} {day, date, short}";
+      expect(extractVariables(text)).toEqual([
+        "gender",
+        "count",
+        "name",
+        "day",
+      ]);
+    });
+
     it("should return empty array for no variables", () => {
       const text = "No variables here";
       expect(extractVariables(text)).toEqual([]);
     });
   });
 
+  describe("getVariableKinds", () => {
+    it("should map every variable to its kind", () => {
+      const ast = parseICU(
+        "{name} {count, plural, other {#}} {rank, selectordinal, other {#th}} {gender, select, other {x}} {day, date} {at, time, short} {price, number, ::currency/EUR}"
+      );
+
+      expect(getVariableKinds(ast)).toEqual({
+        name: "simple",
+        count: "plural",
+        rank: "plural",
+        gender: "select",
+        day: "date",
+        at: "time",
+        price: "number",
+      });
+    });
+
+    it("should prefer the formatted kind of a variable used twice", () => {
+      const ast = parseICU("{n} {n, plural, other {# left}}");
+      expect(getVariableKinds(ast)).toEqual({ n: "plural" });
+    });
+  });
+
   describe("hasPluralization", () => {
     it("should detect plural syntax", () => {
       const text = "{count, plural, one {# item} other {# items}}";
@@ -57,6 +99,25 @@ describe("Message Parser", () => {
     });
   });
 
+  describe("isPluralSkeleton", () => {
+    it("should detect plurals whose branches are all empty", () => {
+      expect(
+        isPluralSkeleton("{n, plural, =0 {} one {} other {}} in {f}")
+      ).toBe(true);
+      expect(
+        isPluralSkeleton("{g, select, other {Has {n, plural, other {}}}}")
+      ).toBe(true);
+    });
+
+    it("should not detect translations", () => {
+      expect(isPluralSkeleton("{n, plural, one {} other {# itens}}")).toBe(
+        false
+      );
+      expect(isPluralSkeleton("Hello {name}")).toBe(false);
+      expect(isPluralSkeleton("")).toBe(false);
+    });
+  });
+
   describe("hasDateFormatting", () => {
     it("should detect date formatting", () => {
       const text = "Today is {today, date, short}";
@@ -130,4 +191,246 @@ describe("Message Parser", () => {
       }).not.toThrow();
     });
   });
+  describe("parseICU", () => {
+    it("should parse literals and simple arguments", () => {
+      expect(parseICU("Hi {name}!")).toEqual([
+        { type: "literal", value: "Hi ", start: 0, end: 3 },
+        { type: "argument", name: "name", start: 3, end: 9 },
+        { type: "literal", value: "!", start: 9, end: 10 },
+      ]);
+    });
+
+    it("should parse plural options, offsets and #", () => {
+      const [node] = parseICU(
+        "{count, plural, offset:1 =0 {nobody} one {# guest} other {# guests}}"
+      );
+
+      expect(node.type).toBe("plural");
+      expect(node.name).toBe("count");
+      expect(node.offset).toBe(1);
+      expect(Object.keys(node.options)).toEqual(["=0", "one", "other"]);
+      expect(node.options.one.value.map((child) => child.type)).toEqual([
+        "pound",
+        "literal",
+      ]);
+    });
+
+    it("should parse select, selectordinal and nested plurals", () => {
+      const [node] = parseICU(
+        "{gender, select, female {{n, plural, one {her item} other {her items}}} other {{n, selectordinal, one {#st} other {#th}}}}"
+      );
+
+      expect(node.type).toBe("select");
+      expect(node.options.female.value[0].type).toBe("plural");
+      expect(node.options.other.value[0].type).toBe("selectordinal");
+    });
+
+    it("should parse number, date and time styles and skeletons", () => {
+      const nodes = parseICU(
+        "{price, number, ::currency/EUR} {day, date, short} {at, time}"
+      ).filter((node) => node.type !== "literal");
+
+      expect(nodes.map(({ type, style }) => ({ type, style }))).toEqual([
+        { type: "number", style: "::currency/EUR" },
+        { type: "date", style: "short" },
+        { type: "time", style: null },
+      ]);
+    });
+
+    it("should resolve apostrophe escapes", () => {
+      const [literal] = parseICU("It''s '{literal}' and it's fine");
+      expect(literal).toMatchObject({
+        type: "literal",
+        value: "It's {literal} and it's fine",
+      });
+    });
+
+    it("should keep # literal outside plurals and quoted inside them", () => {
+      expect(parseICU("Issue #1")[0].value).toBe("Issue #1");
+
+      const [node] = parseICU("{n, plural, other {'#'#}}");
+      expect(node.options.other.value.map((child) => child.type)).toEqual([
+        "literal",
+        "pound",
+      ]);
+    });
+
+    it("should report syntax errors with their offset", () => {
+      const cases = [
+        ["Hello {name", "Unbalanced braces", 6],
+        ["Hello }", "Unbalanced braces", 6],
+        ["{count, plural, one {# item}}", 'Missing "other" option', 0],
+        ["{x, bogus}", 'Unknown argument type "bogus"', 4],
+        [
+          "{n, plural, one {a} one {b} other {c}}",
+          'Duplicate option "one"',
+          20,
+        ],
+        ["{}", "Expected argument name", 1],
+      ];
+
+      cases.forEach(([message, description, offset]) => {
+        let error;
+        try {
+          parseICU(message);
+        } catch (err) {
+          error = err;
+        }
+
+        expect(error).toBeInstanceOf(MessageSyntaxError);
+        expect(error.message).toContain(description);
+        expect(error.offset).toBe(offset);
+      });
+    });
+  });
+
+  describe("printICU", () => {
+    it("should print messages that parse back to the same AST", () => {
+      const messages = [
+        "Hello {name}!",
+        "{n, plural, offset:1 =0 {none} one {# item} other {# items}}",
+        "{g, select, female {{n, selectordinal, one {#st} other {#th}}} other {x}}",
+        "{price, number, ::currency/EUR} on {day, date, short} at {t, time}",
+        "It''s '{literal}' and it's fine",
+        "{n, plural, other {'#' is # and l''{n}}}",
+      ];
+
+      messages.forEach((message) => {
+        const ast = parseICU(message);
+        const printed = printICU(ast);
+        const strip = (nodes) =>
+          JSON.stringify(nodes, (key, value) =>
+            key === "start" || key === "end" ? undefined : value
+          );
+
+        expect(strip(parseICU(printed))).toBe(strip(ast));
+      });
+    });
+
+    it("should only escape apostrophes where needed", () => {
+      expect(printICU(parseICU("It's {name}'s"))).toBe("It's {name}'s");
+      expect(
+        printICU([
+          { type: "literal", value: "l'" },
+          { type: "argument", name: "x" },
+        ])
+      ).toBe("l''{x}");
+    });
+  });
+
+  describe("getArguments", () => {
+    it("should list every argument with its type", () => {
+      const ast = parseICU(
+        "{name} has {count, plural, one {# item from {shop}} other {# items from {shop}}} since {since, date, short} ({gender, select, other {x}})"
+      );
+
+      expect(getArguments(ast)).toEqual([
+        { name: "name", type: "simple" },
+        { name: "count", type: "plural" },
+        { name: "shop", type: "simple" },
+        { name: "since", type: "date" },
+        { name: "gender", type: "select" },
+      ]);
+    });
+
+    it("should be exposed by parseMessage", () => {
+      const result = parseMessage("{n, number} {when, time, short}");
+
+      expect(result.arguments).toEqual([
+        { name: "n", type: "number" },
+        { name: "when", type: "time" },
+      ]);
+      expect(result.hasDate).toBe(true);
+    });
+  });
+
+  describe("vue-i18n syntax", () => {
+    it("should parse named, list and literal interpolation", () => {
+      expect(parseVueI18n("Hi {name}, {0} {'@'} x")).toEqual([
+        { type: "literal", value: "Hi ", start: 0, end: 3 },
+        { type: "argument", name: "name", start: 3, end: 9 },
+        { type: "literal", value: ", ", start: 9, end: 11 },
+        { type: "argument", name: "0", start: 11, end: 14 },
+        { type: "literal", value: " ", start: 14, end: 15 },
+        { type: "literal", value: "@", start: 15, end: 20 },
+        { type: "literal", value: " x", start: 20, end: 22 },
+      ]);
+    });
+
+    it("should parse linked messages with modifiers", () => {
+      const links = parseVueI18n(
+        "@:common.save, @.upper:(app.name) or @:{'raw key'} and @:{dynamic}. Mail a@b"
+      ).filter((node) => node.type === "linked");
+
+      expect(
+        links.map(({ key, modifier, argument }) => ({
+          key,
+          modifier,
+          argument,
+        }))
+      ).toEqual([
+        { key: "common.save", modifier: null, argument: null },
+        { key: "app.name", modifier: "upper", argument: null },
+        { key: "raw key", modifier: null, argument: null },
+        { key: null, modifier: null, argument: "dynamic" },
+      ]);
+    });
+
+    it("should parse pipe plurals into trimmed cases", () => {
+      const [choice] = parseVueI18n("no cars | one car | {count} cars");
+
+      expect(choice.type).toBe("choice");
+      expect(
+        Object.values(choice.options).map((option) =>
+          option.value.map((node) => node.value ?? `{${node.name}}`).join("")
+        )
+      ).toEqual(["no cars", "one car", "{count} cars"]);
+    });
+
+    it("should report syntax errors with their offset", () => {
+      const cases = [
+        ["Hi {name", "Unbalanced braces", 3],
+        ["Hi }", "Unbalanced braces", 3],
+        ["{a b}", 'Expected "}"', 3],
+        ["{'open}", "Unterminated literal", 0],
+        ["@.upper key", 'Expected ":"', 7],
+      ];
+
+      cases.forEach(([message, description, offset]) => {
+        let error;
+        try {
+          parseVueI18n(message);
+        } catch (err) {
+          error = err;
+        }
+
+        expect(error).toBeInstanceOf(MessageSyntaxError);
+        expect(error.message).toContain(description);
+        expect(error.offset).toBe(offset);
+      });
+    });
+
+    it("should list linked keys once, skipping dynamic links", () => {
+      expect(
+        getLinks(parseVueI18n("@:a.b and @.lower:a.b, @:{dynamic} | {n} @:c"))
+      ).toEqual(["a.b", "c"]);
+      expect(getLinks(parseICU("@:a.b"))).toEqual([]);
+    });
+
+    it("should provide metadata for vue-i18n messages", () => {
+      const result = parseMessage(
+        "@:common.items: {n} item in {0} | {n} items in {0}",
+        "vue-i18n"
+      );
+
+      expect(result.variables).toEqual(["n", "0"]);
+      expect(result.hasPlural).toBe(true);
+      expect(result.links).toEqual(["common.items"]);
+      expect(hasPluralization("car | cars")).toBe(false);
+      expect(hasPluralization("car | cars", "vue-i18n")).toBe(true);
+      expect(() =>
+        validateMessageFormat("{a, plural, other {#}}", "vue-i18n")
+      ).toThrow(MessageSyntaxError);
+    });
+  });
 });
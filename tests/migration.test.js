@@ -167,6 +167,39 @@ describe("File Migration Tests", () => {
     expect(content.description).toBe("View user details");
   });
 
+  it("should merge YAML files", async () => {
+    const oldFile = path.join(outputFolder, "en.pages.users.[id].yaml");
+    await fs.writeFile(
+      oldFile,
+      '"title": "User Profile"\n"shared": "From Old"\n',
+      "utf-8"
+    );
+    const newFile = path.join(outputFolder, "en.pages.users.id.yaml");
+    await fs.writeFile(newFile, '# src/users.vue\n"shared": "From New"\n');
+
+    const config = {
+      catalogs: {
+        outputFolder,
+      },
+      locales: ["en"],
+      sourceLocale: "en",
+      format: "yaml",
+      splitting: {
+        enabled: true,
+        strategy: "directory",
+      },
+    };
+
+    const extractor = new Extractor(config);
+    await extractor.migrateInvalidFileNames();
+
+    expect(fs.pathExistsSync(oldFile)).toBe(false);
+    expect(await extractor.loadTranslationFile(newFile)).toEqual({
+      title: "User Profile",
+      shared: "From New",
+    });
+  });
+
   it("should handle multiple bracket patterns", async () => {
     const oldFile = path.join(
       outputFolder,
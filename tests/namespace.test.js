@@ -182,6 +182,41 @@ describe("Namespace Generator", () => {
     });
   });
 
+  describe("getNamespaceFromFileName", () => {
+    it("should find the namespace of catalog file names", () => {
+      const generator = new NamespaceGenerator({ strategy: "directory" });
+
+      expect(generator.getNamespaceFromFileName("en.json", "en", "json")).toBe(
+        "common"
+      );
+      expect(
+        generator.getNamespaceFromFileName("en.pages.auth.json", "en", "json")
+      ).toBe("pages.auth");
+    });
+
+    it("should ignore files of other locales and formats", () => {
+      const generator = new NamespaceGenerator({ strategy: "directory" });
+
+      expect(
+        generator.getNamespaceFromFileName("pt.auth.json", "en", "json")
+      ).toBeNull();
+      expect(
+        generator.getNamespaceFromFileName("en.auth.js", "en", "json")
+      ).toBeNull();
+    });
+
+    it("should only accept the single catalog with the flat strategy", () => {
+      const generator = new NamespaceGenerator({ strategy: "flat" });
+
+      expect(generator.getNamespaceFromFileName("en.js", "en", "js")).toBe(
+        "common"
+      );
+      expect(
+        generator.getNamespaceFromFileName("en.auth.js", "en", "js")
+      ).toBeNull();
+    });
+  });
+
   describe("getNamespaces", () => {
     it("should return unique sorted namespaces", () => {
       const generator = new NamespaceGenerator({ strategy: "flat" });
@@ -0,0 +1,76 @@
+import { describe, it, expect } from "vitest";
+import {
+  nestKeys,
+  flattenKeys,
+  findKeyConflicts,
+} from "../src/utils/nesting.js";
+
+describe("Key Nesting", () => {
+  describe("nestKeys", () => {
+    it("should nest dot-separated keys", () => {
+      expect(
+        nestKeys([
+          ["auth.login.title", "Sign in"],
+          ["auth.logout", "Sign out"],
+          ["home", "Home"],
+        ])
+      ).toEqual({
+        auth: { login: { title: "Sign in" }, logout: "Sign out" },
+        home: "Home",
+      });
+    });
+
+    it("should use a custom separator", () => {
+      expect(nestKeys([["auth/title", "Sign in"]], "/")).toEqual({
+        auth: { title: "Sign in" },
+      });
+    });
+
+    it("should keep keys with empty segments and conflicting keys flat", () => {
+      expect(
+        nestKeys([
+          ["Loading...", "Loading..."],
+          ["auth", "Auth"],
+          ["auth.title", "Sign in"],
+          ["menu.open", "Open"],
+        ])
+      ).toEqual({
+        "Loading...": "Loading...",
+        auth: "Auth",
+        "auth.title": "Sign in",
+        menu: { open: "Open" },
+      });
+    });
+  });
+
+  describe("flattenKeys", () => {
+    it("should flatten nested objects back to key paths", () => {
+      const flat = {
+        "auth.login.title": "Sign in",
+        auth: "Auth",
+        "auth.title": "Title",
+        "Loading...": "Loading...",
+      };
+
+      expect(flattenKeys(nestKeys(Object.entries(flat)))).toEqual(flat);
+      expect(flattenKeys({ a: { b: "x" } }, "/")).toEqual({ "a/b": "x" });
+    });
+
+    it("should leave flat objects and non-object values unchanged", () => {
+      const flat = { "auth.title": "Sign in", list: ["a"], empty: null };
+
+      expect(flattenKeys(flat)).toEqual(flat);
+    });
+  });
+
+  describe("findKeyConflicts", () => {
+    it("should report keys below another key, with the closest parent", () => {
+      expect(
+        findKeyConflicts(["a.b.c", "a", "a.b", "x.y", "Loading..."])
+      ).toEqual([
+        { key: "a.b", parent: "a" },
+        { key: "a.b.c", parent: "a.b" },
+      ]);
+    });
+  });
+});
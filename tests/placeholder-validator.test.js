@@ -0,0 +1,115 @@
+import { describe, it, expect } from "vitest";
+import {
+  PlaceholderValidator,
+  describePlaceholderIssue,
+} from "../src/validators/placeholder-validator.js";
+
+describe("Placeholder Validator", () => {
+  const validator = new PlaceholderValidator();
+
+  describe("compare", () => {
+    it("should accept translations with the same placeholders", () => {
+      expect(
+        validator.compare("Hello {name}", "Olá {name}, bem-vindo")
+      ).toEqual([]);
+    });
+
+    it("should report missing and unknown placeholders", () => {
+      expect(validator.compare("{a} and {b}", "{a} e {a}")).toEqual([
+        { type: "missing", name: "b" },
+      ]);
+
+      expect(validator.compare("Hello", "Olá {name}")).toEqual([
+        { type: "extra", name: "name" },
+      ]);
+    });
+
+    it("should report renamed placeholders", () => {
+      expect(
+        validator.compare(
+          "{count, plural, one {# file} other {# files}}",
+          "{n, plural, one {# arquivo} other {# arquivos}}"
+        )
+      ).toEqual([{ type: "renamed", name: "count", to: "n" }]);
+    });
+
+    it("should check arguments inside plural branches", () => {
+      expect(
+        validator.compare(
+          "{count, plural, one {# file in {folder}} other {# files in {folder}}}",
+          "{count, plural, one {# arquivo} other {# arquivos}}"
+        )
+      ).toEqual([{ type: "missing", name: "folder" }]);
+    });
+
+    it("should accept a plural argument translated as a plain one", () => {
+      expect(
+        validator.compare(
+          "{count, plural, one {# file} other {# files}}",
+          "{count}件"
+        )
+      ).toEqual([]);
+    });
+
+    it("should report translations that cannot be parsed", () => {
+      const [issue] = validator.compare("Hello {name}", "Olá {name");
+      expect(issue.type).toBe("syntax");
+      expect(issue.error).toContain("Unbalanced braces");
+    });
+  });
+
+  describe("vue-i18n syntax", () => {
+    const vueValidator = new PlaceholderValidator({
+      messageSyntax: "vue-i18n",
+    });
+
+    it("should compare placeholders across pipe plural cases", () => {
+      expect(
+        vueValidator.compare("one car | {count} cars", "um carro | {n} carros")
+      ).toEqual([{ type: "renamed", name: "count", to: "n" }]);
+
+      expect(
+        vueValidator.compare("{0} and @:common.more", "{0} e mais")
+      ).toEqual([]);
+    });
+  });
+
+  describe("validate", () => {
+    it("should check every translated key of a catalog", () => {
+      const keys = [
+        { key: "Hello {name}", message: "Hello {name}" },
+        { key: "greeting", message: "Hi {user}", hasExplicitId: true },
+        { key: "Untranslated {x}", message: "Untranslated {x}" },
+        {
+          key: "files",
+          message: "{n, plural, one {# file in {folder}} other {# files}}",
+        },
+      ];
+      const translations = {
+        "Hello {name}": "Olá {nome}",
+        greeting: "Oi {user}",
+        "Untranslated {x}": "",
+        // Unfilled plural skeleton
+        files: "{n, plural, one {} other {}}",
+      };
+
+      expect(validator.validate(keys, translations)).toEqual([
+        { key: "Hello {name}", type: "renamed", name: "name", to: "nome" },
+      ]);
+    });
+  });
+
+  describe("describePlaceholderIssue", () => {
+    it("should describe each kind of issue", () => {
+      expect(describePlaceholderIssue({ type: "missing", name: "a" })).toBe(
+        "missing {a}"
+      );
+      expect(describePlaceholderIssue({ type: "extra", name: "a" })).toBe(
+        "unknown {a}"
+      );
+      expect(
+        describePlaceholderIssue({ type: "renamed", name: "a", to: "b" })
+      ).toBe("{a} renamed to {b}");
+    });
+  });
+});
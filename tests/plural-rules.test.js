@@ -0,0 +1,46 @@
+import { describe, it, expect } from "vitest";
+import {
+  getPluralCategories,
+  getRequiredPluralCategories,
+} from "../src/utils/plural-rules.js";
+
+describe("Plural Rules", () => {
+  describe("getPluralCategories", () => {
+    it("should return the CLDR categories of a locale in order", () => {
+      expect(getPluralCategories("en", "cardinal")).toEqual(["one", "other"]);
+      expect(getPluralCategories("ru", "cardinal")).toEqual([
+        "one",
+        "few",
+        "many",
+        "other",
+      ]);
+      expect(getPluralCategories("en", "ordinal")).toEqual([
+        "one",
+        "two",
+        "few",
+        "other",
+      ]);
+    });
+
+    it("should accept underscores and ignore unknown tags", () => {
+      expect(getPluralCategories("pt_BR", "cardinal")).toContain("one");
+      expect(getPluralCategories("not a locale!", "cardinal")).toBeNull();
+    });
+  });
+
+  describe("getRequiredPluralCategories", () => {
+    it("should leave out categories only selected by uncommon counts", () => {
+      // "many" of pt and fr is only selected by round millions
+      ["pt", "pt-BR", "es", "fr", "it"].forEach((locale) => {
+        expect(getRequiredPluralCategories(locale)).toEqual(["one", "other"]);
+      });
+      expect(getRequiredPluralCategories("ru")).toEqual([
+        "one",
+        "few",
+        "many",
+        "other",
+      ]);
+      expect(getRequiredPluralCategories("not a locale!")).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect } from "vitest";
+import {
+  PluralValidator,
+  describePluralIssue,
+} from "../src/validators/plural-validator.js";
+
+describe("Plural Validator", () => {
+  const validator = new PluralValidator();
+
+  describe("check", () => {
+    it("should accept the categories of the locale", () => {
+      expect(
+        validator.check(
+          "{n, plural, one {# plik} few {# pliki} many {# plików} other {# pliku}}",
+          "pl"
+        )
+      ).toEqual([]);
+    });
+
+    it("should report missing categories", () => {
+      expect(
+        validator.check("{n, plural, one {# файл} other {# файла}}", "ru")
+      ).toEqual([{ type: "missing", name: "n", categories: ["few", "many"] }]);
+    });
+
+    it("should not require categories only selected by uncommon counts", () => {
+      expect(
+        validator.check("{n, plural, one {# arquivo} other {# arquivos}}", "pt")
+      ).toEqual([]);
+      expect(
+        validator.check(
+          "{n, plural, one {# fichier} many {# de fichiers} other {# fichiers}}",
+          "fr"
+        )
+      ).toEqual([]);
+    });
+
+    it("should report categories the locale never uses", () => {
+      expect(
+        validator.check("{n, plural, zero {none} one {#} other {#}}", "en")
+      ).toEqual([{ type: "unused", name: "n", categories: ["zero"] }]);
+    });
+
+    it("should allow exact selectors and check nested and ordinal plurals", () => {
+      expect(
+        validator.check(
+          "{g, select, other {{n, plural, =0 {none} one {#} other {#}}}}",
+          "en"
+        )
+      ).toEqual([]);
+
+      expect(
+        validator.check("{pos, selectordinal, one {#st} other {#th}}", "en")
+      ).toEqual([{ type: "missing", name: "pos", categories: ["two", "few"] }]);
+    });
+
+    it("should ignore unparseable messages", () => {
+      expect(validator.check("{n, plural, one {#}", "ru")).toEqual([]);
+    });
+  });
+
+  describe("validate", () => {
+    it("should check the translated keys of a catalog", () => {
+      const keys = [
+        { key: "files", message: "{n, plural, one {# file} other {# files}}" },
+        { key: "pending", message: "{n, plural, one {#} other {#}}" },
+        { key: "skeleton", message: "{n, plural, one {#} other {#}}" },
+      ];
+
+      expect(
+        validator.validate(
+          keys,
+          {
+            files: "{n, plural, other {# ファイル}}",
+            pending: "",
+            // Unfilled plural skeletons are not translations yet
+            skeleton: "{n, plural, one {} other {}}",
+          },
+          "ja"
+        )
+      ).toEqual([]);
+
+      expect(
+        validator.validate(keys, { files: "{n, plural, other {#}}" }, "ru")
+      ).toEqual([
+        {
+          key: "files",
+          type: "missing",
+          name: "n",
+          categories: ["one", "few", "many"],
+        },
+      ]);
+    });
+  });
+
+  describe("describePluralIssue", () => {
+    it("should describe missing and unused categories", () => {
+      expect(
+        describePluralIssue({ type: "missing", name: "n", categories: ["few"] })
+      ).toBe("{n} is missing plural categories: few");
+      expect(
+        describePluralIssue({ type: "unused", name: "n", categories: ["one"] })
+      ).toBe("{n} has plural categories the locale never uses: one");
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect } from "vitest";
+import { parsePO, getPOTranslations } from "../src/parsers/po-parser.js";
+
+describe("PO Parser", () => {
+  const content = [
+    'msgid ""',
+    'msgstr ""',
+    '"Language: pt\\n"',
+    "",
+    "# reviewed by the agency",
+    "#. shown on the dashboard",
+    "#: src/a.js:3 src/b.js",
+    "#, fuzzy",
+    'msgid "Hello {name}"',
+    'msgstr "Olá {name}"',
+    "",
+    'msgctxt "verb"',
+    'msgid "Open"',
+    'msgstr ""',
+    '"Abrir\\n"',
+    '"\\"agora\\""',
+    "",
+    '#~ msgid "Old"',
+    '#~ msgstr "Velho"',
+  ].join("\n");
+
+  describe("parsePO", () => {
+    it("should read entries with their comments, flags and references", () => {
+      const entries = parsePO(content);
+
+      expect(entries).toHaveLength(3);
+      expect(entries[0].msgstr).toBe("Language: pt\n");
+      expect(entries[1]).toEqual({
+        msgid: "Hello {name}",
+        msgstr: "Olá {name}",
+        comments: ["reviewed by the agency"],
+        extractedComments: ["shown on the dashboard"],
+        references: ["src/a.js:3", "src/b.js"],
+        flags: ["fuzzy"],
+      });
+      expect(entries[2]).toMatchObject({
+        msgctxt: "verb",
+        msgid: "Open",
+        msgstr: 'Abrir\n"agora"',
+      });
+    });
+
+    it("should separate entries without blank lines", () => {
+      const entries = parsePO(
+        'msgid "a"\nmsgstr "A"\nmsgid "b"\nmsgstr "B"\n#. note\nmsgid "c"\nmsgstr ""'
+      );
+
+      expect(entries.map((entry) => entry.msgid)).toEqual(["a", "b", "c"]);
+      expect(entries[2].extractedComments).toEqual(["note"]);
+    });
+
+    it("should reject invalid lines", () => {
+      expect(() => parsePO('msgid "a"\nmsgstr A')).toThrow(
+        "Invalid PO syntax at line 2: msgstr A"
+      );
+    });
+  });
+
+  describe("getPOTranslations", () => {
+    it("should map entries to catalog keys, skipping the header", () => {
+      expect(getPOTranslations(content)).toEqual({
+        "Hello {name}": "Olá {name}",
+        "Open::verb": 'Abrir\n"agora"',
+      });
+    });
+
+    it("should skip gettext plural entries", () => {
+      expect(
+        getPOTranslations(
+          'msgid "file"\nmsgid_plural "files"\nmsgstr[0] "arquivo"\nmsgstr[1] "arquivos"'
+        )
+      ).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from "vitest";
+import { PseudoLocalizer } from "../src/generators/pseudo-localizer.js";
+
+describe("PseudoLocalizer", () => {
+  it("should accent, pad and wrap the text", () => {
+    const localizer = new PseudoLocalizer();
+
+    expect(localizer.localize("Hello world")).toBe("[Ĥéļļö ŵöŕļð~~~~]");
+    expect(new PseudoLocalizer({ expansion: 0 }).localize("Save")).toBe(
+      "[Šáṽé]"
+    );
+  });
+
+  it("should keep ICU arguments and plural syntax", () => {
+    const localizer = new PseudoLocalizer({ expansion: 0 });
+
+    expect(localizer.localize("Hi {name}, {d, date, short}")).toBe(
+      "[Ĥî {name}, {d, date, short}]"
+    );
+    expect(
+      localizer.localize("{count, plural, one {# item} other {# items}}")
+    ).toBe("[{count, plural, one {# îţéɱ} other {# îţéɱš}}]");
+    expect(localizer.localize("It''s '{quoted}'")).toBe("[Îţ''š '{ǫûöţéð}']");
+  });
+
+  it("should keep HTML tags and entities", () => {
+    const localizer = new PseudoLocalizer({ expansion: 0 });
+
+    expect(
+      localizer.localize('Read <a href="/terms">the terms</a> &amp; more')
+    ).toBe('[Ŕéáð <a href="/terms">ţĥé ţéŕɱš</a> &amp; ɱöŕé]');
+    // Arguments inside a tag split it across literals
+    expect(localizer.localize('Read <a href="{url}">the terms</a>')).toBe(
+      '[Ŕéáð <a href="{url}">ţĥé ţéŕɱš</a>]'
+    );
+  });
+
+  it("should localize each case of vue-i18n pipe plurals", () => {
+    const localizer = new PseudoLocalizer({
+      expansion: 0,
+      messageSyntax: "vue-i18n",
+    });
+
+    expect(localizer.localize("no cars | {count} cars")).toBe(
+      "[ñö çáŕš] | [{count} çáŕš]"
+    );
+    expect(localizer.localize("Ask @:common.help {'@'} us")).toBe(
+      "[Ášķ @:common.help {'@'} ûš]"
+    );
+  });
+
+  it("should leave invalid and empty messages unchanged", () => {
+    const localizer = new PseudoLocalizer();
+
+    expect(localizer.localize("Broken {")).toBe("Broken {");
+    expect(localizer.localize("")).toBe("");
+  });
+});
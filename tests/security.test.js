@@ -1,4 +1,5 @@
 import { describe, it, expect } from "vitest";
+import { escapeComment } from "../src/utils/security.js";
 
 describe("Security - Path Validation", () => {
   it("should reject path traversal attempts in output folder", () => {
@@ -182,4 +183,10 @@ describe("Security - Comment Injection", () => {
     // Should not break out of comment
     expect(safeComment).not.toContain("*/");
   });
+
+  it("should keep generated comments on a single line", () => {
+    const escaped = escapeComment("door\nstate */ evil(); /*\u2028x");
+
+    expect(escaped).toBe("door state * / evil(); /* x");
+  });
 });
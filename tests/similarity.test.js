@@ -0,0 +1,50 @@
+import { describe, it, expect } from "vitest";
+import { getSimilarity, findSimilarKeys } from "../src/utils/similarity.js";
+
+describe("Similarity", () => {
+  describe("getSimilarity", () => {
+    it("should compute a similarity from the edit distance", () => {
+      expect(getSimilarity("Save", "Save")).toBe(1);
+      expect(getSimilarity("", "")).toBe(1);
+      expect(getSimilarity("Welcom {name}!", "Welcome {name}!")).toBeCloseTo(
+        14 / 15
+      );
+      expect(getSimilarity("Yes", "No")).toBe(0);
+    });
+  });
+
+  describe("findSimilarKeys", () => {
+    it("should pair new keys with similar removed keys", () => {
+      expect(
+        findSimilarKeys(
+          ["Welcome {name}!", "Sign out"],
+          ["Welcom {name}!", "Cancel"]
+        )
+      ).toEqual([
+        {
+          key: "Welcome {name}!",
+          from: "Welcom {name}!",
+          similarity: 14 / 15,
+        },
+      ]);
+    });
+
+    it("should use each removed key once, most similar pairs first", () => {
+      const matches = findSimilarKeys(
+        ["Delete the files", "Delete this file"],
+        ["Delete this file."]
+      );
+
+      expect(matches).toHaveLength(1);
+      expect(matches[0]).toMatchObject({
+        key: "Delete this file",
+        from: "Delete this file.",
+      });
+    });
+
+    it("should honor the threshold", () => {
+      expect(findSimilarKeys(["Save changes"], ["Save"], 0.3)).toHaveLength(1);
+      expect(findSimilarKeys(["Save changes"], ["Save"])).toEqual([]);
+    });
+  });
+});
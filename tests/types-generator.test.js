@@ -0,0 +1,89 @@
+import { describe, it, expect } from "vitest";
+import { TypesGenerator } from "../src/generators/types-generator.js";
+
+describe("TypesGenerator", () => {
+  const createKey = (key, variableKinds = {}) => ({
+    key,
+    message: key,
+    files: ["src/App.vue"],
+    variables: Object.keys(variableKinds),
+    variableKinds,
+  });
+
+  it("should declare the message schema and the vue-i18n augmentation", () => {
+    const output = new TypesGenerator().generate(
+      [createKey("Welcome {name}!", { name: "simple" }), createKey("Bye")],
+      "en"
+    );
+
+    expect(output).toContain('from the "en" catalogs');
+    expect(output).toContain(
+      'export interface MessageSchema {\n  "Bye": string;\n  "Welcome {name}!": string;\n}'
+    );
+    expect(output).toContain(
+      'declare module "vue-i18n" {\n  export interface DefineLocaleMessage extends MessageSchema {}\n}'
+    );
+    expect(output).toContain("export type MessageKey = keyof MessageParams;");
+    expect(output).toContain(
+      "...args: [MessageParams[K]] extends [never] ? [] : [params: MessageParams[K]]"
+    );
+  });
+
+  it("should type the parameters of each key from its variables", () => {
+    const output = new TypesGenerator().generate(
+      [
+        createKey("Bye"),
+        createKey("Welcome {name}!", { name: "simple" }),
+        createKey("{count, plural, one {# item} other {# items}} in {cart}", {
+          count: "plural",
+          cart: "select",
+        }),
+        createKey("Updated {when, date}", { when: "date" }),
+        createKey("{0} of {2}", { 0: "simple", 2: "number" }),
+      ],
+      "en"
+    );
+
+    expect(output).toContain('  "Bye": never;\n');
+    expect(output).toContain(
+      '  "Welcome {name}!": { "name": string | number };\n'
+    );
+    expect(output).toContain(
+      '  "{count, plural, one {# item} other {# items}} in {cart}": { "count": number; "cart": string };\n'
+    );
+    expect(output).toContain(
+      '  "Updated {when, date}": { "when": Date | number };\n'
+    );
+    // List interpolation takes an array
+    expect(output).toContain(
+      '  "{0} of {2}": [string | number, unknown, number];\n'
+    );
+  });
+
+  it("should nest the schema like nested catalogs", () => {
+    const output = new TypesGenerator({ nested: true }).generate(
+      [
+        createKey("auth.login.title"),
+        createKey("auth.logout"),
+        createKey("Loading..."),
+      ],
+      "en"
+    );
+
+    expect(output).toContain(
+      [
+        "export interface MessageSchema {",
+        '  "auth": {',
+        '    "login": {',
+        '      "title": string;',
+        "    };",
+        '    "logout": string;',
+        "  };",
+        '  "Loading...": string;',
+        "}",
+      ].join("\n")
+    );
+    // Parameters stay keyed by the full path, as passed to t()
+    expect(output).toContain('  "auth.login.title": never;\n');
+  });
+});
@@ -0,0 +1,229 @@
+import { describe, it, expect } from "vitest";
+import { validateConfig } from "../src/utils/validation.js";
+
+const baseConfig = {
+  sourceLocale: "en",
+  locales: ["en", "pt"],
+  format: "js",
+  catalogs: {
+    outputFolder: "locales",
+    include: ["src/**/*.vue"],
+    exclude: [],
+  },
+};
+
+describe("Config Validation", () => {
+  it("should accept a minimal config", () => {
+    expect(() => validateConfig(baseConfig)).not.toThrow();
+  });
+
+  it("should accept the PO format", () => {
+    expect(() => validateConfig({ ...baseConfig, format: "po" })).not.toThrow();
+    expect(() => validateConfig({ ...baseConfig, format: "xml" })).toThrow(
+      'Invalid format "xml". Must be one of: js, json, ts, yaml, po'
+    );
+  });
+
+  it("should validate nesting options", () => {
+    expect(() =>
+      validateConfig({ ...baseConfig, nested: true, keySeparator: "/" })
+    ).not.toThrow();
+    expect(() => validateConfig({ ...baseConfig, nested: "yes" })).toThrow(
+      "nested must be a boolean"
+    );
+    expect(() => validateConfig({ ...baseConfig, keySeparator: "" })).toThrow(
+      "keySeparator must be a non-empty string"
+    );
+  });
+
+  it("should validate the obsolete translations options", () => {
+    expect(() =>
+      validateConfig({ ...baseConfig, obsolete: true })
+    ).not.toThrow();
+    expect(() =>
+      validateConfig({ ...baseConfig, obsolete: { keepRuns: 3 } })
+    ).not.toThrow();
+    expect(() => validateConfig({ ...baseConfig, obsolete: "keep" })).toThrow(
+      "obsolete must be a boolean or an object"
+    );
+    expect(() =>
+      validateConfig({ ...baseConfig, obsolete: { keepRuns: 0 } })
+    ).toThrow("obsolete.keepRuns must be a positive integer");
+  });
+
+  it("should validate the fuzzy carry-over options", () => {
+    expect(() =>
+      validateConfig({ ...baseConfig, fuzzy: { threshold: 0.9 } })
+    ).not.toThrow();
+    expect(() => validateConfig({ ...baseConfig, fuzzy: 1 })).toThrow(
+      "fuzzy must be a boolean or an object"
+    );
+    expect(() =>
+      validateConfig({ ...baseConfig, fuzzy: { threshold: 1.5 } })
+    ).toThrow("fuzzy.threshold must be a number between 0 and 1");
+  });
+
+  it("should validate staleTracking", () => {
+    expect(() =>
+      validateConfig({ ...baseConfig, staleTracking: true })
+    ).not.toThrow();
+    expect(() =>
+      validateConfig({ ...baseConfig, staleTracking: "yes" })
+    ).toThrow("staleTracking must be a boolean");
+  });
+
+  it("should validate the fallback chains", () => {
+    const config = { ...baseConfig, locales: ["en", "pt", "pt-BR"] };
+
+    expect(() =>
+      validateConfig({
+        ...config,
+        fallbacks: { "pt-BR": ["pt"] },
+        omitInherited: true,
+      })
+    ).not.toThrow();
+    expect(() => validateConfig({ ...config, fallbacks: ["pt"] })).toThrow(
+      "fallbacks must be an object"
+    );
+    expect(() =>
+      validateConfig({ ...config, fallbacks: { "es-MX": ["es"] } })
+    ).toThrow('fallbacks: "es-MX" is not in locales');
+    expect(() =>
+      validateConfig({ ...config, fallbacks: { "pt-BR": "pt" } })
+    ).toThrow('fallbacks["pt-BR"] must be an array of locales');
+    expect(() =>
+      validateConfig({ ...config, fallbacks: { "pt-BR": ["es"] } })
+    ).toThrow('fallbacks["pt-BR"]: "es" must be another locale of locales');
+    expect(() => validateConfig({ ...config, omitInherited: "yes" })).toThrow(
+      "omitInherited must be a boolean"
+    );
+  });
+
+  it("should validate the pseudo-locale", () => {
+    expect(() =>
+      validateConfig({ ...baseConfig, pseudoLocale: "en-XA" })
+    ).not.toThrow();
+    expect(() =>
+      validateConfig({
+        ...baseConfig,
+        pseudoLocale: { locale: "en-XA", expansion: 0.5 },
+      })
+    ).not.toThrow();
+    expect(() => validateConfig({ ...baseConfig, pseudoLocale: "pt" })).toThrow(
+      'pseudoLocale "pt" must not be one of locales'
+    );
+    expect(() =>
+      validateConfig({ ...baseConfig, pseudoLocale: "../en" })
+    ).toThrow('Invalid pseudoLocale "../en"');
+    expect(() =>
+      validateConfig({
+        ...baseConfig,
+        pseudoLocale: { locale: "en-XA", expansion: -1 },
+      })
+    ).toThrow("pseudoLocale.expansion must be a non-negative number");
+  });
+
+  describe("functions", () => {
+    it("should accept function definitions", () => {
+      const config = {
+        ...baseConfig,
+        functions: [
+          { name: "$t" },
+          { name: "i18n.global.t" },
+          { name: "translate", keyArg: 1, optionsArg: 2 },
+        ],
+      };
+
+      expect(() => validateConfig(config)).not.toThrow();
+    });
+
+    it("should reject an empty list", () => {
+      expect(() => validateConfig({ ...baseConfig, functions: [] })).toThrow(
+        "functions must be a non-empty array"
+      );
+    });
+
+    it("should reject invalid function names", () => {
+      ["t(", "a..b", "1t", "i18n.t; alert(1)"].forEach((name) => {
+        expect(() =>
+          validateConfig({ ...baseConfig, functions: [{ name }] })
+        ).toThrow("Invalid translation function");
+      });
+    });
+
+    it("should reject invalid argument indexes", () => {
+      expect(() =>
+        validateConfig({
+          ...baseConfig,
+          functions: [{ name: "t", keyArg: -1 }],
+        })
+      ).toThrow("Invalid keyArg");
+
+      expect(() =>
+        validateConfig({
+          ...baseConfig,
+          functions: [{ name: "t", optionsArg: "1" }],
+        })
+      ).toThrow("Invalid optionsArg");
+    });
+  });
+
+  describe("dynamicKeys", () => {
+    it("should accept report options", () => {
+      const config = {
+        ...baseConfig,
+        dynamicKeys: { output: "i18n/dynamic-keys.json", failOnNew: true },
+      };
+
+      expect(() => validateConfig(config)).not.toThrow();
+    });
+
+    it("should reject path traversal in the report file", () => {
+      expect(() =>
+        validateConfig({
+          ...baseConfig,
+          dynamicKeys: { output: "../dynamic-keys.json" },
+        })
+      ).toThrow("Path traversal");
+    });
+
+    it("should reject a non-boolean failOnNew", () => {
+      expect(() =>
+        validateConfig({ ...baseConfig, dynamicKeys: { failOnNew: "yes" } })
+      ).toThrow("dynamicKeys.failOnNew must be a boolean");
+    });
+  });
+
+  describe("validation", () => {
+    it("should accept validation options", () => {
+      const config = {
+        ...baseConfig,
+        validation: { placeholders: true, links: false, strict: false },
+      };
+
+      expect(() => validateConfig(config)).not.toThrow();
+    });
+
+    it("should reject non-boolean options", () => {
+      expect(() =>
+        validateConfig({ ...baseConfig, validation: { strict: "yes" } })
+      ).toThrow("validation.strict must be a boolean");
+    });
+  });
+
+  describe("messageSyntax", () => {
+    it("should accept the supported syntaxes", () => {
+      ["icu", "vue-i18n"].forEach((messageSyntax) => {
+        expect(() =>
+          validateConfig({ ...baseConfig, messageSyntax })
+        ).not.toThrow();
+      });
+    });
+
+    it("should reject other syntaxes", () => {
+      expect(() =>
+        validateConfig({ ...baseConfig, messageSyntax: "fluent" })
+      ).toThrow('Invalid messageSyntax "fluent"');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import fs from "fs-extra";
+import path from "path";
+import { Extractor } from "../src/extractor.js";
+import { Watcher } from "../src/watcher.js";
+
+describe("Watcher", () => {
+  const testDir = path.join(process.cwd(), "tests", "temp-watcher");
+  const srcDir = path.join(testDir, "src");
+  const outputFolder = path.join(testDir, "locales");
+  let watcher;
+
+  const createWatcher = () =>
+    new Watcher(
+      new Extractor({
+        sourceLocale: "en",
+        locales: ["en", "pt"],
+        format: "json",
+        catalogs: {
+          outputFolder,
+          include: [path.join(srcDir, "**/*.js")],
+          exclude: [],
+        },
+      }),
+      { delay: 10 }
+    );
+
+  const readCatalog = () => fs.readJSON(path.join(outputFolder, "pt.json"));
+
+  beforeEach(async () => {
+    vi.spyOn(console, "log").mockImplementation(() => {});
+    await fs.outputFile(path.join(srcDir, "a.js"), 't("Hello");\n');
+  });
+
+  afterEach(async () => {
+    watcher?.close();
+    vi.restoreAllMocks();
+    await fs.remove(testDir);
+  });
+
+  it("should extract the project when started", async () => {
+    watcher = createWatcher();
+    await watcher.start();
+
+    expect(await readCatalog()).toEqual({ Hello: "" });
+  });
+
+  it("should update the catalogs when source files change", async () => {
+    watcher = createWatcher();
+    await watcher.start();
+
+    await fs.outputFile(path.join(srcDir, "b.js"), 't("Bye");\n');
+    await vi.waitFor(
+      async () => expect(await readCatalog()).toEqual({ Bye: "", Hello: "" }),
+      { timeout: 3000, interval: 50 }
+    );
+  });
+
+  it("should extract queued files once and ignore other files", async () => {
+    await fs.outputFile(path.join(srcDir, "b.js"), 't("Bye");\n');
+    watcher = createWatcher();
+    await watcher.start();
+    // Changes are queued by hand below
+    watcher.close();
+    const extract = vi.spyOn(watcher.extractor, "extract");
+
+    await fs.remove(path.join(srcDir, "a.js"));
+    watcher.schedule(path.join(srcDir, "a.js"));
+    watcher.schedule(path.join(srcDir, "a.js"));
+    await watcher.flush();
+
+    expect(extract).toHaveBeenCalledTimes(1);
+    expect(await readCatalog()).toEqual({ Bye: "" });
+
+    watcher.schedule(path.join(srcDir, "notes.txt"));
+    await watcher.flush();
+
+    expect(extract).toHaveBeenCalledTimes(1);
+  });
+
+  it("should fail when no directory can be watched", async () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+    watcher = createWatcher();
+    watcher.extractor.config.catalogs.include.push(
+      path.join(testDir, "missing", "**/*.js")
+    );
+    await fs.remove(srcDir);
+
+    await expect(watcher.start()).rejects.toThrow(
+      "No source directory could be watched"
+    );
+  });
+
+  it("should keep watching after a failed extraction", async () => {
+    watcher = createWatcher();
+    await watcher.start();
+    watcher.close();
+    vi.spyOn(watcher.extractor, "extract").mockRejectedValueOnce(
+      new Error("boom")
+    );
+    const error = vi.spyOn(console, "error").mockImplementation(() => {});
+
+    watcher.schedule(path.join(srcDir, "a.js"));
+    await watcher.flush();
+
+    expect(error).toHaveBeenCalledWith(expect.anything(), "boom");
+  });
+});
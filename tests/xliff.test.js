@@ -0,0 +1,117 @@
+import { describe, it, expect } from "vitest";
+import { XliffGenerator } from "../src/generators/xliff-generator.js";
+import { parseXLIFF } from "../src/parsers/xliff-parser.js";
+
+describe("XLIFF", () => {
+  const generator = new XliffGenerator();
+
+  const document = {
+    sourceLocale: "en",
+    targetLocale: "pt",
+    files: [
+      {
+        id: "pages.auth",
+        original: "pt.pages.auth.json",
+        units: [
+          {
+            key: "Hello {name} & <co>",
+            source: "Hello {name} & <co>",
+            target: "Olá {name} & <cia>",
+            notes: [
+              { category: "location", text: "src/a.js:2 src/b.js" },
+              { category: "variables", text: "name" },
+            ],
+          },
+          { key: "checkout.pay", source: "Pay 'now'", target: "" },
+        ],
+      },
+    ],
+  };
+
+  describe("XliffGenerator", () => {
+    it("should write units with notes, state, source and target", () => {
+      const xliff = generator.generate(document);
+
+      expect(xliff).toContain(
+        '<xliff xmlns="urn:oasis:names:tc:xliff:document:2.0" version="2.0" srcLang="en" trgLang="pt">'
+      );
+      expect(xliff).toContain(
+        '<file id="pages.auth" original="pt.pages.auth.json">'
+      );
+      expect(xliff).toContain(
+        '<unit id="u1" name="Hello {name} &amp; &lt;co&gt;">'
+      );
+      expect(xliff).toContain(
+        '<note category="location">src/a.js:2 src/b.js</note>'
+      );
+      expect(xliff).toContain(
+        '<segment state="translated">\n        <source>Hello {name} &amp; &lt;co&gt;</source>\n        <target>Olá {name} &amp; &lt;cia&gt;</target>'
+      );
+      expect(xliff).toContain(
+        '<segment state="initial">\n        <source>Pay &apos;now&apos;</source>\n      </segment>'
+      );
+    });
+  });
+
+  describe("parseXLIFF", () => {
+    it("should read back generated documents", () => {
+      const parsed = parseXLIFF(generator.generate(document));
+
+      expect(parsed.sourceLocale).toBe("en");
+      expect(parsed.targetLocale).toBe("pt");
+      expect(parsed.files[0]).toMatchObject({
+        id: "pages.auth",
+        original: "pt.pages.auth.json",
+      });
+      expect(parsed.files[0].units).toEqual([
+        {
+          key: "Hello {name} & <co>",
+          source: "Hello {name} & <co>",
+          target: "Olá {name} & <cia>",
+          state: "translated",
+          notes: document.files[0].units[0].notes,
+        },
+        {
+          key: "checkout.pay",
+          source: "Pay 'now'",
+          state: "initial",
+          notes: [],
+        },
+      ]);
+    });
+
+    it("should join segments and reduce inline markup to text", () => {
+      const parsed = parseXLIFF(`<?xml version="1.0"?>
+<!-- edited by a CAT tool -->
+<xliff version="2.1" srcLang="en" trgLang="de">
+  <file id="common"><group id="g"><unit id="u1" name="Hi {name}. Bye">
+    <segment state="final"><source>Hi {name}.</source><target>Hallo <ph id="1"/>{name}.</target></segment>
+    <ignorable><source> </source></ignorable>
+    <segment><source>Bye</source><target><![CDATA[Tschüss & <ciao>]]>&#33;</target></segment>
+  </unit></group></file>
+</xliff>`);
+
+      expect(parsed.files[0].units[0]).toMatchObject({
+        key: "Hi {name}. Bye",
+        source: "Hi {name}. Bye",
+        target: "Hallo {name}.Tschüss & <ciao>!",
+        state: "final",
+      });
+    });
+
+    it("should reject other documents and versions", () => {
+      expect(() => parseXLIFF("<root/>")).toThrow(
+        "Invalid XLIFF: root element is <root>"
+      );
+      expect(() =>
+        parseXLIFF('<xliff version="1.2"><file></file></xliff>')
+      ).toThrow('Unsupported XLIFF version "1.2"');
+      expect(() => parseXLIFF('<xliff version="2.0"><file></xliff>')).toThrow(
+        "Invalid XML: expected </file> but found </xliff>"
+      );
+      expect(() => parseXLIFF('<xliff version="2.0">&nbsp;</xliff>')).toThrow(
+        "Invalid XML: unknown entity &nbsp;"
+      );
+    });
+  });
+});